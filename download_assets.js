@@ -1,108 +1,102 @@
-const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { parseArgs } = require('util');
+const {
+    DEFAULT_ASSET_MANIFEST, loadAssetManifest, getPins, checkAsset, verifyAssets,
+    fetchAsset, readLocalAssets, installAssets, hashAssets, pinVersion
+} = require('./lib/assets');
 
-const ASSETS_DIR = path.join(__dirname, 'assets');
-const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB limit per asset file
+// --- CONFIGURATION ---
+const DEFAULT_ASSETS_DIR = path.join(__dirname, 'assets');
 
-// Security: Validate downloaded content
-function validateDownload(url, data) {
-    if (data.length > MAX_FILE_SIZE) {
-        throw new Error(`Downloaded file from ${url} exceeds size limit`);
+const USAGE = `Usage: node download_assets.js [options]
+
+Installs the LForms files the generator runs (see lforms-assets.json) into ./assets. Every file
+must match the SHA-256 pinned for its version; nothing is written unless all of them do.
+
+Options:
+      --version <version>      LForms version to install (default: the manifest's defaultVersion)
+      --from <dir|tarball>     Install from a local folder or .tar/.tgz archive instead of the CDN
+                               (air-gapped hosts); files are found by their CDN path or file name
+      --base-url <url>         Download from a mirror of the LForms CDN ("{version}" is replaced)
+      --pin                    Record the hashes of a version that is not pinned yet in
+                               lforms-assets.json, for review, and install it (existing pins
+                               are never changed)
+      --verify                 Only check the installed assets against their pins
+      --assets-dir <dir>       Folder to install into or verify (default: ./assets)
+      --manifest <path>        Asset manifest with the pins (default: ./lforms-assets.json)
+  -h, --help                   Show this help`;
+
+const { values: args } = parseArgs({
+    options: {
+        version: { type: 'string' },
+        from: { type: 'string' },
+        'base-url': { type: 'string' },
+        pin: { type: 'boolean' },
+        verify: { type: 'boolean' },
+        'assets-dir': { type: 'string' },
+        manifest: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+    }
+});
+
+const ASSETS_DIR = args['assets-dir'] ? path.resolve(args['assets-dir']) : DEFAULT_ASSETS_DIR;
+const MANIFEST = args.manifest ? path.resolve(args.manifest) : DEFAULT_ASSET_MANIFEST;
+
+function verify() {
+    const assets = verifyAssets(ASSETS_DIR, MANIFEST);
+    console.log(`✅ LForms ${assets.version} assets in ${ASSETS_DIR} match their pins:`);
+    assets.files.forEach(file => console.log(`   ${file.sha256}  ${file.name}`));
+}
+
+// Downloads one file after the other, so a failure stops the install before anything is written
+async function download(manifest, version) {
+    const baseUrl = (args['base-url'] || manifest.baseUrl).replace('{version}', version);
+    const assets = new Map();
+    for (const file of manifest.files) {
+        const url = new URL(file.path, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`).href;
+        const data = await fetchAsset(url);
+        console.log(`   ⬇️  ${file.name} (${data.length} bytes)`);
+        assets.set(file.name, data);
     }
-    
-    if (data.length === 0) {
-        throw new Error(`Downloaded file from ${url} is empty`);
+    return { assets, source: baseUrl };
+}
+
+async function main() {
+    if (args.help) {
+        console.log(USAGE);
+        return;
     }
-    
-    // Basic content validation based on expected file types
-    if (url.includes('.js') && !data.includes('function') && !data.includes('var') && !data.includes('const')) {
-        console.warn(`Warning: Downloaded JS file from ${url} may not be valid JavaScript`);
+    if (args.verify) {
+        verify();
+        return;
     }
-    
-    if (url.includes('.css') && !data.includes('{') && !data.includes('}')) {
-        console.warn(`Warning: Downloaded CSS file from ${url} may not be valid CSS`);
+
+    const manifest = loadAssetManifest(MANIFEST);
+    const version = args.version || manifest.defaultVersion;
+    const pinned = Boolean(manifest.versions[version]);
+    if (!pinned && !args.pin) {
+        throw new Error(`LForms ${version} is not pinned in ${path.basename(MANIFEST)}. Re-run with --pin to record its hashes for review.`);
     }
-}
 
-// The files we need to run LForms offline
-const FILES = [
-    {
-        url: 'https://lhcforms-static.nlm.nih.gov/lforms-versions/36.3.2/webcomponent/styles.css',
-        name: 'lhc-forms.css'
-    },
-    {
-        url: 'https://lhcforms-static.nlm.nih.gov/lforms-versions/36.3.2/webcomponent/assets/lib/zone.min.js',
-        name: 'zone.min.js'
-    },
-    {
-        url: 'https://lhcforms-static.nlm.nih.gov/lforms-versions/36.3.2/webcomponent/lhc-forms.js',
-        name: 'lhc-forms.js'
-    },
-    {
-        url: 'https://lhcforms-static.nlm.nih.gov/lforms-versions/36.3.2/fhir/R4/lformsFHIR.min.js',
-        name: 'lformsFHIR.min.js'
+    console.log(`⬇️  Installing LForms ${version} assets${args.from ? ` from ${args.from}` : ''}...`);
+    const { assets, source } = args.from
+        ? { assets: readLocalAssets(args.from, manifest, pinned ? manifest.versions[version] : null), source: path.resolve(args.from) }
+        : await download(manifest, version);
+
+    const pins = pinned ? getPins(manifest, version) : hashAssets(manifest, assets);
+    manifest.files.forEach(file => checkAsset(pins, file.name, assets.get(file.name)));
+    if (pinned) {
+        console.log(`   🔒 All files match the SHA-256 pinned for ${version}`);
+    } else {
+        pinVersion(MANIFEST, manifest, version, pins);
+        console.warn(`   ⚠️ Pinned ${version} in ${path.basename(MANIFEST)}: review and commit the new hashes before using it with patient data`);
     }
-];
 
-if (!fs.existsSync(ASSETS_DIR)) {
-    fs.mkdirSync(ASSETS_DIR);
+    installAssets(ASSETS_DIR, manifest, version, assets, source);
+    console.log(`✅ Installed LForms ${version} in ${ASSETS_DIR}`);
 }
 
-console.log("⬇️  Downloading LForms assets...");
-
-FILES.forEach(file => {
-    const filePath = path.join(ASSETS_DIR, file.name);
-    let downloadData = Buffer.alloc(0);
-    
-    https.get(file.url, {
-        timeout: 30000, // 30 second timeout
-        headers: {
-            'User-Agent': 'questionnaire-response-pdf/1.0.0'
-        }
-    }, (response) => {
-        // Security: Validate response
-        if (response.statusCode !== 200) {
-            console.error(`   ❌ HTTP ${response.statusCode} for ${file.name}`);
-            return;
-        }
-        
-        // Security: Check content length
-        const contentLength = parseInt(response.headers['content-length'] || '0');
-        if (contentLength > MAX_FILE_SIZE) {
-            console.error(`   ❌ File ${file.name} too large: ${contentLength} bytes`);
-            return;
-        }
-        
-        response.on('data', (chunk) => {
-            downloadData = Buffer.concat([downloadData, chunk]);
-            
-            // Security: Check size during download
-            if (downloadData.length > MAX_FILE_SIZE) {
-                console.error(`   ❌ File ${file.name} exceeded size limit during download`);
-                response.destroy();
-                return;
-            }
-        });
-        
-        response.on('end', () => {
-            try {
-                // Security: Validate downloaded content
-                validateDownload(file.url, downloadData.toString());
-                
-                // Write file securely
-                fs.writeFileSync(filePath, downloadData, { mode: 0o644 });
-                console.log(`   ✅ Saved ${file.name} (${downloadData.length} bytes)`);
-            } catch (err) {
-                fs.unlink(filePath, () => {}); // Delete invalid file
-                console.error(`   ❌ Validation failed for ${file.name}: ${err.message}`);
-            }
-        });
-        
-    }).on('error', (err) => {
-        fs.unlink(filePath, () => {}); // Delete partial file
-        console.error(`   ❌ Error downloading ${file.name}: ${err.message}`);
-    }).on('timeout', () => {
-        console.error(`   ❌ Timeout downloading ${file.name}`);
-    });
-});
\ No newline at end of file
+main().catch(e => {
+    console.error(`❌ ${e.message}`);
+    process.exitCode = 1;
+});
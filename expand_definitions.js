@@ -1,9 +1,21 @@
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { indexResource, processItems } = require('./lib/expansion');
+const { DEFAULT_PACKAGE_CACHE, loadPackages } = require('./lib/packages');
 
 // --- CONFIGURATION ---
 const SOURCE_DIR = path.join(__dirname, 'questionnaires');
 
+// ValueSets and CodeSystems can also come from FHIR packages: .tgz files in SOURCE_DIR and
+// --package <tgz|folder|name#version>, with dependencies from --package-cache
+const { values: args } = parseArgs({
+    options: {
+        package: { type: 'string', short: 'p', multiple: true },
+        'package-cache': { type: 'string' }
+    }
+});
+
 // --- GLOBAL MAPS ---
 const resourceMap = new Map(); 
 
@@ -13,7 +25,27 @@ if (!fs.existsSync(SOURCE_DIR)) {
     process.exit(1);
 }
 
+function loadPackageResources() {
+    const packages = [
+        ...fs.readdirSync(SOURCE_DIR).filter(f => f.endsWith('.tgz')).map(f => path.join(SOURCE_DIR, f)),
+        ...(args.package || [])
+    ];
+    if (packages.length === 0) return;
+
+    const log = (message, type) => type === 'WARN' ? console.warn(`   ⚠️ ${message}`) : console.log(`   📦 ${message}`);
+    const resources = loadPackages(packages, { cacheDir: args['package-cache'] || DEFAULT_PACKAGE_CACHE, log });
+    // Package Questionnaires are expanded in memory by the generator; only their terminology is needed here
+    resources.filter(r => r.resourceType !== 'Questionnaire').forEach(r => indexResource(resourceMap, r));
+}
+
 function loadResources() {
+    try {
+        loadPackageResources();
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
+
     const files = fs.readdirSync(SOURCE_DIR).filter(f => f.endsWith('.json'));
     console.log(`📦 Loading ${files.length} resources from ${SOURCE_DIR}...`);
 
@@ -38,12 +70,7 @@ function loadResources() {
             const json = JSON.parse(raw);
             const items = json.resourceType === 'Bundle' && json.entry ? json.entry.map(e => e.resource) : [json];
 
-            items.forEach(r => {
-                if (!r || !r.url) return;
-                
-                resourceMap.set(r.url, r);
-                resourceMap.set(r.url.split('|')[0], r);
-            });
+            items.forEach(r => indexResource(resourceMap, r));
         } catch (e) {
             console.warn(`   ⚠️ Error reading ${file}: ${e.message}`);
         }
@@ -51,62 +78,7 @@ function loadResources() {
     console.log(`   ✅ Indexed ${resourceMap.size} canonical URLs.`);
 }
 
-// 2. EXPANSION LOGIC
-function getOptionsFromValueSet(vsUrl) {
-    const cleanUrl = vsUrl.split('|')[0];
-    const vs = resourceMap.get(cleanUrl);
-
-    if (!vs) {
-        // console.warn(`      ⚠️  MISSING ValueSet: ${cleanUrl}`);
-        return null;
-    }
-
-    let options = [];
-
-    if (vs.expansion && vs.expansion.contains) {
-        options = vs.expansion.contains.map(c => ({
-            valueCoding: { system: c.system, code: c.code, display: c.display }
-        }));
-    }
-    else if (vs.compose && vs.compose.include) {
-        vs.compose.include.forEach(inc => {
-            if (inc.concept) {
-                inc.concept.forEach(c => {
-                    options.push({
-                        valueCoding: { system: inc.system, code: c.code, display: c.display }
-                    });
-                });
-            }
-            else if (inc.system && !inc.concept) {
-                const cs = resourceMap.get(inc.system);
-                if (cs && cs.concept) {
-                    cs.concept.forEach(c => {
-                        options.push({
-                            valueCoding: { system: inc.system, code: c.code, display: c.display }
-                        });
-                    });
-                }
-            }
-        });
-    }
-    return options.length > 0 ? options : null;
-}
-
-function processItems(items) {
-    if (!items) return;
-
-    items.forEach(item => {
-        if (item.item) processItems(item.item);
-
-        if (item.answerValueSet) {
-            const options = getOptionsFromValueSet(item.answerValueSet);
-            if (options) {
-                item.answerOption = options;
-                delete item.answerValueSet; 
-            }
-        }
-    });
-}
+// 2. EXPANSION LOGIC (see lib/expansion.js)
 
 // 3. RUNNER (IN-PLACE)
 function expandAll() {
@@ -119,7 +91,7 @@ function expandAll() {
 
     questionnaires.forEach(q => {
         const newQ = JSON.parse(JSON.stringify(q));
-        processItems(newQ.item);
+        processItems(newQ.item, resourceMap, newQ.language);
 
         // Find the original filename if possible, or generate one
         // Since we loaded from files, we assume we are overwriting them.
@@ -130,6 +102,10 @@ function expandAll() {
     
     // Re-scan directory to ensure we write back to the CORRECT file
     const files = fs.readdirSync(SOURCE_DIR).filter(f => f.endsWith('.json'));
+    const unexpanded = [];
+    const expand = (q, file) => {
+        processItems(q.item, resourceMap, q.language).forEach(entry => unexpanded.push({ file, questionnaire: q.url || q.id, ...entry }));
+    };
     
     files.forEach(file => {
         try {
@@ -147,7 +123,7 @@ function expandAll() {
             
             // If it's a Questionnaire, process and overwrite
             if (json.resourceType === 'Questionnaire') {
-                processItems(json.item);
+                expand(json, file);
                 fs.writeFileSync(filePath, JSON.stringify(json, null, 2));
                 count++;
             }
@@ -156,7 +132,7 @@ function expandAll() {
                 let changed = false;
                 json.entry.forEach(e => {
                     if (e.resource && e.resource.resourceType === 'Questionnaire') {
-                        processItems(e.resource.item);
+                        expand(e.resource, file);
                         changed = true;
                     }
                 });
@@ -174,6 +150,15 @@ function expandAll() {
         }
     });
 
+    // Items that keep their answerValueSet will render without answer options
+    if (unexpanded.length > 0) {
+        console.warn(`\n⚠️ ${unexpanded.length} answerValueSet reference(s) could not be expanded:`);
+        unexpanded.forEach(u => {
+            console.warn(`   - ${u.file} (${u.questionnaire}) item ${u.linkId}: ${u.answerValueSet}`);
+            console.warn(`     ${u.reason}`);
+        });
+    }
+
     console.log(`\n✨ Done! Updated ${count} files in /questionnaires`);
 }
 
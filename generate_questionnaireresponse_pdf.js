@@ -1,292 +1,723 @@
-const puppeteer = require('puppeteer');
+#!/usr/bin/env node
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { parseArgs } = require('util');
+const { createLogger } = require('./lib/logger');
+const { createRenderer, RenderError, DATA_POLICIES, RENDER_MODES } = require('./lib/renderer');
+const { createServer } = require('./lib/server');
+const { createManifest, toManifestResponse, writeManifest } = require('./lib/manifest');
+const { GROUP_BY, normalizeFHIRData, buildReportData, groupResponses } = require('./lib/fhir');
+const { createDefinitionRegistry, addDefinitions, loadLibraries } = require('./lib/definitions');
+const { DEFAULT_PACKAGE_CACHE } = require('./lib/packages');
+const { parseFhirXml } = require('./lib/fhir_xml');
+const { parseLocale } = require('./lib/locale');
+const { FHIR_OUTPUTS, buildDocumentReference, buildTransactionBundle } = require('./lib/document_reference');
+const { validateResponse } = require('./lib/response_validation');
+const { scoreResponse } = require('./lib/scoring');
+const { indexExport, groupExport, loadGroupBundle } = require('./lib/ndjson');
+const { validateJsonFile, sanitizeFilename, truncateError } = require('./lib/validation');
 
 // --- CONFIGURATION ---
-const INPUT_DIR = path.join(__dirname, 'input');
-const OUTPUT_DIR = path.join(__dirname, 'output');
-const QUESTIONNAIRE_DIR = path.join(__dirname, 'questionnaires'); // Back to original folder
 const ASSETS_DIR = path.join(__dirname, 'assets');
-const TEMPLATE_PATH = path.join(__dirname, 'template.html');
-const LOG_FILE = path.join(OUTPUT_DIR, 'log.txt');
-
-// --- LOGGING ---
-function setupOutputFolder() {
-    if (fs.existsSync(OUTPUT_DIR)) {
-        console.log("🧹 Cleaning old output...");
-        fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+const DEFAULTS = {
+    input: path.join(__dirname, 'input'),
+    output: path.join(__dirname, 'output'),
+    definitions: path.join(__dirname, 'questionnaires')
+};
+const IF_EXISTS_POLICIES = ['overwrite', 'skip', 'fail'];
+// FHIR JSON and XML files are read whole; NDJSON files are read as one streamed bulk export
+const INPUT_EXTENSIONS = /\.(json|xml|ndjson)$/i;
+const NDJSON_EXTENSION = /\.ndjson$/i;
+
+// Output file names per grouping; see FILENAME_TOKENS for the placeholders
+const DEFAULT_FILENAME_PATTERNS = {
+    file: '{file}',
+    patient: '{file}-{mrn}',
+    response: '{file}-{qr}'
+};
+const FILENAME_TOKENS = ['file', 'mrn', 'patient', 'questionnaire', 'authored', 'qr', 'index'];
+
+// Exit codes: 0 = every file rendered, 1 = at least one file failed, 2 = bad usage or setup
+const EXIT_OK = 0;
+const EXIT_FILE_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: node generate_questionnaireresponse_pdf.js [options] [input...]
+       node generate_questionnaireresponse_pdf.js --serve [--port <port>] [--host <host>]
+
+Inputs can be files, folders (all *.json, *.xml and *.ndjson inside) or glob patterns such as
+"data/**/*.json". FHIR XML is converted to JSON. All *.ndjson inputs are read together as one bulk
+export (Patient.ndjson, QuestionnaireResponse.ndjson, ...) and rendered one PDF per patient.
+
+Options:
+  -i, --input <path|glob>      Input file, folder or glob (repeatable, default: ./input)
+  -o, --output <dir>           Output folder for PDFs (default: ./output)
+  -d, --definitions <dir>      Folder with Questionnaire definitions (default: ./questionnaires)
+  -p, --package <tgz|id>       FHIR NPM package to load definitions from: a .tgz file, an unpacked
+                               folder or name#version from the package cache (repeatable)
+      --package-cache <dir>    FHIR package cache for dependencies (default: ~/.fhir/packages)
+  -t, --template <file>        HTML report template (default: the config's template or ./template.html)
+      --config <file>          Report config (JSON): title, organisation, logo, colours, template
+                               and header fields as FHIRPath expressions
+      --locale <lang[,lang]>   Report language, e.g. en, cy, or cy,en for a bilingual report (default: en)
+      --timezone <zone>        IANA time zone for dates and times (default: the system's)
+      --pdfa                   Write PDF/A-3b archival PDFs (sRGB output intent, XMP identification)
+      --no-source-attachment   Do not embed the source QuestionnaireResponse JSON in the PDF
+      --fhir-output <type>     Also write a FHIR DocumentReference for each PDF: none (default) |
+                               document-reference (<name>.DocumentReference.json) |
+                               transaction (<name>.transaction.json, a Bundle ready to POST)
+      --scored-output          Also write the QuestionnaireResponse with its calculated items filled in
+                               (<name>.QuestionnaireResponse.json; a collection Bundle for several)
+      --no-score-panel         Do not show total scores and calculated items at the top of each form
+  -c, --concurrency <n>        Number of files rendered in parallel (default: number of CPU cores)
+      --data-policy <policy>   Answers not in the form definition: lenient (drop and log, default) |
+                               strict (fail the file) | appendix (list them in the PDF)
+      --render-mode <mode>     lforms (full forms, default) | summary (compact question/answer list) |
+                               comparison (a patient's repeated responses side by side, as a table)
+      --hide-unanswered        Summary/comparison mode: leave out unanswered questions and empty groups
+      --hide-disabled          Summary/comparison mode: leave out items disabled by their enableWhen conditions
+      --findings-page          Add a "Data quality findings" page listing where each response does not
+                               match its form definition (always written to the log and manifest)
+      --redact <profile.json>  De-identify every report for research exports: pseudonymise or mask
+                               patient identifiers, hide items, shift dates, strip authors and
+                               CarePlans, as set in the redaction profile (see README)
+      --group-by <grouping>    One PDF per input file, patient or QuestionnaireResponse:
+                               file | patient | response (default: file)
+      --filename-pattern <p>   Output name built from {file}, {mrn}, {patient}, {questionnaire},
+                               {authored}, {qr} and {index} (default depends on --group-by)
+      --if-exists <policy>     What to do when a PDF already exists: overwrite | skip | fail (default: overwrite)
+      --log-file <file>        Log file, appended to on every run (default: <output>/log.txt)
+      --manifest <file>        JSON run manifest (default: <output>/manifest-<run id>.json)
+      --manifest-csv           Also write the manifest as CSV next to the JSON file
+  -v, --verbose                Print per-item sanitizer and normalizer details
+      --serve                  Run as an HTTP rendering service instead of processing inputs
+      --port <port>            Port for --serve (default: 3000)
+      --host <host>            Interface for --serve (default: 127.0.0.1)
+  -q, --quiet                  Only print errors and the final summary
+  -h, --help                   Show this help`;
+
+class UsageError extends Error {}
+
+function parseCliArgs(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                input: { type: 'string', short: 'i', multiple: true },
+                output: { type: 'string', short: 'o' },
+                definitions: { type: 'string', short: 'd' },
+                template: { type: 'string', short: 't' },
+                config: { type: 'string' },
+                locale: { type: 'string' },
+                timezone: { type: 'string' },
+                pdfa: { type: 'boolean' },
+                'no-source-attachment': { type: 'boolean' },
+                'fhir-output': { type: 'string' },
+                'scored-output': { type: 'boolean' },
+                'no-score-panel': { type: 'boolean' },
+                package: { type: 'string', short: 'p', multiple: true },
+                'package-cache': { type: 'string' },
+                concurrency: { type: 'string', short: 'c' },
+                'if-exists': { type: 'string' },
+                'data-policy': { type: 'string' },
+                'render-mode': { type: 'string' },
+                'hide-unanswered': { type: 'boolean' },
+                'hide-disabled': { type: 'boolean' },
+                'findings-page': { type: 'boolean' },
+                redact: { type: 'string' },
+                'group-by': { type: 'string' },
+                'filename-pattern': { type: 'string' },
+                'log-file': { type: 'string' },
+                manifest: { type: 'string' },
+                'manifest-csv': { type: 'boolean' },
+                verbose: { type: 'boolean', short: 'v' },
+                serve: { type: 'boolean' },
+                port: { type: 'string' },
+                host: { type: 'string' },
+                quiet: { type: 'boolean', short: 'q' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (e) {
+        throw new UsageError(e.message);
     }
-    fs.mkdirSync(OUTPUT_DIR);
-}
 
-function log(message, type = 'INFO') {
-    const timestamp = new Date().toISOString().split('T')[1].split('.')[0];
-    const consoleMsg = type === 'ERROR' ? `   ❌ ${message}` : `   ${message}`;
-    const fileMsg = `[${timestamp}] [${type}] ${message}\n`;
+    const { values, positionals } = parsed;
+    const inputs = [...(values.input || []), ...positionals];
+    const ifExists = values['if-exists'] || 'overwrite';
 
-    if (type === 'HEADER') console.log(`\n${message}`);
-    else console.log(consoleMsg);
-
-    try { fs.appendFileSync(LOG_FILE, fileMsg); } catch (e) {}
-}
-
-// --- SECURITY & VALIDATION ---
-function validateJsonFile(filePath) {
-    const stats = fs.statSync(filePath);
-    const maxSize = 50 * 1024 * 1024; // 50MB limit
-    
-    if (stats.size > maxSize) {
-        throw new Error(`File ${path.basename(filePath)} exceeds maximum size of ${maxSize / (1024 * 1024)}MB`);
+    if (!IF_EXISTS_POLICIES.includes(ifExists)) {
+        throw new UsageError(`--if-exists must be one of: ${IF_EXISTS_POLICIES.join(', ')}`);
     }
-    
-    if (stats.size === 0) {
-        throw new Error(`File ${path.basename(filePath)} is empty`);
+    const dataPolicy = values['data-policy'] || 'lenient';
+    if (!DATA_POLICIES.includes(dataPolicy)) {
+        throw new UsageError(`--data-policy must be one of: ${DATA_POLICIES.join(', ')}`);
     }
-}
-
-function sanitizeFilename(filename) {
-    // Remove file extension first
-    const nameWithoutExt = filename.replace(/\.json$/, '');
-    
-    // Replace invalid characters with dashes and convert to lowercase
-    let cleaned = nameWithoutExt.replace(/[^a-zA-Z0-9._-]/g, '-').toLowerCase();
-    
-    // Remove multiple consecutive dashes and trim
-    cleaned = cleaned.replace(/-+/g, '-').replace(/^-+|-+$/g, '');
-    
-    // Ensure filename is not empty and not too long
-    if (!cleaned || cleaned.length === 0) {
-        cleaned = 'unnamed-file';
+    const renderMode = values['render-mode'] || 'lforms';
+    if (!RENDER_MODES.includes(renderMode)) {
+        throw new UsageError(`--render-mode must be one of: ${RENDER_MODES.join(', ')}`);
     }
-    
-    if (cleaned.length > 100) {
-        cleaned = cleaned.substring(0, 100).replace(/-+$/, '');
+    if ((values['hide-unanswered'] || values['hide-disabled']) && renderMode === 'lforms') {
+        throw new UsageError('--hide-unanswered and --hide-disabled need --render-mode summary or comparison');
     }
-    
-    // Validate final filename
-    const allowedPattern = /^[a-zA-Z0-9._-]+$/;
-    if (!allowedPattern.test(cleaned)) {
-        throw new Error(`Invalid filename after sanitization: ${cleaned}`);
+    const groupBy = values['group-by'] || 'file';
+    if (!GROUP_BY.includes(groupBy)) {
+        throw new UsageError(`--group-by must be one of: ${GROUP_BY.join(', ')}`);
+    }
+    const filenamePattern = values['filename-pattern'] || DEFAULT_FILENAME_PATTERNS[groupBy];
+    const unknownTokens = (filenamePattern.match(/\{[^}]*\}/g) || []).filter(token => !FILENAME_TOKENS.includes(token.slice(1, -1)));
+    if (unknownTokens.length > 0) {
+        throw new UsageError(`Unknown --filename-pattern placeholder ${unknownTokens.join(', ')} (expected ${FILENAME_TOKENS.map(t => `{${t}}`).join(', ')})`);
+    }
+    const fhirOutput = values['fhir-output'] || 'none';
+    if (!FHIR_OUTPUTS.includes(fhirOutput)) {
+        throw new UsageError(`--fhir-output must be one of: ${FHIR_OUTPUTS.join(', ')}`);
+    }
+    const locale = values.locale || 'en';
+    try {
+        parseLocale(locale);
+    } catch (e) {
+        throw new UsageError(`--locale: ${e.message}`);
+    }
+    const timeZone = values.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    try {
+        new Intl.DateTimeFormat('en', { timeZone });
+    } catch (e) {
+        throw new UsageError(`--timezone: unknown time zone ${timeZone}`);
+    }
+    if (values.verbose && values.quiet) {
+        throw new UsageError('--verbose and --quiet cannot be combined');
     }
-    
-    return cleaned;
-}
 
-// --- LOADERS ---
-const questionnaireMap = new Map();
+    const port = values.port === undefined ? 3000 : Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new UsageError(`--port must be a number between 0 and 65535`);
+    }
 
-function loadLibraries() {
-    if (!fs.existsSync(QUESTIONNAIRE_DIR)) {
-        console.error("❌ Questionnaires folder missing.");
-        process.exit(1);
+    const concurrency = values.concurrency === undefined ? os.cpus().length : Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new UsageError('--concurrency must be a positive whole number');
     }
 
-    const files = fs.readdirSync(QUESTIONNAIRE_DIR).filter(file => file.endsWith('.json'));
-    log(`Loading ${files.length} definitions from /questionnaires...`, 'INFO');
+    const output = path.resolve(values.output || DEFAULTS.output);
+    // Unique per run so jobs sharing an output folder do not overwrite each other's manifest
+    const runId = new Date().toISOString().replace(/[:.]/g, '-');
+    return {
+        help: Boolean(values.help),
+        inputs: inputs.length > 0 ? inputs : [DEFAULTS.input],
+        output,
+        definitions: path.resolve(values.definitions || DEFAULTS.definitions),
+        // null: the report config's template, else ./template.html (see createRenderer)
+        template: values.template ? path.resolve(values.template) : null,
+        config: values.config ? path.resolve(values.config) : null,
+        locale,
+        timeZone,
+        archival: Boolean(values.pdfa),
+        attachSource: !values['no-source-attachment'],
+        fhirOutput,
+        scoredOutput: Boolean(values['scored-output']),
+        scorePanel: !values['no-score-panel'],
+        packages: values.package || [],
+        packageCache: values['package-cache'] ? path.resolve(values['package-cache']) : DEFAULT_PACKAGE_CACHE,
+        ifExists,
+        dataPolicy,
+        renderMode,
+        hideUnanswered: Boolean(values['hide-unanswered']),
+        hideDisabled: Boolean(values['hide-disabled']),
+        findingsPage: Boolean(values['findings-page']),
+        redaction: values.redact ? path.resolve(values.redact) : null,
+        groupBy,
+        filenamePattern,
+        concurrency,
+        logFile: path.resolve(values['log-file'] || path.join(output, 'log.txt')),
+        runId,
+        manifest: path.resolve(values.manifest || path.join(output, `manifest-${runId}.json`)),
+        manifestCsv: Boolean(values['manifest-csv']),
+        verbosity: values.quiet ? 0 : values.verbose ? 2 : 1,
+        serve: Boolean(values.serve),
+        port,
+        host: values.host || '127.0.0.1'
+    };
+}
 
-    files.forEach(file => {
-        try {
-            const filePath = path.join(QUESTIONNAIRE_DIR, file);
-            
-            // Validate questionnaire file
-            try {
-                validateJsonFile(filePath);
-            } catch (e) {
-                log(`Skipping invalid file ${file}: ${e.message}`, 'WARN');
-                return;
+// --- INPUT RESOLUTION ---
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // "**/" matches zero or more folders, a trailing "**" matches everything below
+            if (pattern[i + 2] === '/') { source += '(?:.*/)?'; i += 2; }
+            else { source += '.*'; i += 1; }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+function expandGlob(pattern) {
+    const absolute = path.resolve(pattern).split(path.sep).join('/');
+    const segments = absolute.split('/');
+    const firstGlob = segments.findIndex(segment => /[*?]/.test(segment));
+    const baseDir = segments.slice(0, firstGlob).join('/') || '/';
+    const matcher = globToRegExp(absolute);
+    const maxDepth = absolute.includes('**') ? Infinity : segments.length - firstGlob - 1;
+    const matches = [];
+
+    const walk = (dir, depth) => {
+        if (!fs.existsSync(dir)) return;
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            const entryPath = `${dir === '/' ? '' : dir}/${entry.name}`;
+            if (entry.isDirectory()) {
+                if (depth < maxDepth) walk(entryPath, depth + 1);
+            } else if (matcher.test(entryPath)) {
+                matches.push(path.normalize(entryPath));
             }
-            
-            const raw = fs.readFileSync(filePath, 'utf8');
-            const json = JSON.parse(raw);
-            
-            const items = json.resourceType === 'Bundle' && json.entry ? json.entry.map(e => e.resource) : [json];
-            items.forEach(r => {
-                if (r.resourceType === 'Questionnaire' && r.url) {
-                    questionnaireMap.set(r.url, r);
-                    questionnaireMap.set(r.url.split('|')[0], r);
-                }
-            });
-        } catch (e) { log(`Failed to load Q: ${file}`, 'WARN'); }
+        });
+    };
+    walk(baseDir, 0);
+    return matches.sort();
+}
+
+function resolveInputFiles(inputs, log) {
+    const files = new Set();
+    const missing = [];
+
+    inputs.forEach(input => {
+        const resolved = path.resolve(input);
+        if (fs.existsSync(resolved)) {
+            if (fs.statSync(resolved).isDirectory()) {
+                fs.readdirSync(resolved)
+                    .filter(file => INPUT_EXTENSIONS.test(file))
+                    .sort()
+                    .forEach(file => files.add(path.join(resolved, file)));
+            } else {
+                files.add(resolved);
+            }
+        } else if (/[*?]/.test(input)) {
+            const matches = expandGlob(input);
+            if (matches.length === 0) log(`No files match ${input}`, 'WARN');
+            matches.forEach(file => files.add(file));
+        } else {
+            missing.push(input);
+        }
     });
+
+    return { files: [...files], missing };
 }
 
-function normalizeFHIRData(jsonData) {
-    let resources = [];
-    if (jsonData.resourceType === 'Bundle' && jsonData.entry) resources = jsonData.entry.map(e => e.resource).filter(r => r);
-    else resources = [jsonData];
+// --- SERVER MODE ---
+async function serve(options, renderer, log) {
+    const server = createServer({ renderer, log });
+
+    // Keep one browser alive for the lifetime of the service
+    await renderer.launch();
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port, options.host, resolve);
+    });
+    const { port } = server.address();
+    log(`🌐 Listening on http://${options.host}:${port} (POST /QuestionnaireResponse/$pdf)`, 'INFO');
+
+    await new Promise(resolve => {
+        const shutdown = () => {
+            log('Shutting down...', 'INFO');
+            server.close(resolve);
+            // Idle keep-alive sockets would otherwise delay shutdown
+            server.closeIdleConnections();
+        };
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+    });
+    return EXIT_OK;
+}
 
-    let patient = resources.find(r => r.resourceType === 'Patient');
-    let carePlan = resources.find(r => r.resourceType === 'CarePlan');
-    const questionnaireResponses = resources.filter(r => r.resourceType === 'QuestionnaireResponse');
-    const qResponse = questionnaireResponses[0]; // Use first QR for backwards compatibility
-    let questionnaire = resources.find(r => r.resourceType === 'Questionnaire');
+// --- BATCH PROCESSING ---
+
+// Values for the --filename-pattern placeholders, taken from the group's Patient and first QR
+function getFilenameTokens(filePath, group, index) {
+    const qr = group.questionnaireResponses[0];
+    const patient = group.patient || {};
+    const subject = qr.subject || {};
+    const mrn = (patient.identifier && patient.identifier[0] && patient.identifier[0].value) || (subject.identifier && subject.identifier.value);
+    return {
+        file: path.basename(filePath).replace(INPUT_EXTENSIONS, ''),
+        mrn,
+        patient: patient.id || (subject.reference && subject.reference.split('/').pop()),
+        questionnaire: qr.questionnaire && qr.questionnaire.replace(/^#/, '').split('|')[0].split('/').pop(),
+        authored: qr.authored && qr.authored.slice(0, 10),
+        qr: qr.id,
+        index: String(index + 1)
+    };
+}
 
-    // If no Patient resource found in Bundle, create a placeholder that will trigger QR fallback
-    if (!patient) {
-        patient = { resourceType: "Patient", name: null }; // null name will trigger QR fallback
-    }
-    
-    // If no CarePlan resource found in Bundle, create a placeholder
-    if (!carePlan) {
-        carePlan = { resourceType: "CarePlan", category: null }; // null category will trigger fallback
+// Builds a unique output name for this run: the pattern with its placeholders filled in,
+// passed through sanitizeFilename, with -2, -3... appended when another report already claimed it
+function claimOutputName(pattern, tokens, outputNames) {
+    const name = sanitizeFilename(pattern.replace(/\{(\w+)\}/g, (_, token) => tokens[token] || 'unknown'));
+    let candidate = name;
+    for (let n = 2; outputNames.has(candidate); n++) candidate = `${name}-${n}`;
+    outputNames.add(candidate);
+    return { name: candidate, renamed: candidate !== name };
+}
+
+// Writes the report's DocumentReference (or a transaction Bundle creating it) next to the PDF
+function writeFhirOutput(pdfPath, pdf, document, fhirOutput, settings) {
+    const documentReference = buildDocumentReference(pdf, document, settings, path.basename(pdfPath));
+    const base = pdfPath.replace(/\.pdf$/, '');
+    const [outPath, resource] = fhirOutput === 'transaction'
+        ? [`${base}.transaction.json`, buildTransactionBundle(documentReference)]
+        : [`${base}.DocumentReference.json`, documentReference];
+    fs.writeFileSync(outPath, JSON.stringify(resource, null, 2));
+    return outPath;
+}
+
+// Writes the report's QuestionnaireResponses with their calculated items filled in next to the
+// PDF: the response itself, or a collection Bundle when the report holds several
+function writeScoredOutput(pdfPath, scoredResponses) {
+    const outPath = `${pdfPath.replace(/\.pdf$/, '')}.QuestionnaireResponse.json`;
+    const resource = scoredResponses.length === 1 ? scoredResponses[0] : {
+        resourceType: 'Bundle',
+        type: 'collection',
+        timestamp: new Date().toISOString(),
+        entry: scoredResponses.map(qr => ({ ...(qr.id ? { fullUrl: `QuestionnaireResponse/${qr.id}` } : {}), resource: qr }))
+    };
+    fs.writeFileSync(outPath, JSON.stringify(resource, null, 2));
+    return outPath;
+}
+
+// Renders one report (the whole file, or one patient's or response's part of it). Resolves to
+// { status, timings, record } where status is 'saved', 'partial', 'skipped' or 'failed' and
+// record is the report's entry in the run manifest.
+async function processReport(filePath, rawJson, group, index, groupCount, options, renderer, log, outputNames) {
+    const file = path.basename(filePath);
+    const started = Date.now();
+    const record = {
+        input: filePath, group: options.groupBy === 'file' ? null : group.key,
+        status: null, output: null, fhirOutput: null, scoredOutput: null, durationMs: null, error: null, questionnaireResponses: []
+    };
+    const finish = (status, details = {}) => {
+        Object.assign(record, details, { status, durationMs: Date.now() - started });
+        return { status, timings: details.timings, record };
+    };
+    // With several reports in flight, prefix every line with the file (and report) it belongs to
+    const label = options.concurrency > 1 ? (groupCount > 1 ? `${file}:${index + 1}` : file) : undefined;
+    const fileLog = label ? (message, type) => log(`[${label}] ${message}`, type) : log;
+
+    try {
+        // Generate secure filename
+        const { name: outName, renamed } = claimOutputName(options.filenamePattern, getFilenameTokens(filePath, group, index), outputNames);
+        const outPath = path.join(options.output, `${outName}.pdf`);
+        if (groupCount > 1) fileLog(`Report ${index + 1}/${groupCount} (${group.key}): ${group.questionnaireResponses.length} QuestionnaireResponse(s) -> ${outName}.pdf`, 'INFO');
+        if (renamed) fileLog(`Another report in this run is already named like this one; saving as ${outName}.pdf`, 'WARN');
+
+        if (fs.existsSync(outPath)) {
+            if (options.ifExists === 'skip') {
+                fileLog(`Skipping: ${outName}.pdf already exists.`, 'INFO');
+                return finish('skipped', { error: 'Output already exists' });
+            }
+            if (options.ifExists === 'fail') {
+                fileLog(`${outName}.pdf already exists (--if-exists fail).`, 'ERROR');
+                return finish('failed', { error: 'Output already exists' });
+            }
+        }
+
+        const { pdf, document, status, sections, error, violations, questionnaireCount, scoredResponses, timings } = await renderer.renderReport(rawJson, { label, group });
+        record.questionnaireResponses = sections.map(toManifestResponse);
+
+        if (violations.length > 0) {
+            violations.forEach(violation => fileLog(`Strict data policy: ${truncateError(violation)}`, 'ERROR'));
+            fileLog(`Not saved: the report would omit recorded answers (--data-policy strict).`, 'ERROR');
+            return finish('failed', { timings, error: 'Strict data policy violated', policyViolations: violations });
+        }
+
+        if (error) fileLog(`Render error: ${truncateError(error)}`, 'ERROR');
+        sections
+            .filter(section => section.status !== 'rendered')
+            .forEach(section => fileLog(`Section ${section.index + 1} "${section.title}" ${section.status}: ${truncateError(section.reason || 'unknown reason')}`, status === 'failed' ? 'ERROR' : 'WARN'));
+
+        if (status === 'failed') {
+            // Never hand out a report in which nothing could be rendered
+            fileLog(`Not saved: no questionnaire section could be rendered.`, 'ERROR');
+            return finish('failed', { timings, error: error || 'No questionnaire section could be rendered' });
+        }
+
+        fs.writeFileSync(outPath, pdf);
+        if (options.fhirOutput !== 'none') {
+            record.fhirOutput = writeFhirOutput(outPath, pdf, document, options.fhirOutput, renderer.config.documentReference);
+            fileLog(`Wrote ${path.basename(record.fhirOutput)}`, 'DEBUG');
+        }
+        if (options.scoredOutput) {
+            record.scoredOutput = writeScoredOutput(outPath, scoredResponses);
+            fileLog(`Wrote ${path.basename(record.scoredOutput)}`, 'DEBUG');
+        }
+
+        const rendered = sections.filter(section => section.status === 'rendered').length;
+        if (status === 'partial') {
+            fileLog(`Saved (partial): ${outName}.pdf (${rendered} of ${questionnaireCount} questionnaires rendered, ${timings.totalMs} ms)`, 'WARN');
+        } else {
+            fileLog(`Saved: ${outName}.pdf (${questionnaireCount} questionnaire${questionnaireCount > 1 ? 's' : ''}, ${timings.totalMs} ms)`, 'SUCCESS');
+        }
+        fileLog(`Timings: waited ${timings.waitMs} ms for a page, rendered in ${timings.renderMs} ms`, 'DEBUG');
+        return finish(status === 'partial' ? 'partial' : 'saved', { timings, output: outPath });
+
+    } catch (error) {
+        if (error.code === 'RENDER_TIMEOUT') {
+            fileLog(error.message, 'ERROR');
+        } else {
+            fileLog(`System Error processing ${file}: ${truncateError(error.message)}`, 'ERROR');
+        }
+        return finish('failed', { error: truncateError(error.message) });
     }
+}
 
-    if (!questionnaire && qResponse && qResponse.questionnaire) {
-        const ref = qResponse.questionnaire;
-        questionnaire = questionnaireMap.get(ref) || questionnaireMap.get(ref.split('|')[0]);
+// Renders one input file as one report, or one per patient or QuestionnaireResponse (--group-by).
+// Resolves to a list of processReport() results; problems with the file itself yield a single entry.
+async function processFile(filePath, options, renderer, log, outputNames) {
+    const file = path.basename(filePath);
+    const started = Date.now();
+    const fileResult = (status, error) => [{
+        status,
+        record: { input: filePath, group: null, status, output: null, durationMs: Date.now() - started, error, questionnaireResponses: [] }
+    }];
+    const fileLog = options.concurrency > 1 ? (message, type) => log(`[${file}] ${message}`, type) : log;
+
+    let rawJson;
+    let groups;
+    try {
+        // Security: Validate file before processing
+        validateJsonFile(filePath);
+
+        const text = fs.readFileSync(filePath, 'utf8');
+        rawJson = /\.xml$/i.test(filePath) ? parseFhirXml(text) : JSON.parse(text);
+        log(`Processing: ${filePath}`, 'HEADER');
+        // Grouped and named by the redacted copy, so ids, MRNs and dates never reach the output names
+        rawJson = renderer.redact(rawJson, fileLog);
+        groups = groupResponses(rawJson, options.groupBy);
+    } catch (error) {
+        fileLog(`System Error processing ${file}: ${truncateError(error.message)}`, 'ERROR');
+        return fileResult('failed', truncateError(error.message));
     }
 
-    if (qResponse && !questionnaire) {
-        log(`Definition not found for ${qResponse.questionnaire}`, 'WARN');
-        // Return minimal stub to allow processing to continue (Sanitizer will log warnings)
-        questionnaire = { resourceType: "Questionnaire", status: "active", item: [] };
+    if (groups.length === 0) {
+        fileLog("Skipping: No QuestionnaireResponse found.", 'WARN');
+        return fileResult('skipped', 'No QuestionnaireResponse found.');
     }
-    
-    return { 
-        fileName: jsonData.id || 'report', 
-        patient, 
-        carePlan, 
-        questionnaire, 
-        questionnaireResponse: qResponse,
-        questionnaireResponses // Include all QRs for potential future use
-    };
+
+    const results = [];
+    await runWithConcurrency(groups.map((group, index) => ({ group, index })), options.concurrency, async ({ group, index }) => {
+        results[index] = await processReport(filePath, rawJson, group, index, groups.length, options, renderer, log, outputNames);
+    });
+    return results;
 }
 
-(async () => {
-    setupOutputFolder();
-    if (!fs.existsSync(INPUT_DIR)) fs.mkdirSync(INPUT_DIR);
+// Renders the run's NDJSON files as one bulk export: responses are joined to their Patient across
+// files and rendered one report per patient (or per response with --group-by response). Only the
+// reports in flight are held in memory.
+async function processExport(files, options, renderer, log, outputNames) {
+    const started = Date.now();
+    const exportResult = (status, input, group, error) => ({
+        status,
+        record: { input, group, status, output: null, durationMs: Date.now() - started, error, questionnaireResponses: [] }
+    });
+
+    let index;
+    try {
+        log(`Processing NDJSON export: ${files.join(', ')}`, 'HEADER');
+        index = await indexExport(files, log);
+    } catch (error) {
+        log(`System Error reading the NDJSON export: ${truncateError(error.message)}`, 'ERROR');
+        return [exportResult('failed', files[0], null, truncateError(error.message))];
+    }
 
-    if (!fs.existsSync(path.join(ASSETS_DIR, 'lhc-forms.js'))) {
-        log("CRITICAL: Assets missing. Run 'node download_assets.js' first.", 'ERROR');
-        process.exit(1);
+    if (index.responses.length === 0) {
+        log("Skipping NDJSON export: No QuestionnaireResponse found.", 'WARN');
+        return [exportResult('skipped', files[0], null, 'No QuestionnaireResponse found.')];
     }
 
-    console.log("🚀 Starting FHIR PDF Generator...");
-    loadLibraries();
-
-    const browser = await puppeteer.launch({ 
-        headless: "new", 
-        args: [
-            '--disable-web-security',
-            '--disable-features=VizDisplayCompositor', 
-            '--disable-dev-shm-usage',
-            '--disable-gpu'
-        ]
+    // A whole export is never one report: --group-by file means one report per patient here
+    const exportOptions = { ...options, groupBy: options.groupBy === 'response' ? 'response' : 'patient' };
+    if (options.groupBy === 'file' && options.filenamePattern === DEFAULT_FILENAME_PATTERNS.file) {
+        exportOptions.filenamePattern = DEFAULT_FILENAME_PATTERNS.patient;
+    }
+    const groups = groupExport(index, exportOptions.groupBy);
+    log(`NDJSON export: ${index.responses.length} QuestionnaireResponse(s), ${index.context.size} related resource(s), ${groups.length} report(s) by ${exportOptions.groupBy}` +
+        (index.invalidLines > 0 ? `; ${index.invalidLines} invalid line(s) skipped` : ''), 'INFO');
+
+    const results = [];
+    await runWithConcurrency(groups.map((group, i) => ({ group, i })), options.concurrency, async ({ group, i }) => {
+        const filePath = group.responses[0].file;
+        let bundle;
+        try {
+            bundle = await loadGroupBundle(group, index);
+        } catch (error) {
+            log(`System Error reading ${group.key} from the NDJSON export: ${truncateError(error.message)}`, 'ERROR');
+            results[i] = exportResult('failed', filePath, group.key, truncateError(error.message));
+            return;
+        }
+        bundle = renderer.redact(bundle);
+        const [reportGroup] = groupResponses(bundle, 'file');
+        // With redaction, the export's key (a patient or response id) is replaced by the redacted one
+        const key = options.redaction ? groupResponses(bundle, exportOptions.groupBy)[0].key : group.key;
+        results[i] = await processReport(filePath, bundle, { ...reportGroup, key }, i, groups.length, exportOptions, renderer, log, outputNames);
     });
-    const page = await browser.newPage();
-    
-    page.on('console', async msg => {
-        const args = await Promise.all(msg.args().map(arg => arg.jsonValue().catch(() => '')));
-        const text = args.length ? args.join(' ') : msg.text();
-        
-        // Capture all sanitizer and normalizer logs
-        if (text.includes('[Sanitizer]')) {
-            if (text.includes('REMOVED') || text.includes('✗')) {
-                log(text, 'WARN');
-            } else {
-                log(text, 'INFO');
-            }
-        } else if (text.includes('[Normalizer]')) {
-            if (text.includes('Warning') || text.includes('⚠')) {
-                log(text, 'WARN');
-            } else {
-                log(text, 'INFO');
-            }
-        } else if (text.includes('[Processing]')) {
-            log(text, 'INFO');
-        } else if (msg.type() === 'error' || msg.type() === 'warning') {
-            if (text.includes('LFORMS_CRASH')) {
-                log(`[CRASH] ${text.replace('LFORMS_CRASH:', '')}`, 'ERROR');
-            }
+    return results;
+}
+
+// Runs worker(item) for every item with at most `concurrency` in flight
+async function runWithConcurrency(items, concurrency, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
         }
     });
+    await Promise.all(runners);
+}
 
-    const files = fs.readdirSync(INPUT_DIR).filter(file => file.endsWith('.json'));
+// --- MAIN ---
+async function main(argv) {
+    let options;
+    try {
+        options = parseCliArgs(argv);
+    } catch (e) {
+        console.error(`❌ ${e.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
 
-    for (const file of files) {
-        try {
-            const filePath = path.join(INPUT_DIR, file);
-            
-            // Security: Validate file before processing
-            validateJsonFile(filePath);
-            
-            const rawJson = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-            log(`Processing: ${file}`, 'HEADER');
-            
-            const processedData = normalizeFHIRData(rawJson);
-
-            if (!processedData.questionnaireResponses || processedData.questionnaireResponses.length === 0) {
-                log("Skipping: No QuestionnaireResponse found.", 'WARN');
-                continue;
-            }
+    // Never wipe the output folder: several jobs may share it
+    fs.mkdirSync(options.output, { recursive: true });
+    fs.mkdirSync(path.dirname(options.logFile), { recursive: true });
+    const log = createLogger({ logFile: options.logFile, verbosity: options.verbosity });
+
+    if (options.verbosity > 0) console.log("🚀 Starting FHIR PDF Generator...");
+    if (!options.serve) log(`Run started (inputs: ${options.inputs.join(', ')}; output: ${options.output}; group-by: ${options.groupBy}; if-exists: ${options.ifExists}; data-policy: ${options.dataPolicy}; render-mode: ${options.renderMode}; concurrency: ${options.concurrency})`, 'INFO');
+
+    let renderer;
+    try {
+        renderer = createRenderer({
+            definitionsDir: options.definitions,
+            packages: options.packages,
+            packageCache: options.packageCache,
+            assetsDir: ASSETS_DIR,
+            templatePath: options.template,
+            reportConfig: options.config || {},
+            locale: options.locale,
+            timeZone: options.timeZone,
+            archival: options.archival,
+            attachSource: options.attachSource,
+            concurrency: options.concurrency,
+            dataPolicy: options.dataPolicy,
+            renderMode: options.renderMode,
+            hideUnanswered: options.hideUnanswered,
+            hideDisabled: options.hideDisabled,
+            findingsPage: options.findingsPage,
+            scorePanel: options.scorePanel,
+            redaction: options.redaction,
+            log
+        });
+    } catch (e) {
+        log(`CRITICAL: ${e.message}`, 'ERROR');
+        return EXIT_USAGE;
+    }
 
-            // Prepare combined data with all QRs and their questionnaires
-            const combinedQRData = [];
-            for (let i = 0; i < processedData.questionnaireResponses.length; i++) {
-                const currentQR = processedData.questionnaireResponses[i];
-                log(`  Processing QR ${i + 1}/${processedData.questionnaireResponses.length}: ${currentQR.questionnaire}`, 'INFO');
-
-                // Find the appropriate questionnaire for this QR
-                let questionnaire = null;
-                if (currentQR.questionnaire) {
-                    const ref = currentQR.questionnaire;
-                    questionnaire = questionnaireMap.get(ref) || questionnaireMap.get(ref.split('|')[0]);
-                }
-
-                if (!questionnaire) {
-                    log(`  Definition not found for ${currentQR.questionnaire}`, 'WARN');
-                    questionnaire = { resourceType: "Questionnaire", status: "active", item: [] };
-                }
-
-                combinedQRData.push({
-                    questionnaireResponse: currentQR,
-                    questionnaire: questionnaire,
-                    title: questionnaire.title || currentQR.questionnaire?.split('/').pop().split('|')[0] || `Questionnaire ${i + 1}`
-                });
-            }
+    if (options.redaction && !options.serve && options.filenamePattern.includes('{file}')) {
+        log('Redaction: output names include {file}, the input file name; use --filename-pattern without it if input names identify patients', 'WARN');
+    }
 
-            // Create combined data structure
-            const combinedData = {
-                ...processedData,
-                combinedQuestionnaires: combinedQRData,
-                isMultipleQR: combinedQRData.length > 1
-            };
-
-            await page.goto(`file://${TEMPLATE_PATH}`, { waitUntil: 'domcontentloaded' });
-            
-            await page.addStyleTag({ path: path.join(ASSETS_DIR, 'lhc-forms.css') });
-            await page.addScriptTag({ path: path.join(ASSETS_DIR, 'zone.min.js') });
-            await page.addScriptTag({ path: path.join(ASSETS_DIR, 'lhc-forms.js') });
-            await page.addScriptTag({ path: path.join(ASSETS_DIR, 'lformsFHIR.min.js') });
-
-            try { await page.waitForFunction(() => window.LForms, { timeout: 3000 }); } catch (e) {}
-
-            await page.evaluate((data) => { window.renderFromData(data); }, combinedData);
-
-            try { await page.waitForSelector('#render-complete', { timeout: 15000 }); } 
-            catch (e) { log("Render timeout.", 'ERROR'); continue; }
-
-            // Generate secure filename
-            const outName = sanitizeFilename(file);
-            
-            await page.pdf({
-                path: path.join(OUTPUT_DIR, `${outName}.pdf`),
-                format: 'A4',
-                printBackground: true,
-                margin: { top: '20px', bottom: '20px', left: '20px', right: '20px' }
-            });
+    if (options.serve) {
+        try {
+            return await serve(options, renderer, log);
+        } finally {
+            await renderer.close();
+        }
+    }
 
-            log(`Saved: ${outName}.pdf (${combinedQRData.length} questionnaire${combinedQRData.length > 1 ? 's' : ''})`, 'SUCCESS');
+    const { files, missing } = resolveInputFiles(options.inputs, log);
+    const stats = { saved: 0, partial: 0, skipped: 0, failed: missing.length };
+    const renderTimes = [];
+    const manifest = createManifest({ runId: options.runId, options, assets: renderer.assets });
+    missing.forEach(input => {
+        log(`Input not found: ${input}`, 'ERROR');
+        manifest.files.push({ input, group: null, status: 'failed', output: null, durationMs: 0, error: 'Input not found', questionnaireResponses: [] });
+    });
 
-        } catch (error) {
-            // Security: Limit error information disclosure
-            const sanitizedError = error.message.length > 200 ? 
-                error.message.substring(0, 200) + '... (truncated)' : 
-                error.message;
-            log(`System Error processing ${file}: ${sanitizedError}`, 'ERROR');
-        }
+    const runStarted = Date.now();
+    // Output names claimed so far, so reports in this run never overwrite each other
+    const outputNames = new Set();
+    const exportFiles = files.filter(file => NDJSON_EXTENSION.test(file));
+    const jobs = files.filter(file => !NDJSON_EXTENSION.test(file))
+        .map(filePath => () => processFile(filePath, options, renderer, log, outputNames));
+    if (exportFiles.length > 0) jobs.push(() => processExport(exportFiles, options, renderer, log, outputNames));
+    try {
+        await runWithConcurrency(jobs, options.concurrency, async job => {
+            const results = await job();
+            results.forEach(({ status, timings, record }) => {
+                stats[status]++;
+                manifest.files.push(record);
+                if (timings) renderTimes.push(timings.totalMs);
+            });
+        });
+    } finally {
+        await renderer.close();
+
+        // Keep the manifest in input order even though files finish out of order
+        const order = new Map(files.map((file, index) => [file, index]));
+        manifest.files.sort((a, b) => (order.get(a.input) ?? -1) - (order.get(b.input) ?? -1));
+        manifest.finishedAt = new Date().toISOString();
+        manifest.summary = stats;
+        writeManifest(manifest, options.manifest, options.manifestCsv ? options.manifest.replace(/\.json$/i, '') + '.csv' : null);
+        log(`Manifest written to ${options.manifest}${options.manifestCsv ? ' (+ .csv)' : ''}`, 'INFO');
     }
 
-    await browser.close();
-    console.log("\n✨ All done! Check output/log.txt for details.");
-})();
\ No newline at end of file
+    const elapsed = ((Date.now() - runStarted) / 1000).toFixed(1);
+    const average = renderTimes.length > 0 ? Math.round(renderTimes.reduce((a, b) => a + b, 0) / renderTimes.length) : 0;
+    const summary = `Done: ${stats.saved} saved, ${stats.partial} partial, ${stats.skipped} skipped, ${stats.failed} failed in ${elapsed}s` +
+        (renderTimes.length > 0 ? ` (avg ${average} ms per PDF, max ${Math.max(...renderTimes)} ms).` : '.');
+    log(summary, 'INFO');
+    console.log(`\n✨ ${summary} Check ${options.logFile} for details.`);
+    return stats.failed > 0 ? EXIT_FILE_FAILED : EXIT_OK;
+}
+
+// --- LIBRARY API ---
+module.exports = {
+    createRenderer,
+    RenderError,
+    createLogger,
+    createServer,
+    createDefinitionRegistry,
+    addDefinitions,
+    loadLibraries,
+    normalizeFHIRData,
+    buildReportData,
+    groupResponses,
+    parseFhirXml,
+    buildDocumentReference,
+    buildTransactionBundle,
+    validateResponse,
+    scoreResponse,
+    sanitizeFilename,
+    main
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(e => {
+            console.error(`❌ Fatal: ${e.message}`);
+            process.exitCode = EXIT_FILE_FAILED;
+        });
+}
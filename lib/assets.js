@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { readTar } = require('./packages');
+
+// --- LFORMS ASSETS ---
+// The LForms files that run against patient data are pinned: lforms-assets.json lists, per LForms
+// version, the SHA-256 of every file, and is reviewed like the code. download_assets.js installs a
+// pinned version (from the CDN, a mirror, or a local folder or tarball) and records it in
+// <assets>/installed.json; the renderer checks every file against the pins before a page loads it.
+
+const DEFAULT_ASSET_MANIFEST = path.join(__dirname, '..', 'lforms-assets.json');
+const INSTALLED_FILE = 'installed.json';
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB limit per asset file
+const MAX_ARCHIVE_SIZE = 200 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 30000;
+const MAX_REDIRECTS = 5;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+function loadAssetManifest(manifestPath = DEFAULT_ASSET_MANIFEST) {
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (e) {
+        throw new Error(`Cannot read asset manifest ${manifestPath}: ${e.message}`);
+    }
+    if (!Array.isArray(manifest.files) || !manifest.versions) {
+        throw new Error(`Asset manifest ${manifestPath} needs "files" and "versions"`);
+    }
+    return manifest;
+}
+
+// { name: sha256 } for a pinned version; throws for a version that was never reviewed
+function getPins(manifest, version) {
+    const pins = manifest.versions[version];
+    if (!pins) {
+        throw new Error(`LForms ${version} is not pinned in the asset manifest (pinned: ${Object.keys(manifest.versions).join(', ') || 'none'})`);
+    }
+    return pins;
+}
+
+// Throws unless the file is non-empty, within the size limit and matches its pin
+function checkAsset(pins, name, data) {
+    if (data.length === 0) throw new Error(`${name} is empty`);
+    if (data.length > MAX_FILE_SIZE) throw new Error(`${name} exceeds the size limit (${data.length} bytes)`);
+    const hash = sha256(data);
+    if (pins[name] !== hash) {
+        throw new Error(`${name} does not match its pinned SHA-256 (expected ${pins[name] || '(none)'}, got ${hash})`);
+    }
+}
+
+// Checks the installed assets against the pins of their version. Returns { version, source,
+// installedAt, files: [{ name, sha256, content }] } in load order; the renderer loads exactly
+// these contents, so a file changed on disk later is never used. installed.json is not committed,
+// so a fresh checkout's assets are checked against the manifest's defaultVersion.
+function verifyAssets(assetsDir, manifestPath = DEFAULT_ASSET_MANIFEST) {
+    const manifest = loadAssetManifest(manifestPath);
+    const installedPath = path.join(assetsDir, INSTALLED_FILE);
+    const installed = fs.existsSync(installedPath)
+        ? JSON.parse(fs.readFileSync(installedPath, 'utf8'))
+        : { version: manifest.defaultVersion };
+    const pins = getPins(manifest, installed.version);
+    const files = manifest.files.map(file => {
+        const filePath = path.join(assetsDir, file.name);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Asset ${file.name} missing in ${assetsDir}. Run 'node download_assets.js' first.`);
+        }
+        const content = fs.readFileSync(filePath);
+        try {
+            checkAsset(pins, file.name, content);
+        } catch (e) {
+            throw new Error(`Asset check failed for LForms ${installed.version} in ${assetsDir}: ${e.message}`);
+        }
+        return { name: file.name, sha256: pins[file.name], content };
+    });
+    return { version: installed.version, source: installed.source || null, installedAt: installed.installedAt || null, files };
+}
+
+// GET over HTTPS into a Buffer, following redirects, within the size limit
+function fetchAsset(url, redirects = 0) {
+    return new Promise((resolve, reject) => {
+        if (!url.startsWith('https://')) {
+            reject(new Error(`Refusing to download ${url}: only https:// URLs are allowed`));
+            return;
+        }
+        const request = https.get(url, {
+            timeout: DOWNLOAD_TIMEOUT_MS,
+            headers: { 'User-Agent': 'questionnaire-response-pdf/1.0.0' }
+        }, response => {
+            if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+                response.resume();
+                if (redirects >= MAX_REDIRECTS) {
+                    reject(new Error(`Too many redirects for ${url}`));
+                    return;
+                }
+                resolve(fetchAsset(new URL(response.headers.location, url).href, redirects + 1));
+                return;
+            }
+            if (response.statusCode !== 200) {
+                response.resume();
+                reject(new Error(`HTTP ${response.statusCode} for ${url}`));
+                return;
+            }
+            if (parseInt(response.headers['content-length'] || '0', 10) > MAX_FILE_SIZE) {
+                response.destroy();
+                reject(new Error(`${url} is too large (${response.headers['content-length']} bytes)`));
+                return;
+            }
+
+            const chunks = [];
+            let size = 0;
+            response.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_FILE_SIZE) {
+                    response.destroy();
+                    reject(new Error(`${url} exceeded the size limit during download`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            response.on('end', () => resolve(Buffer.concat(chunks)));
+            response.on('error', reject);
+        });
+        request.on('timeout', () => request.destroy(new Error(`Timeout downloading ${url}`)));
+        request.on('error', reject);
+    });
+}
+
+// Gives access to the files of a local folder or .tar/.tgz archive: { files: [relative path], read }
+function openSource(source) {
+    if (fs.statSync(source).isDirectory()) {
+        const files = [];
+        const walk = dir => fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) walk(full);
+            else if (entry.isFile()) files.push(path.relative(source, full).split(path.sep).join('/'));
+        });
+        walk(source);
+        return { files, read: file => fs.readFileSync(path.join(source, file)) };
+    }
+
+    let entries;
+    try {
+        const data = fs.readFileSync(source);
+        // gzip magic number; plain .tar archives are read as they are
+        const tar = data[0] === 0x1f && data[1] === 0x8b ? zlib.gunzipSync(data, { maxOutputLength: MAX_ARCHIVE_SIZE }) : data;
+        entries = readTar(tar);
+    } catch (e) {
+        throw new Error(`Cannot read archive ${source}: ${e.message}`);
+    }
+    return { files: [...entries.keys()], read: file => entries.get(file) };
+}
+
+// Finds each asset in a local folder or archive: a file at the asset's CDN path (so a mirror of
+// the CDN folder or the LForms release archive works), else a file with the asset's name (so a
+// copy of another host's assets folder works). With several candidates the pinned one is taken.
+// Returns Map(name -> Buffer).
+function readLocalAssets(source, manifest, pins = null) {
+    const { files, read } = openSource(source);
+    const endsWith = (file, suffix) => file === suffix || file.endsWith(`/${suffix}`);
+    const assets = new Map();
+    manifest.files.forEach(asset => {
+        const byPath = files.filter(file => endsWith(file, asset.path));
+        const candidates = byPath.length > 0 ? byPath : files.filter(file => endsWith(file, asset.name));
+        if (candidates.length === 0) throw new Error(`${asset.name} (${asset.path}) not found in ${source}`);
+        const contents = candidates.map(read);
+        assets.set(asset.name, (pins && contents.find(content => sha256(content) === pins[asset.name])) || contents[0]);
+    });
+    return assets;
+}
+
+// Writes the files and installed.json. Files are written under a temporary name and renamed, so an
+// interrupted install never leaves a mix of versions behind a valid installed.json.
+function installAssets(assetsDir, manifest, version, assets, source) {
+    fs.mkdirSync(assetsDir, { recursive: true });
+    const installedPath = path.join(assetsDir, INSTALLED_FILE);
+    if (fs.existsSync(installedPath)) fs.unlinkSync(installedPath);
+    manifest.files.forEach(file => {
+        const filePath = path.join(assetsDir, file.name);
+        fs.writeFileSync(`${filePath}.tmp`, assets.get(file.name), { mode: 0o644 });
+        fs.renameSync(`${filePath}.tmp`, filePath);
+    });
+    const installed = { version, source, installedAt: new Date().toISOString() };
+    fs.writeFileSync(installedPath, JSON.stringify(installed, null, 2) + '\n', { mode: 0o644 });
+    return installed;
+}
+
+// { name: sha256 } of a set of assets
+function hashAssets(manifest, assets) {
+    const hashes = {};
+    manifest.files.forEach(file => { hashes[file.name] = sha256(assets.get(file.name)); });
+    return hashes;
+}
+
+// Records the hashes of a version that is not pinned yet; the change to the manifest is what
+// gets reviewed before the version is used
+function pinVersion(manifestPath, manifest, version, pins) {
+    manifest.versions[version] = pins;
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+module.exports = {
+    DEFAULT_ASSET_MANIFEST,
+    INSTALLED_FILE,
+    sha256,
+    loadAssetManifest,
+    getPins,
+    checkAsset,
+    verifyAssets,
+    fetchAsset,
+    readLocalAssets,
+    installAssets,
+    hashAssets,
+    pinVersion
+};
@@ -0,0 +1,122 @@
+const { collectAnswers, isEnabled } = require('./response_validation');
+const { createAnswerScorer } = require('./scoring');
+const { createAnswerFormatter } = require('./locale');
+
+// --- LONGITUDINAL COMPARISON ---
+// In the comparison render mode, the responses of one patient to the same Questionnaire (same
+// canonical url, any version) form one section: a table with a row per question and a column per
+// response, oldest first by `authored`. Answers that differ from the previous response are
+// highlighted, and numeric and scored items (and the total score) get a trend line. The rows follow
+// the Questionnaire of the most recent response; items only found in older versions come last.
+
+const canonicalUrl = qr => String(qr.questionnaire || '').split('|')[0];
+
+// Responses without a (valid) authored date sort last, in report order
+function authoredTime(qr) {
+    const time = new Date(qr.authored).getTime();
+    return isNaN(time) ? Infinity : time;
+}
+
+// The report's sections grouped for comparison: [[index, ...]] for every patient and Questionnaire
+// with more than one response, oldest response first. Sections without a definition are left alone.
+function groupComparisons(combinedQuestionnaires) {
+    const groups = new Map();
+    combinedQuestionnaires.forEach((qrData, index) => {
+        if (qrData.definitionMissing || !qrData.questionnaireResponse || !qrData.questionnaireResponse.questionnaire) return;
+        const key = `${qrData.patientKey}\n${canonicalUrl(qrData.questionnaireResponse)}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(index);
+    });
+    const time = index => authoredTime(combinedQuestionnaires[index].questionnaireResponse);
+    return [...groups.values()].filter(indexes => indexes.length > 1)
+        .map(indexes => [...indexes].sort((a, b) => time(a) - time(b) || a - b));
+}
+
+// A comparable form of an item's answers: codes instead of displays
+const answerKey = answers => JSON.stringify(answers.map(answer => {
+    const key = Object.keys(answer).find(k => k.startsWith('value'));
+    const value = key ? answer[key] : null;
+    return key === 'valueCoding' ? `${value.system || ''}|${value.code}` : value;
+}));
+
+// The number an answer plots as: its value, or the score of a coded answer
+function numericValue(answers, scoreAnswer) {
+    if (answers.length !== 1) return null;
+    const answer = answers[0];
+    const value = answer.valueInteger ?? answer.valueDecimal ?? (answer.valueQuantity && answer.valueQuantity.value) ?? scoreAnswer(answer);
+    return typeof value === 'number' ? value : null;
+}
+
+// A series is plotted when at least two responses have a value and every answered one is numeric
+const plottable = (series, answered) => series.filter(value => value !== null).length >= 2 &&
+    answered.every((isAnswered, i) => !isAnswered || series[i] !== null);
+
+// Builds the comparison table for one group: entries are the group's { qrData, scores } (see
+// scoreResponse) oldest first; calculated items show their computed answers.
+// Returns { title, columns: [label], rows: [{ type, depth, label, cells: [{ text, changed }], series }] }
+// with type 'score', 'group' or 'question'; text is null for an unanswered question, series is null
+// for rows without a trend line.
+function buildComparison(entries, localization, { hideUnanswered = false, hideDisabled = false } = {}) {
+    const { t, formatDate, formatNumber } = localization;
+    const responses = entries.map(({ qrData, scores }) => (scores ? scores.questionnaireResponse : qrData.questionnaireResponse));
+    const answerMaps = responses.map(qr => collectAnswers(qr.item));
+    const formatters = entries.map(({ qrData }) => createAnswerFormatter(qrData.questionnaire, localization, qrData.content));
+    const scorers = entries.map(({ qrData }) => createAnswerScorer(qrData.questionnaire));
+    const definitions = entries.map(({ qrData }) => qrData.questionnaire).reverse();
+
+    const markChanges = keys => keys.map((key, i) => i > 0 && key !== keys[i - 1]);
+    const rows = [];
+
+    if (entries.every(({ scores }) => scores && scores.total)) {
+        const totals = entries.map(({ scores }) => scores.total.score);
+        const changed = markChanges(totals);
+        rows.push({
+            type: 'score', depth: 0, label: t('Total score'),
+            cells: totals.map((total, i) => ({ text: formatNumber(total), changed: changed[i] })),
+            series: totals
+        });
+    }
+
+    const seen = new Set();
+    const label = qItem => [qItem.prefix, qItem.text].filter(part => part).join(' ') || qItem.linkId;
+    function addItems(qItems, depth) {
+        (qItems || []).forEach(qItem => {
+            if (seen.has(qItem.linkId) || qItem.type === 'display') return;
+            seen.add(qItem.linkId);
+            if (qItem.type === 'group') {
+                const heading = { type: 'group', depth, label: label(qItem), cells: [], series: null };
+                const before = rows.length;
+                rows.push(heading);
+                addItems(qItem.item, depth + 1);
+                // A group whose questions were all left out goes too
+                if (rows.length === before + 1) rows.pop();
+                return;
+            }
+
+            const answers = answerMaps.map(map => map.get(qItem.linkId) || []);
+            const answered = answers.map(list => list.length > 0);
+            const disabled = answerMaps.every(map => !isEnabled(qItem, map));
+            if ((hideUnanswered && !answered.some(Boolean)) || (hideDisabled && disabled)) {
+                addItems(qItem.item, depth + 1);
+                return;
+            }
+            const changed = markChanges(answers.map(answerKey));
+            const series = answers.map((list, i) => numericValue(list, scorers[i]));
+            rows.push({
+                type: 'question', depth, label: label(qItem),
+                cells: answers.map((list, i) => ({ text: list.length > 0 ? list.map(formatters[i]).join(', ') : null, changed: changed[i] })),
+                series: plottable(series, answered) ? series : null
+            });
+            addItems(qItem.item, depth + 1);
+        });
+    }
+    definitions.forEach(questionnaire => addItems(questionnaire.item, 0));
+
+    return {
+        title: entries[entries.length - 1].qrData.title,
+        columns: responses.map(qr => (qr.authored ? formatDate(qr.authored) : t('Not dated'))),
+        rows
+    };
+}
+
+module.exports = { groupComparisons, buildComparison };
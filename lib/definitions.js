@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { validateJsonFile } = require('./validation');
+const { compareVersions } = require('./versions');
+const { indexResource, processItems } = require('./expansion');
+const { DEFAULT_PACKAGE_CACHE, loadPackages } = require('./packages');
+
+// --- VERSION ORDERING ---
+
+function compareDates(a, b) {
+    const ta = Date.parse(a.questionnaire.date);
+    const tb = Date.parse(b.questionnaire.date);
+    if (isNaN(ta) || isNaN(tb)) return null;
+    return ta - tb;
+}
+
+// Picks the latest of several versions of one canonical: by semver when every version is
+// semver-like, otherwise by Questionnaire.date, otherwise the one loaded last.
+// ambiguous is set when the chosen order cannot tell the two newest entries apart.
+function pickLatest(entries) {
+    const byLoadOrder = [...entries].sort((a, b) => a.order - b.order);
+    if (byLoadOrder.length === 1) return { entry: byLoadOrder[0], ordering: 'only', ambiguous: false };
+
+    for (const [ordering, compare] of [['semver', (a, b) => compareVersions(a.version, b.version)], ['date', compareDates]]) {
+        const comparable = byLoadOrder.every((a, i) => byLoadOrder.every((b, j) => i === j || compare(a, b) !== null));
+        if (!comparable) continue;
+        const sorted = byLoadOrder.sort((a, b) => compare(a, b) || a.order - b.order);
+        const [previous, latest] = sorted.slice(-2);
+        return { entry: latest, ordering, ambiguous: compare(previous, latest) === 0 };
+    }
+    return { entry: byLoadOrder[byLoadOrder.length - 1], ordering: 'load order', ambiguous: true };
+}
+
+// --- REGISTRY ---
+
+// Questionnaires indexed by canonical url and version. A version comes from
+// Questionnaire.version, or from a `url|version` canonical; definitions without one are
+// registered under the empty version.
+function createDefinitionRegistry() {
+    const byUrl = new Map(); // url -> Map(version -> { version, questionnaire, order })
+    let loaded = 0;
+
+    // Returns 'added', or 'replaced' when the same url and version was already registered
+    function add(questionnaire) {
+        const [url, urlVersion] = questionnaire.url.split('|');
+        const version = questionnaire.version || urlVersion || '';
+        if (!byUrl.has(url)) byUrl.set(url, new Map());
+        const versions = byUrl.get(url);
+        const result = versions.has(version) ? 'replaced' : 'added';
+        versions.set(version, { version, questionnaire, order: loaded++ });
+        return result;
+    }
+
+    // Resolves a QuestionnaireResponse.questionnaire canonical (`url` or `url|version`) to
+    // { questionnaire, url, version, match, warning } or null when the url is unknown.
+    // match: exact (the requested version), latest (no version requested) or
+    // version-fallback (the requested version is not loaded; the latest one is used)
+    function resolve(ref) {
+        if (!ref) return null;
+        const [url, requestedVersion] = ref.split('|');
+        const versions = byUrl.get(url);
+        if (!versions) return null;
+
+        const describe = entry => entry.version ? `version ${entry.version}` : 'the unversioned definition';
+        if (requestedVersion !== undefined && versions.has(requestedVersion)) {
+            const entry = versions.get(requestedVersion);
+            return { questionnaire: entry.questionnaire, url, version: entry.version || null, match: 'exact', warning: null };
+        }
+
+        const { entry, ordering, ambiguous } = pickLatest([...versions.values()]);
+        const available = [...versions.values()].map(e => e.version || '(none)').join(', ');
+        let match = 'latest';
+        let warning = null;
+        if (requestedVersion !== undefined) {
+            match = 'version-fallback';
+            warning = `Version ${requestedVersion} of ${url} is not loaded (available: ${available}); using ${describe(entry)}`;
+        } else if (versions.size > 1) {
+            warning = `${url} is loaded in ${versions.size} versions (${available}) and the response does not name one; using ${describe(entry)}`;
+            warning += ambiguous ? ', the last loaded, as the versions cannot be ordered by semver or date' : ` (latest by ${ordering})`;
+        }
+
+        return { questionnaire: entry.questionnaire, url, version: entry.version || null, match, warning };
+    }
+
+    // Every registered Questionnaire as { url, version, questionnaire }, sorted by url then load order
+    function list() {
+        return [...byUrl.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .flatMap(([url, versions]) => [...versions.values()]
+                .sort((a, b) => a.order - b.order)
+                .map(entry => ({ url, version: entry.version || null, questionnaire: entry.questionnaire })));
+    }
+
+    return {
+        add,
+        resolve,
+        list,
+        get size() { return [...byUrl.values()].reduce((n, versions) => n + versions.size, 0); }
+    };
+}
+
+// --- LOADERS ---
+
+// Adds every Questionnaire found in a resource, a Bundle or an array of either.
+// Returns the number of Questionnaires added. `source` names the origin in duplicate warnings.
+function addDefinitions(registry, definitions, log = null, source = null) {
+    const list = Array.isArray(definitions) ? definitions : [definitions];
+    let count = 0;
+
+    list.forEach(json => {
+        if (!json) return;
+        const items = json.resourceType === 'Bundle' && json.entry ? json.entry.map(e => e.resource) : [json];
+        items.forEach(r => {
+            if (r && r.resourceType === 'Questionnaire' && r.url) {
+                if (registry.add(r) === 'replaced' && log) {
+                    log(`Duplicate definition ${r.url}${r.version ? `|${r.version}` : ''}${source ? ` in ${source}` : ''} replaces the one loaded earlier`, 'WARN');
+                }
+                count++;
+            }
+        });
+    });
+    return count;
+}
+
+// Flattens a resource or Bundle into its resources
+function getResources(json) {
+    return json.resourceType === 'Bundle' && json.entry ? json.entry.map(e => e.resource).filter(r => r) : [json];
+}
+
+// Questionnaires from packages are not run through expand_definitions.js: in-line their
+// answerValueSets in memory (on a copy) against every ValueSet and CodeSystem loaded
+function expandQuestionnaires(resources, terminology, unexpanded) {
+    return resources.filter(r => r.resourceType === 'Questionnaire').map(q => {
+        if (!JSON.stringify(q.item || []).includes('"answerValueSet"')) return q;
+        const copy = JSON.parse(JSON.stringify(q));
+        processItems(copy.item, terminology, copy.language).forEach(u => unexpanded.push({ questionnaire: q.url, ...u }));
+        return copy;
+    });
+}
+
+// Loads the Questionnaires in `definitionsDir` (loose JSON files and Bundles, plus any FHIR
+// package .tgz files) and in `options.packages` (.tgz files, unpacked folders or `name#version`
+// ids found in `options.packageCache`). Loose files are loaded last, so they override packages.
+function loadLibraries(definitionsDir, registry, log, { packages = [], packageCache = DEFAULT_PACKAGE_CACHE } = {}) {
+    if (definitionsDir && !fs.existsSync(definitionsDir)) {
+        throw new Error(`Questionnaires folder missing: ${definitionsDir}`);
+    }
+
+    const entries = definitionsDir ? fs.readdirSync(definitionsDir) : [];
+    const files = entries.filter(file => file.endsWith('.json'));
+    const packageFiles = entries.filter(file => file.endsWith('.tgz')).map(file => path.join(definitionsDir, file));
+    if (definitionsDir) log(`Loading ${files.length} definitions from ${definitionsDir}...`, 'INFO');
+
+    const packageResources = loadPackages([...packageFiles, ...packages], { cacheDir: packageCache, log });
+
+    const looseFiles = [];
+    files.forEach(file => {
+        try {
+            const filePath = path.join(definitionsDir, file);
+            
+            // Validate questionnaire file
+            try {
+                validateJsonFile(filePath);
+            } catch (e) {
+                log(`Skipping invalid file ${file}: ${e.message}`, 'WARN');
+                return;
+            }
+            
+            const raw = fs.readFileSync(filePath, 'utf8');
+            looseFiles.push({ file, resources: getResources(JSON.parse(raw)) });
+        } catch (e) { log(`Failed to load Q: ${file}`, 'WARN'); }
+    });
+
+    const terminology = new Map();
+    [packageResources, ...looseFiles.map(f => f.resources)].forEach(list => list.forEach(r => {
+        if (r.resourceType === 'ValueSet' || r.resourceType === 'CodeSystem') indexResource(terminology, r);
+    }));
+
+    const unexpanded = [];
+    addDefinitions(registry, expandQuestionnaires(packageResources, terminology, unexpanded), log, 'a package');
+    looseFiles.forEach(({ file, resources }) => addDefinitions(registry, expandQuestionnaires(resources, terminology, unexpanded), log, file));
+
+    if (unexpanded.length > 0) {
+        log(`${unexpanded.length} answerValueSet reference(s) could not be expanded locally; those items render without answer options`, 'WARN');
+        unexpanded.forEach(u => log(`  ${u.questionnaire} item ${u.linkId}: ${u.answerValueSet} (${u.reason})`, 'DEBUG'));
+    }
+}
+
+module.exports = { createDefinitionRegistry, addDefinitions, loadLibraries };
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+// --- FHIR DOCUMENTREFERENCE ---
+// A FHIR R4 DocumentReference for each report, so an integration engine can file the PDF back
+// into the EHR: the PDF itself (base64, with size and SHA-1 hash), the patient, the source
+// QuestionnaireResponses and the document type. The report config's `documentReference` setting
+// may set:
+//   type      CodeableConcept (default LOINC 74465-6 "Questionnaire response Document")
+//   category  CodeableConcept or a list of them (default none)
+
+const FHIR_OUTPUTS = ['none', 'document-reference', 'transaction'];
+
+const DEFAULT_DOCUMENT_SETTINGS = {
+    type: { coding: [{ system: 'http://loinc.org', code: '74465-6', display: 'Questionnaire response Document' }] },
+    category: []
+};
+
+// QuestionnaireResponse.status -> DocumentReference.docStatus; the least final one wins
+const DOC_STATUS = { 'completed': 'final', 'amended': 'amended', 'in-progress': 'preliminary', 'stopped': 'preliminary', 'entered-in-error': 'entered-in-error' };
+const DOC_STATUS_ORDER = ['entered-in-error', 'preliminary', 'amended', 'final'];
+
+const INSTANT_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const isCodeableConcept = value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    (typeof value.text === 'string' || (Array.isArray(value.coding) && value.coding.length > 0 &&
+        value.coding.every(c => c && typeof c.code === 'string' && (c.system === undefined || typeof c.system === 'string'))));
+
+// Validates the `documentReference` setting of a report config and fills in the defaults
+function resolveDocumentSettings(settings = {}) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) throw new Error('documentReference must be an object');
+    const unknown = Object.keys(settings).filter(key => !(key in DEFAULT_DOCUMENT_SETTINGS));
+    if (unknown.length > 0) throw new Error(`Unknown documentReference setting(s): ${unknown.join(', ')} (expected ${Object.keys(DEFAULT_DOCUMENT_SETTINGS).join(', ')})`);
+    const merged = { ...DEFAULT_DOCUMENT_SETTINGS, ...settings };
+    if (!isCodeableConcept(merged.type)) throw new Error('documentReference.type must be a CodeableConcept ({ "coding": [{ "system", "code" }] } or { "text" })');
+    const category = [].concat(merged.category || []);
+    if (!category.every(isCodeableConcept)) throw new Error('documentReference.category must be a CodeableConcept or a list of them');
+    return { type: merged.type, category };
+}
+
+const unique = values => [...new Set(values.filter(value => value))];
+
+// A reference to a source QuestionnaireResponse: by id, else by identifier
+function responseReference(qr) {
+    if (qr.id) return { reference: `QuestionnaireResponse/${qr.id}` };
+    if (qr.identifier) return { identifier: qr.identifier };
+    return null;
+}
+
+function patientReference(patient, questionnaireResponses) {
+    if (patient && patient.id) {
+        const name = (patient.name || [])[0];
+        const display = name && (name.text || [...(name.given || []), name.family].filter(part => part).join(' '));
+        return { reference: `Patient/${patient.id}`, ...(display ? { display } : {}) };
+    }
+    // Only what identifies the patient: the subject's display may be a name, even in redacted exports
+    const subject = questionnaireResponses.map(qr => qr.subject).find(s => s && (s.reference || s.identifier));
+    if (!subject) return null;
+    return { ...(subject.reference ? { reference: subject.reference } : {}), ...(subject.identifier ? { identifier: subject.identifier } : {}) };
+}
+
+// pdf: the report; document: renderReport()'s `document` ({ title, language, patient,
+// questionnaireResponses }); settings: resolveDocumentSettings(); fileName: the PDF's name
+function buildDocumentReference(pdf, document, settings, fileName) {
+    const responses = document.questionnaireResponses;
+    const statuses = responses.map(qr => DOC_STATUS[qr.status] || 'final');
+    const docStatus = DOC_STATUS_ORDER.find(status => statuses.includes(status)) || 'final';
+    // DocumentReference.date is an instant: the latest authored dateTime with a time zone, else now
+    const instants = responses.map(qr => qr.authored).filter(authored => INSTANT_PATTERN.test(authored || ''))
+        .sort((a, b) => new Date(b) - new Date(a));
+    const authors = unique(responses.map(qr => qr.author && JSON.stringify(qr.author))).map(author => JSON.parse(author));
+    const related = responses.map(responseReference).filter(ref => ref);
+    const subject = patientReference(document.patient, responses);
+
+    return {
+        resourceType: 'DocumentReference',
+        status: 'current',
+        docStatus,
+        type: settings.type,
+        ...(settings.category.length > 0 ? { category: settings.category } : {}),
+        ...(subject ? { subject } : {}),
+        date: instants[0] || new Date().toISOString(),
+        ...(authors.length > 0 ? { author: authors } : {}),
+        ...(document.title ? { description: document.title } : {}),
+        content: [{
+            attachment: {
+                contentType: 'application/pdf',
+                ...(document.language ? { language: document.language } : {}),
+                data: pdf.toString('base64'),
+                size: pdf.length,
+                hash: crypto.createHash('sha1').update(pdf).digest('base64'),
+                title: fileName,
+                creation: instants[0] || new Date().toISOString()
+            }
+        }],
+        ...(related.length > 0 ? { context: { related } } : {})
+    };
+}
+
+// A transaction Bundle that creates the DocumentReference when POSTed to a FHIR server's base URL
+function buildTransactionBundle(documentReference) {
+    return {
+        resourceType: 'Bundle',
+        type: 'transaction',
+        entry: [{
+            fullUrl: `urn:uuid:${crypto.randomUUID()}`,
+            resource: documentReference,
+            request: { method: 'POST', url: 'DocumentReference' }
+        }]
+    };
+}
+
+module.exports = { FHIR_OUTPUTS, DEFAULT_DOCUMENT_SETTINGS, resolveDocumentSettings, buildDocumentReference, buildTransactionBundle };
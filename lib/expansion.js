@@ -0,0 +1,311 @@
+const { compareVersions } = require('./versions');
+const { compilePattern } = require('./validation');
+
+// --- EXPANSION LOGIC ---
+// resourceMap: canonical URL -> ValueSet/CodeSystem, indexed by `url`, `url|version` and, for the
+// bare url, the highest loaded version
+
+const TRANSLATION_EXTENSION = 'http://hl7.org/fhir/StructureDefinition/translation';
+// Answer scores, kept on the answerOptions an expansion produces (see lib/scoring.js)
+const ITEM_WEIGHT = 'http://hl7.org/fhir/StructureDefinition/itemWeight';
+const WEIGHT_EXTENSIONS = [ITEM_WEIGHT, 'http://hl7.org/fhir/StructureDefinition/ordinalValue'];
+
+function indexResource(resourceMap, r) {
+    if (!r || !r.url) return;
+    const [url, urlVersion] = r.url.split('|');
+    const version = r.version || urlVersion;
+
+    if (version) resourceMap.set(`${url}|${version}`, r);
+    const current = resourceMap.get(url);
+    const isOlder = current && current.resourceType === r.resourceType && current.version && version &&
+        compareVersions(current.version, version) > 0;
+    if (!isOlder) resourceMap.set(url, r);
+}
+
+// Finds a ValueSet or CodeSystem by canonical, honouring a pinned version
+function findResource(resourceMap, url, version, resourceType) {
+    const r = version ? resourceMap.get(`${url}|${version}`) : resourceMap.get(url);
+    return r && r.resourceType === resourceType ? r : null;
+}
+
+// Thrown while expanding; the message says why the ValueSet cannot be expanded completely
+class ExpansionError extends Error {}
+
+// The score of a concept: an itemWeight/ordinalValue extension, else an itemWeight property
+function conceptWeight(concept) {
+    const extension = (concept.extension || []).find(e => WEIGHT_EXTENSIONS.includes(e.url));
+    const property = (concept.property || []).find(p => p.code === 'itemWeight' || p.code === 'weight');
+    const value = extension ? (extension.valueDecimal ?? extension.valueInteger) : property && (property.valueDecimal ?? property.valueInteger);
+    return typeof value === 'number' ? value : undefined;
+}
+
+// --- CODE SYSTEMS ---
+
+function propertyValue(property) {
+    const key = Object.keys(property).find(k => k.startsWith('value'));
+    return key ? String(property[key]) : undefined;
+}
+
+// Flattens a CodeSystem into a Map(code -> { code, display, designation, weight, properties, parents, children }).
+// The hierarchy comes from nested concept.concept and from `parent`/`child` properties.
+function indexCodeSystem(cs) {
+    if (cs._index) return cs._index;
+    const concepts = new Map();
+
+    const add = (concept, parentCode) => {
+        const entry = concepts.get(concept.code) || {
+            code: concept.code,
+            display: concept.display,
+            designation: concept.designation || [],
+            weight: conceptWeight(concept),
+            properties: concept.property || [],
+            parents: new Set(),
+            children: new Set()
+        };
+        concepts.set(concept.code, entry);
+        if (parentCode) entry.parents.add(parentCode);
+        (concept.concept || []).forEach(child => add(child, concept.code));
+    };
+    (cs.concept || []).forEach(concept => add(concept, null));
+
+    concepts.forEach(entry => {
+        entry.properties.forEach(p => {
+            if (p.code === 'parent' && propertyValue(p)) entry.parents.add(propertyValue(p));
+            if (p.code === 'child' && propertyValue(p)) concepts.get(propertyValue(p))?.parents.add(entry.code);
+        });
+    });
+    concepts.forEach(entry => entry.parents.forEach(parent => concepts.get(parent)?.children.add(entry.code)));
+
+    // Cached on a non-enumerable property so it never ends up in written files
+    Object.defineProperty(cs, '_index', { value: concepts, enumerable: false });
+    return concepts;
+}
+
+function descendants(concepts, code) {
+    const found = new Set();
+    const walk = c => (concepts.get(c)?.children || []).forEach(child => {
+        if (!found.has(child)) { found.add(child); walk(child); }
+    });
+    walk(code);
+    return found;
+}
+
+function ancestors(concepts, code) {
+    const found = new Set();
+    const walk = c => (concepts.get(c)?.parents || []).forEach(parent => {
+        if (!found.has(parent)) { found.add(parent); walk(parent); }
+    });
+    walk(code);
+    return found;
+}
+
+// Values a filter property has for a concept: `code`/`concept` and `display` are built in
+function conceptValues(entry, property) {
+    if (property === 'code' || property === 'concept') return [entry.code];
+    if (property === 'display') return [entry.display];
+    return entry.properties.filter(p => p.code === property).map(propertyValue);
+}
+
+// Applies one compose filter to a CodeSystem; returns the Set of matching codes
+function applyFilter(concepts, filter, system) {
+    const { property, op, value } = filter;
+    const all = [...concepts.keys()];
+    const hierarchical = () => {
+        if (!concepts.has(value)) throw new ExpansionError(`Code ${value} in filter "${property} ${op}" not found in ${system}`);
+    };
+
+    switch (op) {
+        case 'is-a':
+            hierarchical();
+            return new Set([value, ...descendants(concepts, value)]);
+        case 'descendent-of':
+            hierarchical();
+            return descendants(concepts, value);
+        case 'is-not-a': {
+            hierarchical();
+            const excluded = new Set([value, ...descendants(concepts, value)]);
+            return new Set(all.filter(code => !excluded.has(code)));
+        }
+        case 'generalizes':
+            hierarchical();
+            return new Set([value, ...ancestors(concepts, value)]);
+        case '=':
+            return new Set(all.filter(code => conceptValues(concepts.get(code), property).includes(value)));
+        case 'in':
+        case 'not-in': {
+            const values = value.split(',').map(v => v.trim());
+            const matches = code => conceptValues(concepts.get(code), property).some(v => values.includes(v));
+            return new Set(all.filter(code => (op === 'in') === matches(code)));
+        }
+        case 'regex': {
+            let pattern;
+            try { pattern = compilePattern(`^(?:${value})$`); } catch (e) {
+                throw new ExpansionError(`Invalid regex filter "${value}": ${e.message}`);
+            }
+            return new Set(all.filter(code => conceptValues(concepts.get(code), property).some(v => v !== undefined && pattern.test(v))));
+        }
+        case 'exists': {
+            const wanted = value !== 'false';
+            return new Set(all.filter(code => (conceptValues(concepts.get(code), property).length > 0) === wanted));
+        }
+        default:
+            throw new ExpansionError(`Unsupported filter operator "${op}" on ${system}`);
+    }
+}
+
+// Abstract grouping concepts cannot be chosen as answers
+function isSelectable(entry) {
+    return !entry.properties.some(p => (p.code === 'notSelectable' || p.code === 'abstract') && propertyValue(p) === 'true');
+}
+
+function isInactive(entry) {
+    return entry.properties.some(p =>
+        (p.code === 'inactive' && propertyValue(p) === 'true') ||
+        (p.code === 'status' && ['retired', 'inactive', 'deprecated'].includes(propertyValue(p))));
+}
+
+// --- VALUE SETS ---
+
+// Codes of one compose.include / compose.exclude, as Map("system|code" -> coding)
+function evaluateSetComponent(component, resourceMap, context) {
+    let result = null;
+    const intersect = codes => {
+        if (result === null) { result = codes; return; }
+        result = new Map([...result].filter(([key]) => codes.has(key)));
+    };
+
+    if (component.system) {
+        const cs = findResource(resourceMap, component.system, component.version, 'CodeSystem');
+        const codes = new Map();
+        const concepts = cs ? indexCodeSystem(cs) : null;
+
+        if (component.concept) {
+            // Explicit codes are usable without the CodeSystem; it only adds displays and designations
+            component.concept.forEach(c => {
+                const entry = concepts && concepts.get(c.code);
+                codes.set(`${component.system}|${c.code}`, {
+                    system: component.system,
+                    code: c.code,
+                    display: c.display || (entry && entry.display),
+                    designation: (c.designation || []).concat(entry ? entry.designation : []),
+                    weight: conceptWeight(c) ?? (entry ? entry.weight : undefined)
+                });
+            });
+        } else {
+            if (!cs) {
+                throw new ExpansionError(`CodeSystem ${component.system}${component.version ? `|${component.version}` : ''} is not loaded`);
+            }
+            if (cs.content && cs.content !== 'complete') {
+                throw new ExpansionError(`CodeSystem ${component.system} has content "${cs.content}"; its concepts are not all available`);
+            }
+            let selected = new Set(concepts.keys());
+            (component.filter || []).forEach(filter => {
+                const matching = applyFilter(concepts, filter, component.system);
+                selected = new Set([...selected].filter(code => matching.has(code)));
+            });
+            selected.forEach(code => {
+                const entry = concepts.get(code);
+                if (!isSelectable(entry)) return;
+                if (context.inactive === false && isInactive(entry)) return;
+                codes.set(`${component.system}|${code}`, { system: component.system, code, display: entry.display, designation: entry.designation, weight: entry.weight });
+            });
+        }
+        intersect(codes);
+    }
+
+    (component.valueSet || []).forEach(canonical => intersect(expandToMap(canonical, resourceMap, context)));
+    return result || new Map();
+}
+
+function flattenContains(contains, codes) {
+    (contains || []).forEach(c => {
+        if (c.code && !c.abstract) {
+            codes.set(`${c.system}|${c.code}`, { system: c.system, code: c.code, display: c.display, designation: c.designation || [], weight: conceptWeight(c) });
+        }
+        flattenContains(c.contains, codes);
+    });
+    return codes;
+}
+
+function expandToMap(canonical, resourceMap, context) {
+    const [url, version] = canonical.split('|');
+    const vs = findResource(resourceMap, url, version, 'ValueSet');
+    if (!vs) throw new ExpansionError(`ValueSet ${canonical} is not loaded`);
+
+    if (context.stack.includes(url)) {
+        throw new ExpansionError(`ValueSet ${url} imports itself (${[...context.stack, url].join(' -> ')})`);
+    }
+
+    if (vs.expansion && vs.expansion.contains) return flattenContains(vs.expansion.contains, new Map());
+    if (!vs.compose || !vs.compose.include) throw new ExpansionError(`ValueSet ${canonical} has neither an expansion nor a compose`);
+
+    const nested = { ...context, stack: [...context.stack, url], inactive: vs.compose.inactive };
+    const codes = new Map();
+    vs.compose.include.forEach(component => {
+        evaluateSetComponent(component, resourceMap, nested).forEach((coding, key) => codes.set(key, coding));
+    });
+    (vs.compose.exclude || []).forEach(component => {
+        evaluateSetComponent(component, resourceMap, nested).forEach((coding, key) => codes.delete(key));
+    });
+    return codes;
+}
+
+// Expands a ValueSet against the loaded CodeSystems and ValueSets.
+// Returns { codes: [{ system, code, display, designation, weight }] } or { codes: null, reason } when the
+// ValueSet (or anything it depends on) cannot be expanded completely.
+function expandValueSet(canonical, resourceMap) {
+    try {
+        return { codes: [...expandToMap(canonical, resourceMap, { stack: [] }).values()], reason: null };
+    } catch (e) {
+        if (!(e instanceof ExpansionError)) throw e;
+        return { codes: null, reason: e.message };
+    }
+}
+
+// An answerOption for one code. With `language`, a matching designation becomes the display;
+// every language-tagged designation is kept as a translation extension on the display, the
+// concept's score as an itemWeight extension.
+function toAnswerOption(coding, language) {
+    const designations = (coding.designation || []).filter(d => d.value);
+    const preferred = language && designations.find(d => d.language && d.language.split('-')[0] === language.split('-')[0]);
+    const valueCoding = { system: coding.system, code: coding.code, display: preferred ? preferred.value : coding.display };
+
+    const translations = designations.filter(d => d.language && d !== preferred);
+    if (translations.length > 0) {
+        valueCoding._display = {
+            extension: translations.map(d => ({
+                url: TRANSLATION_EXTENSION,
+                extension: [{ url: 'lang', valueCode: d.language }, { url: 'content', valueString: d.value }]
+            }))
+        };
+    }
+    return coding.weight === undefined ? { valueCoding } : { valueCoding, extension: [{ url: ITEM_WEIGHT, valueDecimal: coding.weight }] };
+}
+
+function getOptionsFromValueSet(vsUrl, resourceMap, language = null) {
+    const { codes } = expandValueSet(vsUrl, resourceMap);
+    return codes && codes.length > 0 ? codes.map(coding => toAnswerOption(coding, language)) : null;
+}
+
+// Replaces answerValueSet with inline answerOption wherever the ValueSet can be expanded (in place).
+// Returns the items left unexpanded as [{ linkId, answerValueSet, reason }].
+function processItems(items, resourceMap, language = null, unexpanded = []) {
+    if (!items) return unexpanded;
+
+    items.forEach(item => {
+        if (item.item) processItems(item.item, resourceMap, language, unexpanded);
+
+        if (item.answerValueSet) {
+            const { codes, reason } = expandValueSet(item.answerValueSet, resourceMap);
+            if (codes && codes.length > 0) {
+                item.answerOption = codes.map(coding => toAnswerOption(coding, language));
+                delete item.answerValueSet;
+            } else {
+                unexpanded.push({ linkId: item.linkId, answerValueSet: item.answerValueSet, reason: reason || 'The expansion is empty' });
+            }
+        }
+    });
+    return unexpanded;
+}
+
+module.exports = { indexResource, expandValueSet, getOptionsFromValueSet, processItems };
@@ -0,0 +1,354 @@
+const { createDefinitionRegistry } = require('./definitions');
+
+// Returned for responses whose definition cannot be found (the Sanitizer will log warnings)
+function emptyQuestionnaire() {
+    return { resourceType: "Questionnaire", status: "active", item: [] };
+}
+
+// --- QUESTIONNAIRE RESOLUTION ---
+
+// Questionnaires carried in the input itself, indexed like the library
+function getBundleDefinitions(jsonData) {
+    const entries = jsonData.resourceType === 'Bundle' && jsonData.entry
+        ? jsonData.entry.filter(e => e.resource && e.resource.resourceType === 'Questionnaire')
+        : [];
+    const registry = createDefinitionRegistry();
+    entries.filter(e => e.resource.url).forEach(e => registry.add(e.resource));
+    return { entries, registry };
+}
+
+// A literal reference to a Bundle entry: its fullUrl, Questionnaire/id (relative or absolute) or id
+function referencesEntry(entry, ref) {
+    if (entry.fullUrl && entry.fullUrl === ref) return true;
+    const id = entry.resource.id;
+    return !!id && (ref === id || ref === `Questionnaire/${id}` || ref.endsWith(`/Questionnaire/${id}`));
+}
+
+function fromResource(questionnaire, source) {
+    return { questionnaire, url: questionnaire.url || null, version: questionnaire.version || null, match: 'reference', source, warning: null };
+}
+
+// Resolves the definition of one QR, looking in a fixed order: the QR's contained resources
+// (`#id` or canonical), then the input Bundle (canonical, fullUrl or id), then the library.
+// An exact or unversioned match wins over a version fallback found earlier in that order.
+// Returns the registry resolution plus `source` (contained | bundle | library), or null.
+function resolveQuestionnaire(qr, bundleDefinitions, registry) {
+    const ref = qr.questionnaire;
+    if (!ref) return null;
+
+    const contained = (qr.contained || []).filter(r => r.resourceType === 'Questionnaire');
+    if (ref.startsWith('#')) {
+        const match = contained.find(r => r.id === ref.slice(1));
+        return match ? fromResource(match, 'contained') : null;
+    }
+
+    const containedRegistry = createDefinitionRegistry();
+    contained.filter(r => r.url).forEach(r => containedRegistry.add(r));
+
+    const lookups = [
+        () => ({ ...containedRegistry.resolve(ref), source: 'contained' }),
+        () => {
+            const canonical = bundleDefinitions.registry.resolve(ref);
+            if (canonical) return { ...canonical, source: 'bundle' };
+            const entry = bundleDefinitions.entries.find(e => referencesEntry(e, ref));
+            return entry ? fromResource(entry.resource, 'bundle') : null;
+        },
+        () => ({ ...registry.resolve(ref), source: 'library' })
+    ];
+
+    let fallback = null;
+    for (const lookup of lookups) {
+        const resolved = lookup();
+        if (!resolved || !resolved.questionnaire) continue;
+        if (resolved.match !== 'version-fallback') return resolved;
+        fallback = fallback || resolved;
+    }
+    return fallback;
+}
+
+// --- REFERENCE LINKING ---
+
+const GROUP_BY = ['file', 'patient', 'response'];
+
+function getEntries(jsonData) {
+    if (jsonData.resourceType === 'Bundle' && jsonData.entry) return jsonData.entry.filter(e => e.resource);
+    return [{ resource: jsonData }];
+}
+
+// "Patient/123", "http://server/fhir/Patient/123/_history/2" -> "Patient/123"
+function referenceKey(reference) {
+    const match = /(?:^|\/)([A-Z][A-Za-z]+)\/([^/]+?)(?:\/_history\/[^/]+)?$/.exec(reference);
+    return match ? `${match[1]}/${match[2]}` : reference;
+}
+
+// Looks up Reference elements among the input's resources by fullUrl or type/id; without a
+// resourceType any target is returned
+function createReferenceIndex(entries) {
+    const index = new Map();
+    entries.forEach(({ fullUrl, resource }) => {
+        if (fullUrl) index.set(fullUrl, resource);
+        if (resource.id) index.set(`${resource.resourceType}/${resource.id}`, resource);
+    });
+    return (reference, resourceType) => {
+        if (!reference || !reference.reference) return null;
+        const target = index.get(reference.reference) || index.get(referenceKey(reference.reference));
+        return target && (!resourceType || target.resourceType === resourceType) ? target : null;
+    };
+}
+
+const sameIdentifier = (a, b) => Boolean(a && b && a.value && a.value === b.value && (!a.system || !b.system || a.system === b.system));
+
+// Finds the Patient and CarePlan a QR belongs to. Patient: QR.subject (by reference, or by
+// identifier), else the subject of QR.encounter; a QR without a subject falls back to the first Patient. CarePlan:
+// QR.basedOn, else a CarePlan for the same encounter, else one whose subject is that Patient;
+// with a single Patient in the input the first CarePlan is used as before.
+function linkResponse(qr, resources, resolve) {
+    const patients = resources.filter(r => r.resourceType === 'Patient');
+    const carePlans = resources.filter(r => r.resourceType === 'CarePlan');
+    const encounter = resolve(qr.encounter, 'Encounter');
+
+    const subject = qr.subject || {};
+    let patient = resolve(subject, 'Patient') || (encounter && resolve(encounter.subject, 'Patient')) || null;
+    // An identifier-only subject is the Patient with that identifier
+    if (!patient && !subject.reference && subject.identifier) {
+        patient = patients.find(p => (p.identifier || []).some(id => sameIdentifier(id, subject.identifier))) || null;
+    } else if (!patient && !subject.reference) {
+        patient = patients[0] || null;
+    }
+
+    const sameReference = (a, b) => !!(a && b && a.reference && b.reference && referenceKey(a.reference) === referenceKey(b.reference));
+    let carePlan = (qr.basedOn || []).map(ref => resolve(ref, 'CarePlan')).find(cp => cp) ||
+        (qr.encounter && carePlans.find(cp => sameReference(cp.encounter, qr.encounter))) ||
+        (patient && carePlans.find(cp => resolve(cp.subject, 'Patient') === patient)) ||
+        null;
+    if (!carePlan && patients.length <= 1) carePlan = carePlans[0] || null;
+
+    return { patient, carePlan };
+}
+
+// Identifies the patient of a QR for grouping: the linked Patient, else the subject reference or identifier
+function patientKey(qr, patient) {
+    if (patient) return patient.id ? `Patient/${patient.id}` : JSON.stringify(patient.identifier || patient.name || null);
+    const subject = qr.subject || {};
+    return subject.reference || (subject.identifier && `${subject.identifier.system || ''}|${subject.identifier.value}`) || subject.display || 'unknown';
+}
+
+// Splits the input into reports: one for the whole file, one per patient or one per QR.
+// Each group is { key, patient, carePlan, questionnaireResponses, patientCount }; the header
+// Patient and CarePlan are those linked to the group's first QR.
+function groupResponses(jsonData, groupBy = 'file') {
+    if (!GROUP_BY.includes(groupBy)) throw new Error(`Unknown grouping: ${groupBy} (expected ${GROUP_BY.join(', ')})`);
+
+    const entries = getEntries(jsonData);
+    const resources = entries.map(e => e.resource);
+    const resolve = createReferenceIndex(entries);
+    const linked = resources
+        .filter(r => r.resourceType === 'QuestionnaireResponse')
+        .map(qr => ({ qr, ...linkResponse(qr, resources, resolve) }));
+
+    const groups = new Map();
+    linked.forEach((item, index) => {
+        let key = groupBy === 'file' ? 'file' : groupBy === 'patient' ? patientKey(item.qr, item.patient) : `QuestionnaireResponse/${item.qr.id || ''}`;
+        // Every response is its own report, even with a missing or repeated id
+        if (groupBy === 'response' && groups.has(key)) key += `#${index + 1}`;
+        if (!groups.has(key)) groups.set(key, { key, patient: item.patient, carePlan: item.carePlan, questionnaireResponses: [], patients: new Set() });
+        const group = groups.get(key);
+        group.questionnaireResponses.push(item.qr);
+        group.patients.add(patientKey(item.qr, item.patient));
+    });
+
+    return [...groups.values()].map(({ patients, ...group }) => ({ ...group, patientCount: patients.size }));
+}
+
+// --- ANSWER CONTENT ---
+// What the template needs to show answers that point elsewhere: reference displays, attachments
+// whose content is a Binary, DocumentReference or Media in the input (or contained in the QR), and
+// the QR's signatures. Nothing is fetched from outside the input.
+
+const SIGNATURE_EXTENSION = 'http://hl7.org/fhir/StructureDefinition/questionnaireresponse-signature';
+
+function humanName(names) {
+    const name = (names || [])[0];
+    if (!name) return null;
+    return name.text || [...(name.prefix || []), ...(name.given || []), name.family].filter(part => part).join(' ') || null;
+}
+
+// A readable name for a referenced resource
+function describeResource(resource) {
+    const coding = concept => concept && (concept.text || ((concept.coding || [])[0] || {}).display);
+    return humanName(resource.name) || (typeof resource.name === 'string' ? resource.name : null) ||
+        resource.title || coding(resource.code) || coding(resource.type) || resource.description || null;
+}
+
+// The Attachment carried by a Binary, DocumentReference or Media
+function attachmentOf(resource) {
+    if (resource.resourceType === 'Binary') return resource.data ? { contentType: resource.contentType, data: resource.data } : null;
+    if (resource.resourceType === 'DocumentReference') return ((resource.content || [])[0] || {}).attachment || null;
+    if (resource.resourceType === 'Media') return resource.content || null;
+    return null;
+}
+
+// Returns { references: { reference: display }, attachments: { url: Attachment }, signatures: [...] }
+function resolveAnswerContent(qr, resolve) {
+    const contained = new Map((qr.contained || []).filter(r => r.id).map(r => [`#${r.id}`, r]));
+    const lookup = reference => (reference && reference.reference && contained.get(reference.reference)) || resolve(reference);
+    const references = {};
+    const attachments = {};
+    const display = reference => {
+        if (!reference) return null;
+        if (reference.display) return reference.display;
+        const target = lookup(reference);
+        return (target && describeResource(target)) || reference.reference || (reference.identifier && reference.identifier.value) || null;
+    };
+
+    const visit = items => (items || []).forEach(item => {
+        (item.answer || []).forEach(answer => {
+            if (answer.valueReference && answer.valueReference.reference) {
+                references[answer.valueReference.reference] = display(answer.valueReference);
+            }
+            const attachment = answer.valueAttachment;
+            if (attachment && !attachment.data && attachment.url && !(attachment.url in attachments)) {
+                const target = lookup({ reference: attachment.url });
+                const content = target && attachmentOf(target);
+                // A DocumentReference may itself point to a Binary
+                const data = content && !content.data && content.url ? attachmentOf(lookup({ reference: content.url }) || {}) : content;
+                if (data && data.data) attachments[attachment.url] = { contentType: data.contentType || content.contentType, data: data.data };
+            }
+            visit(answer.item);
+        });
+        visit(item.item);
+    });
+    visit(qr.item);
+
+    const signatures = (qr.extension || []).filter(e => e.url === SIGNATURE_EXTENSION && e.valueSignature).map(({ valueSignature: sig }) => ({
+        type: (sig.type || []).map(t => t.display || t.code).filter(t => t).join(', ') || null,
+        when: sig.when || null,
+        signer: display(sig.who),
+        onBehalfOf: display(sig.onBehalfOf),
+        format: sig.sigFormat || null,
+        data: sig.data || null
+    }));
+
+    return { references, attachments, signatures };
+}
+
+// --- REPORT DATA ---
+
+// The Patient, CarePlan and responses of one report, without their definitions
+function linkReportGroup(jsonData, group) {
+    const reportGroup = group || groupResponses(jsonData)[0] || { patient: null, carePlan: null, questionnaireResponses: [] };
+    const questionnaireResponses = reportGroup.questionnaireResponses;
+    const qResponse = questionnaireResponses[0]; // Use first QR for backwards compatibility
+    let patient = reportGroup.patient;
+    let carePlan = reportGroup.carePlan;
+
+    // If no Patient resource is linked, create a placeholder that will trigger QR fallback
+    if (!patient) {
+        patient = { resourceType: "Patient", name: null }; // null name will trigger QR fallback
+    }
+    
+    // If no CarePlan resource is linked, create a placeholder
+    if (!carePlan) {
+        carePlan = { resourceType: "CarePlan", category: null }; // null category will trigger fallback
+    }
+
+    return { 
+        fileName: jsonData.id || 'report', 
+        patient, 
+        carePlan, 
+        questionnaire: null, 
+        questionnaireResponse: qResponse,
+        questionnaireResponses // Include all QRs for potential future use
+    };
+}
+
+// `group` (from groupResponses) limits the data to one report; by default the whole input is used
+function normalizeFHIRData(jsonData, registry, log, group = null) {
+    const data = linkReportGroup(jsonData, group);
+    const qResponse = data.questionnaireResponse;
+    if (qResponse) {
+        const resolved = resolveQuestionnaire(qResponse, getBundleDefinitions(jsonData), registry);
+        if (resolved) {
+            data.questionnaire = resolved.questionnaire;
+        } else {
+            log(`Definition not found for ${qResponse.questionnaire}`, 'WARN');
+            data.questionnaire = emptyQuestionnaire();
+        }
+    }
+    return data;
+}
+
+// Builds the data passed to renderFromData() in the template: every QR paired with its definition.
+// Returns null when the input (or group) holds no QuestionnaireResponse.
+function buildReportData(jsonData, registry, log, group = null) {
+    const bundleDefinitions = getBundleDefinitions(jsonData);
+    const entries = getEntries(jsonData);
+    const resources = entries.map(e => e.resource);
+    const resolve = createReferenceIndex(entries);
+    // Each definition is resolved once, in the loop below
+    const processedData = linkReportGroup(jsonData, group);
+
+    if (!processedData.questionnaireResponses || processedData.questionnaireResponses.length === 0) {
+        return null;
+    }
+
+    const patientCount = group ? group.patientCount : (groupResponses(jsonData)[0] || {}).patientCount;
+    if (patientCount > 1) {
+        log(`  Input holds responses for ${patientCount} patients; the header shows the first. Group by patient for one report per patient.`, 'WARN');
+    }
+
+    // Prepare combined data with all QRs and their questionnaires
+    const combinedQRData = [];
+    for (let i = 0; i < processedData.questionnaireResponses.length; i++) {
+        const currentQR = processedData.questionnaireResponses[i];
+        log(`  Processing QR ${i + 1}/${processedData.questionnaireResponses.length}: ${currentQR.questionnaire}`, 'INFO');
+
+        // Find the definition version this QR was answered on (or the latest one)
+        const resolved = resolveQuestionnaire(currentQR, bundleDefinitions, registry);
+        const definitionMissing = !resolved;
+        let questionnaire;
+
+        if (definitionMissing) {
+            log(`  Definition not found for ${currentQR.questionnaire}`, 'WARN');
+            questionnaire = emptyQuestionnaire();
+        } else {
+            if (resolved.warning) log(`  ${resolved.warning}`, 'WARN');
+            if (resolved.source !== 'library') log(`  Using the Questionnaire from the ${resolved.source === 'bundle' ? 'input Bundle' : 'contained resources'}`, 'INFO');
+            questionnaire = resolved.questionnaire;
+        }
+
+        combinedQRData.push({
+            questionnaireResponse: currentQR,
+            questionnaire: questionnaire,
+            definitionMissing,
+            resolvedQuestionnaire: definitionMissing ? null : { source: resolved.source, url: resolved.url, version: resolved.version, match: resolved.match },
+            content: resolveAnswerContent(currentQR, resolve),
+            // Whose response this is, for the comparison render mode
+            patientKey: patientKey(currentQR, linkResponse(currentQR, resources, resolve).patient),
+            title: questionnaire.title || currentQR.questionnaire?.split('/').pop().split('|')[0] || `Questionnaire ${i + 1}`
+        });
+    }
+
+    // Create combined data structure
+    return {
+        ...processedData,
+        questionnaire: combinedQRData[0].questionnaire,
+        combinedQuestionnaires: combinedQRData,
+        isMultipleQR: combinedQRData.length > 1
+    };
+}
+
+module.exports = {
+    GROUP_BY,
+    SIGNATURE_EXTENSION,
+    normalizeFHIRData,
+    buildReportData,
+    resolveQuestionnaire,
+    resolveAnswerContent,
+    groupResponses,
+    getEntries,
+    createReferenceIndex,
+    linkResponse,
+    patientKey,
+    referenceKey
+};
@@ -0,0 +1,202 @@
+// --- FHIR XML -> JSON ---
+// Converts FHIR XML (http://hl7.org/fhir/xml.html) into the JSON representation used everywhere
+// else. XML does not say which elements repeat or which primitives are numbers or booleans, so
+// that is decided from the element names below (covering the resources this tool reads), from
+// where the element occurs for names that repeat in some places only, and from elements that
+// occur more than once.
+
+// Elements that are always arrays
+const ARRAY_ELEMENTS = new Set([
+    'extension', 'modifierExtension', 'contained', 'entry', 'link', 'item', 'answer', 'answerOption',
+    'enableWhen', 'initial', 'given', 'prefix', 'suffix', 'line', 'coding', 'telecom',
+    'address', 'contact', 'category', 'basedOn', 'partOf', 'derivedFrom', 'replaces',
+    'instantiatesCanonical', 'instantiatesUri', 'activity', 'goal', 'addresses', 'supportingInfo',
+    'careTeam', 'note', 'participant', 'reasonCode', 'reasonReference', 'diagnosis', 'location',
+    'designation', 'concept', 'include', 'exclude', 'filter', 'valueSet', 'contains', 'parameter',
+    'useContext', 'jurisdiction', 'communication', 'generalPractitioner', 'profile', 'tag', 'security',
+    'subjectType', 'qualification'
+]);
+
+// Elements that are arrays when complex but single primitives elsewhere
+// (Patient.name vs Questionnaire.name, Questionnaire.item.code vs Coding.code, ...)
+const COMPLEX_ARRAY_ELEMENTS = new Set(['name', 'code', 'property']);
+
+// Resources whose own identifier is 0..1
+const SINGLE_IDENTIFIER_RESOURCES = new Set(['QuestionnaireResponse', 'Bundle', 'Composition']);
+
+// Elements that are arrays depending on the path of the element they are in ("Patient",
+// "QuestionnaireResponse.extension.valueSignature", ...)
+const PATH_ARRAY_ELEMENTS = new Map([
+    // Resource.identifier and Practitioner.qualification.identifier, but not Reference.identifier
+    ['identifier', parentPath => (!parentPath.includes('.') && !SINGLE_IDENTIFIER_RESOURCES.has(parentPath)) ||
+        parentPath.endsWith('.qualification')],
+    // Signature.type
+    ['type', parentPath => /\.(valueSignature|signature)$/.test(parentPath)]
+]);
+
+const BOOLEAN_ELEMENTS = new Set([
+    'active', 'required', 'repeats', 'readOnly', 'abstract', 'experimental', 'inactive', 'immutable',
+    'caseSensitive', 'compositional', 'versionNeeded', 'lockedDate', 'userSelected', 'initialSelected',
+    'doNotPerform'
+]);
+const NUMBER_ELEMENTS = new Set([
+    'total', 'maxLength', 'rank', 'count', 'offset', 'size', 'sequence',
+    'frequency', 'frequencyMax', 'period', 'periodMax', 'duration', 'durationMax'
+]);
+const NUMBER_SUFFIX = /(Integer|Decimal|UnsignedInt|PositiveInt)$/;
+// Quantity-typed elements, whose `value` is a decimal
+const QUANTITY_ELEMENTS = /^(valueQuantity|answerQuantity|initialQuantity|valueAge|valueDuration|valueDistance|valueCount|valueMoney|low|high|numerator|denominator|quantity|amount)$/;
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+    });
+}
+
+const localName = name => name.slice(name.indexOf(':') + 1);
+
+// A small non-validating XML parser. Returns the root element as
+// { name, attrs, children, start, end } (text content is not needed for FHIR and is dropped).
+// DOCTYPE declarations are refused, so entity expansion attacks are impossible.
+function parseXml(text) {
+    const root = { children: [] };
+    const stack = [root];
+    const startTag = /<([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+    let pos = 0;
+
+    const skipTo = (marker, from, what) => {
+        const end = text.indexOf(marker, from);
+        if (end === -1) throw new Error(`Unterminated ${what} at position ${from}`);
+        return end + marker.length;
+    };
+
+    while (pos < text.length) {
+        const lt = text.indexOf('<', pos);
+        if (lt === -1) break;
+
+        if (text.startsWith('<!--', lt)) { pos = skipTo('-->', lt, 'comment'); continue; }
+        if (text.startsWith('<?', lt)) { pos = skipTo('?>', lt, 'processing instruction'); continue; }
+        if (text.startsWith('<![CDATA[', lt)) { pos = skipTo(']]>', lt, 'CDATA section'); continue; }
+        if (text.startsWith('<!', lt)) throw new Error('DOCTYPE and entity declarations are not allowed');
+
+        if (text.startsWith('</', lt)) {
+            const end = skipTo('>', lt, 'end tag');
+            const name = text.slice(lt + 2, end - 1).trim();
+            const element = stack.pop();
+            if (stack.length === 0 || element.name !== name) {
+                throw new Error(`Unexpected </${name}> at position ${lt}`);
+            }
+            element.end = end;
+            pos = end;
+            continue;
+        }
+
+        startTag.lastIndex = lt;
+        const match = startTag.exec(text);
+        if (!match) throw new Error(`Malformed tag at position ${lt}`);
+
+        const attrs = {};
+        const attrPattern = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let attr;
+        while ((attr = attrPattern.exec(match[2])) !== null) {
+            attrs[attr[1]] = decodeEntities(attr[2] !== undefined ? attr[2] : attr[3]);
+        }
+
+        const element = { name: match[1], attrs, children: [], start: lt, end: null };
+        stack[stack.length - 1].children.push(element);
+        if (match[3]) element.end = startTag.lastIndex;
+        else stack.push(element);
+        pos = startTag.lastIndex;
+    }
+
+    if (stack.length !== 1) throw new Error(`Unclosed element <${stack[stack.length - 1].name}>`);
+    if (root.children.length !== 1) throw new Error('Expected exactly one root element');
+    return root.children[0];
+}
+
+function typedValue(name, parentName, value) {
+    if (BOOLEAN_ELEMENTS.has(name) || /Boolean$/.test(name)) return value === 'true';
+    if (NUMBER_ELEMENTS.has(name) || NUMBER_SUFFIX.test(name) || (name === 'value' && QUANTITY_ELEMENTS.test(parentName))) {
+        const number = Number(value);
+        return isNaN(number) ? value : number;
+    }
+    return value;
+}
+
+const isPrimitive = element => element.attrs.value !== undefined;
+
+// Element wrapping a resource (contained, Bundle.entry.resource, Parameters.parameter.resource):
+// its only child is named after a resource type
+function wrappedResource(element) {
+    return element.children.length === 1 && /^[A-Z]/.test(localName(element.children[0].name)) ? element.children[0] : null;
+}
+
+// path: where element is, starting from the resource type (see PATH_ARRAY_ELEMENTS)
+function convertChildren(element, text, path) {
+    const result = {};
+    const byName = new Map();
+    element.children.forEach(child => {
+        const name = localName(child.name);
+        if (!byName.has(name)) byName.set(name, []);
+        byName.get(name).push(child);
+    });
+
+    const parentName = localName(element.name);
+    byName.forEach((elements, name) => {
+        const childPath = `${path}.${name}`;
+        const isArray = elements.length > 1 || ARRAY_ELEMENTS.has(name) ||
+            (COMPLEX_ARRAY_ELEMENTS.has(name) && !isPrimitive(elements[0])) ||
+            (PATH_ARRAY_ELEMENTS.has(name) && PATH_ARRAY_ELEMENTS.get(name)(path));
+        const values = [];
+        const primitiveMeta = [];
+
+        elements.forEach(child => {
+            const resource = wrappedResource(child);
+            if (name === 'div' && parentName === 'text') {
+                // Narrative xhtml is kept as an xhtml string
+                values.push(text.slice(child.start, child.end));
+                primitiveMeta.push(null);
+            } else if (resource) {
+                values.push(convertResource(resource, text));
+                primitiveMeta.push(null);
+            } else if (isPrimitive(child)) {
+                values.push(typedValue(name, parentName, child.attrs.value));
+                // Element ids and extensions of primitives go into the _name sibling
+                const meta = convertChildren(child, text, childPath);
+                if (child.attrs.id) meta.id = child.attrs.id;
+                primitiveMeta.push(Object.keys(meta).length > 0 ? meta : null);
+            } else {
+                const value = {};
+                if (child.attrs.id) value.id = child.attrs.id;
+                if (child.attrs.url) value.url = child.attrs.url;
+                Object.assign(value, convertChildren(child, text, childPath));
+                values.push(value);
+                primitiveMeta.push(null);
+            }
+        });
+
+        result[name] = isArray ? values : values[0];
+        if (primitiveMeta.some(meta => meta)) result[`_${name}`] = isArray ? primitiveMeta : primitiveMeta[0];
+    });
+    return result;
+}
+
+function convertResource(element, text) {
+    const resourceType = localName(element.name);
+    return { resourceType, ...convertChildren(element, text, resourceType) };
+}
+
+// Parses a FHIR XML document (a resource or Bundle) into FHIR JSON
+function parseFhirXml(text) {
+    const root = parseXml(text);
+    if (!/^[A-Z]/.test(localName(root.name))) throw new Error(`<${root.name}> is not a FHIR resource`);
+    return convertResource(root, text);
+}
+
+module.exports = { parseFhirXml };
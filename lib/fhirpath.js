@@ -0,0 +1,428 @@
+// --- FHIRPATH (SUBSET) ---
+// A small FHIRPath evaluator (http://hl7.org/fhirpath/) for report configuration and scoring:
+// paths with choice types (`answer.value`), indexers, environment variables (%patient, ...), the
+// usual operators and the common collection, math and string functions. Callers may add their own
+// functions (see compileFhirPath). Every expression evaluates to a collection (array). Types, dates
+// and quantities are not modelled.
+
+const { compilePattern } = require('./validation');
+
+class FhirPathError extends Error {}
+
+// --- TOKENIZER ---
+
+const OPERATOR_TOKENS = ['!=', '<=', '>=', '!~', '=', '~', '<', '>', '&', '|', '.', '[', ']', '(', ')', '{', '}', ',', '+', '-', '*', '/'];
+
+function tokenize(expression) {
+    const tokens = [];
+    let pos = 0;
+    while (pos < expression.length) {
+        const rest = expression.slice(pos);
+        let match;
+        if ((match = /^\s+/.exec(rest)) || (match = /^\/\/[^\n]*/.exec(rest))) {
+            pos += match[0].length;
+        } else if ((match = /^'((?:[^'\\]|\\.)*)'/.exec(rest))) {
+            const value = match[1].replace(/\\(u[0-9a-fA-F]{4}|.)/g, (_, c) =>
+                c.length > 1 ? String.fromCharCode(parseInt(c.slice(1), 16)) : ({ n: '\n', r: '\r', t: '\t', f: '\f' }[c] || c));
+            tokens.push({ type: 'string', value, pos });
+            pos += match[0].length;
+        } else if ((match = /^\d+(?:\.\d+)?/.exec(rest))) {
+            tokens.push({ type: 'number', value: Number(match[0]), pos });
+            pos += match[0].length;
+        } else if ((match = /^%(?:([A-Za-z_]\w*)|`([^`]*)`|'([^']*)')/.exec(rest))) {
+            tokens.push({ type: 'variable', value: match[1] || match[2] || match[3], pos });
+            pos += match[0].length;
+        } else if ((match = /^\$(this|index|total)\b/.exec(rest))) {
+            tokens.push({ type: 'special', value: match[1], pos });
+            pos += match[0].length;
+        } else if ((match = /^(?:([A-Za-z_]\w*)|`([^`]*)`)/.exec(rest))) {
+            tokens.push({ type: 'identifier', value: match[1] || match[2], quoted: !match[1], pos });
+            pos += match[0].length;
+        } else {
+            const operator = OPERATOR_TOKENS.find(op => rest.startsWith(op));
+            if (!operator) throw new FhirPathError(`Unexpected character "${rest[0]}" at position ${pos}`);
+            tokens.push({ type: 'operator', value: operator, pos });
+            pos += operator.length;
+        }
+    }
+    tokens.push({ type: 'end', pos });
+    return tokens;
+}
+
+// --- PARSER ---
+
+// Binary operators by precedence, loosest first (FHIRPath §6.12); `is`/`as`/`in` are not supported
+const BINARY_PRECEDENCE = [
+    ['implies'],
+    ['or', 'xor'],
+    ['and'],
+    ['=', '~', '!=', '!~'],
+    ['<', '>', '<=', '>='],
+    ['|'],
+    ['+', '-', '&'],
+    ['*', '/', 'div', 'mod']
+];
+
+function parse(expression, functions = {}) {
+    const tokens = tokenize(expression);
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isOperator = (token, ...values) =>
+        (token.type === 'operator' || (token.type === 'identifier' && !token.quoted)) && values.includes(token.value);
+    const expect = value => {
+        const token = next();
+        if (!isOperator(token, value)) throw new FhirPathError(`Expected "${value}" at position ${token.pos} in ${expression}`);
+    };
+
+    function parseBinary(level) {
+        if (level === BINARY_PRECEDENCE.length) return parseUnary();
+        let left = parseBinary(level + 1);
+        while (isOperator(peek(), ...BINARY_PRECEDENCE[level])) {
+            const op = next().value;
+            left = { type: 'binary', op, left, right: parseBinary(level + 1) };
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        if (isOperator(peek(), '-', '+')) {
+            const op = next().value;
+            return { type: 'unary', op, operand: parseUnary() };
+        }
+        return parsePostfix(parseTerm());
+    }
+
+    function parseArguments() {
+        const args = [];
+        expect('(');
+        while (!isOperator(peek(), ')')) {
+            if (args.length > 0) expect(',');
+            args.push(parseBinary(0));
+        }
+        expect(')');
+        return args;
+    }
+
+    function parseInvocation(target) {
+        const token = next();
+        if (token.type !== 'identifier') throw new FhirPathError(`Expected a name at position ${token.pos} in ${expression}`);
+        if (!token.quoted && isOperator(peek(), '(')) {
+            const name = token.value;
+            if (!FUNCTIONS[name] && !functions[name]) throw new FhirPathError(`Unsupported function ${name}() in ${expression}`);
+            return { type: 'call', target, name, args: parseArguments() };
+        }
+        return { type: 'member', target, name: token.value };
+    }
+
+    function parseTerm() {
+        const token = peek();
+        if (token.type === 'string' || token.type === 'number') { next(); return { type: 'literal', value: [token.value] }; }
+        if (token.type === 'variable') { next(); return { type: 'variable', name: token.value }; }
+        if (token.type === 'special') { next(); return { type: 'special', name: token.value }; }
+        if (isOperator(token, '{')) {
+            // {} is the empty collection
+            next();
+            expect('}');
+            return { type: 'literal', value: [] };
+        }
+        if (isOperator(token, '(')) {
+            next();
+            const inner = parseBinary(0);
+            expect(')');
+            return inner;
+        }
+        if (token.type === 'identifier' && !token.quoted && (token.value === 'true' || token.value === 'false')) {
+            next();
+            return { type: 'literal', value: [token.value === 'true'] };
+        }
+        if (token.type === 'identifier') return parseInvocation(null);
+        throw new FhirPathError(token.type === 'end'
+            ? `Unexpected end of expression: ${expression}`
+            : `Unexpected "${token.value}" at position ${token.pos} in ${expression}`);
+    }
+
+    function parsePostfix(node) {
+        for (;;) {
+            if (isOperator(peek(), '.')) {
+                next();
+                node = parseInvocation(node);
+            } else if (isOperator(peek(), '[')) {
+                next();
+                const indexExpression = parseBinary(0);
+                expect(']');
+                node = { type: 'index', target: node, index: indexExpression };
+            } else {
+                return node;
+            }
+        }
+    }
+
+    const ast = parseBinary(0);
+    if (peek().type !== 'end') throw new FhirPathError(`Unexpected "${peek().value}" at position ${peek().pos} in ${expression}`);
+    return ast;
+}
+
+// --- EVALUATION ---
+
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => deepEqual(a[key], b[key]));
+}
+
+// Singleton evaluation of collections: empty -> undefined, a single boolean -> itself,
+// any other single item -> true
+function toBoolean(collection) {
+    if (collection.length === 0) return undefined;
+    if (collection.length > 1) throw new FhirPathError('Expected a single value but found a collection');
+    return typeof collection[0] === 'boolean' ? collection[0] : true;
+}
+
+function singleton(collection, what) {
+    if (collection.length > 1) throw new FhirPathError(`${what} expects a single value but found ${collection.length}`);
+    return collection[0];
+}
+
+const fromBoolean = value => value === undefined ? [] : [value];
+
+function children(item, name) {
+    if (item === null || typeof item !== 'object') return [];
+    let values;
+    if (item[name] !== undefined) {
+        values = [item[name]];
+    } else {
+        // Choice types: `value` finds valueString, valueCoding, ...
+        values = Object.keys(item)
+            .filter(key => key.length > name.length && key.startsWith(name) && /[A-Z]/.test(key[name.length]))
+            .map(key => item[key]);
+    }
+    return values.flatMap(value => Array.isArray(value) ? value : [value]).filter(value => value !== null && value !== undefined);
+}
+
+const mathFunction = fn => focus => {
+    const value = singleton(focus, 'Math function');
+    if (value === undefined) return [];
+    if (typeof value !== 'number') throw new FhirPathError('Math functions expect a number');
+    return [fn(value)];
+};
+
+const stringFunction = fn => (focus, args, evaluate) => {
+    const value = singleton(focus, 'String function');
+    if (value === undefined) return [];
+    return fn(String(value), ...args.map(arg => singleton(evaluate(arg, focus), 'Argument')));
+};
+
+// Patterns come from the expression, so they go through the same guard as ValueSet regex filters
+function pattern(regex, flags) {
+    try {
+        return compilePattern(String(regex), flags);
+    } catch (e) {
+        throw new FhirPathError(`Invalid pattern "${regex}": ${e.message}`);
+    }
+}
+
+// name -> (focus, args (ASTs), evaluate(ast, focus, extra)) -> collection
+const FUNCTIONS = {
+    where: (focus, [criteria], evaluate) => focus.filter((item, i) => toBoolean(evaluate(criteria, [item], { index: i })) === true),
+    select: (focus, [projection], evaluate) => focus.flatMap((item, i) => evaluate(projection, [item], { index: i })),
+    // The projection applied again to its own results until nothing new turns up
+    repeat: (focus, [projection], evaluate) => {
+        const result = [];
+        let current = focus;
+        while (current.length > 0) {
+            current = current.flatMap((item, i) => evaluate(projection, [item], { index: i })).filter(item => !result.includes(item));
+            result.push(...current);
+        }
+        return result;
+    },
+    children: focus => focus.flatMap(item => (item !== null && typeof item === 'object' ? Object.keys(item).flatMap(key => children(item, key)) : [])),
+    descendants: focus => {
+        const result = [];
+        for (let current = FUNCTIONS.children(focus); current.length > 0; current = FUNCTIONS.children(current)) result.push(...current);
+        return result;
+    },
+    aggregate: (focus, [aggregator, init], evaluate) => focus.reduce(
+        (total, item, i) => evaluate(aggregator, [item], { index: i, total }), init ? evaluate(init, focus) : []),
+    exists: (focus, [criteria], evaluate) => [criteria ? FUNCTIONS.where(focus, [criteria], evaluate).length > 0 : focus.length > 0],
+    all: (focus, [criteria], evaluate) => [focus.every((item, i) => toBoolean(evaluate(criteria, [item], { index: i })) === true)],
+    empty: focus => [focus.length === 0],
+    hasValue: focus => [focus.length === 1 && focus[0] !== null && typeof focus[0] !== 'object'],
+    count: focus => [focus.length],
+    first: focus => focus.slice(0, 1),
+    last: focus => focus.slice(-1),
+    tail: focus => focus.slice(1),
+    skip: (focus, [n], evaluate) => focus.slice(singleton(evaluate(n, focus), 'skip()')),
+    take: (focus, [n], evaluate) => focus.slice(0, singleton(evaluate(n, focus), 'take()')),
+    distinct: focus => focus.filter((item, i) => focus.findIndex(other => deepEqual(item, other)) === i),
+    not: focus => fromBoolean(toBoolean(focus) === undefined ? undefined : !toBoolean(focus)),
+    iif: (focus, [criterion, whenTrue, otherwise], evaluate) => {
+        if (toBoolean(evaluate(criterion, focus)) === true) return evaluate(whenTrue, focus);
+        return otherwise ? evaluate(otherwise, focus) : [];
+    },
+    join: (focus, [separator], evaluate) => {
+        const sep = separator ? singleton(evaluate(separator, focus), 'join()') : '';
+        return focus.length === 0 ? [] : [focus.map(String).join(sep)];
+    },
+    sum: focus => focus.length === 0 ? [0] : [focus.reduce((total, value) => total + Number(value), 0)],
+    min: focus => focus.length === 0 ? [] : [Math.min(...focus.map(Number))],
+    max: focus => focus.length === 0 ? [] : [Math.max(...focus.map(Number))],
+    abs: mathFunction(Math.abs),
+    ceiling: mathFunction(Math.ceil),
+    floor: mathFunction(Math.floor),
+    round: (focus, [precision], evaluate) => {
+        const digits = precision ? singleton(evaluate(precision, focus), 'round()') : 0;
+        return mathFunction(value => Number(value.toFixed(digits)))(focus);
+    },
+    toString: focus => focus.length === 0 ? [] : [String(singleton(focus, 'toString()'))],
+    toInteger: focus => {
+        const value = Number(singleton(focus, 'toInteger()'));
+        return Number.isInteger(value) ? [value] : [];
+    },
+    toDecimal: focus => {
+        const value = Number(singleton(focus, 'toDecimal()'));
+        return focus.length > 0 && !isNaN(value) ? [value] : [];
+    },
+    startsWith: stringFunction((s, prefix) => [s.startsWith(prefix)]),
+    endsWith: stringFunction((s, suffix) => [s.endsWith(suffix)]),
+    contains: stringFunction((s, part) => [s.includes(part)]),
+    matches: stringFunction((s, regex) => [pattern(regex).test(s)]),
+    replace: stringFunction((s, pattern, substitution) => [s.split(pattern).join(substitution)]),
+    replaceMatches: stringFunction((s, regex, substitution) => [s.replace(pattern(regex, 'g'), substitution)]),
+    split: stringFunction((s, separator) => s.split(separator)),
+    substring: stringFunction((s, start, length) => start >= s.length ? [] : [s.substr(start, length)]),
+    trim: stringFunction(s => [s.trim()]),
+    lower: stringFunction(s => [s.toLowerCase()]),
+    upper: stringFunction(s => [s.toUpperCase()]),
+    length: stringFunction(s => [s.length])
+};
+
+function arithmetic(op, left, right) {
+    const a = singleton(left, op);
+    const b = singleton(right, op);
+    if (a === undefined || b === undefined) return [];
+    if (op === '+' && (typeof a === 'string' || typeof b === 'string')) return [String(a) + String(b)];
+    if (typeof a !== 'number' || typeof b !== 'number') throw new FhirPathError(`Operator ${op} expects numbers`);
+    switch (op) {
+        case '+': return [a + b];
+        case '-': return [a - b];
+        case '*': return [a * b];
+        case '/': return b === 0 ? [] : [a / b];
+        case 'div': return b === 0 ? [] : [Math.trunc(a / b)];
+        case 'mod': return b === 0 ? [] : [a % b];
+    }
+    return [];
+}
+
+function compare(op, left, right) {
+    const a = singleton(left, op);
+    const b = singleton(right, op);
+    if (a === undefined || b === undefined) return [];
+    switch (op) {
+        case '<': return [a < b];
+        case '>': return [a > b];
+        case '<=': return [a <= b];
+        case '>=': return [a >= b];
+    }
+    return [];
+}
+
+function equals(left, right) {
+    if (left.length === 0 || right.length === 0) return undefined;
+    return left.length === right.length && left.every((item, i) => deepEqual(item, right[i]));
+}
+
+// Equivalence (~): case-insensitive strings, order-independent collections, empty ~ empty
+function equivalent(left, right) {
+    const normalise = v => typeof v === 'string' ? v.toLowerCase().replace(/\s+/g, ' ').trim() : v;
+    if (left.length !== right.length) return false;
+    return left.every(item => right.some(other => deepEqual(normalise(item), normalise(other))));
+}
+
+function evaluateBinary(node, focus, context) {
+    const left = evaluateNode(node.left, focus, context);
+    // and/or/implies use three-valued logic and may skip the right-hand side
+    if (node.op === 'and' || node.op === 'or' || node.op === 'xor' || node.op === 'implies') {
+        const a = toBoolean(left);
+        if (node.op === 'and' && a === false) return [false];
+        if (node.op === 'or' && a === true) return [true];
+        if (node.op === 'implies' && a === false) return [true];
+        const b = toBoolean(evaluateNode(node.right, focus, context));
+        switch (node.op) {
+            case 'and': return fromBoolean(b === false ? false : a === true && b === true ? true : undefined);
+            case 'or': return fromBoolean(b === true ? true : a === false && b === false ? false : undefined);
+            case 'xor': return fromBoolean(a === undefined || b === undefined ? undefined : a !== b);
+            case 'implies': return fromBoolean(b === true ? true : a === true ? b : undefined);
+        }
+    }
+
+    const right = evaluateNode(node.right, focus, context);
+    switch (node.op) {
+        case '|': return FUNCTIONS.distinct([...left, ...right]);
+        case '&': return [left.map(String).join('') + right.map(String).join('')];
+        case '=': return fromBoolean(equals(left, right));
+        case '!=': {
+            const equal = equals(left, right);
+            return fromBoolean(equal === undefined ? undefined : !equal);
+        }
+        case '~': return [equivalent(left, right)];
+        case '!~': return [!equivalent(left, right)];
+        case '<': case '>': case '<=': case '>=': return compare(node.op, left, right);
+        default: return arithmetic(node.op, left, right);
+    }
+}
+
+function evaluateNode(node, focus, context) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'variable':
+            if (!(node.name in context.variables)) throw new FhirPathError(`Unknown variable %${node.name}`);
+            return [].concat(context.variables[node.name] ?? []);
+        case 'special':
+            if (node.name === 'this') return focus;
+            if (node.name === 'total') return context.total || [];
+            return context.index === undefined ? [] : [context.index];
+        case 'member': {
+            const target = node.target ? evaluateNode(node.target, focus, context) : focus;
+            // A leading type name (Patient.name with a Patient in focus) selects the resource itself
+            if (!node.target && target.length > 0 && target.every(item => item && item.resourceType === node.name)) return target;
+            return target.flatMap(item => children(item, node.name));
+        }
+        case 'index': {
+            const target = evaluateNode(node.target, focus, context);
+            const i = singleton(evaluateNode(node.index, focus, context), 'Indexer');
+            return target[i] === undefined ? [] : [target[i]];
+        }
+        case 'call': {
+            const target = node.target ? evaluateNode(node.target, focus, context) : focus;
+            const evaluate = (ast, newFocus, extra = {}) => evaluateNode(ast, newFocus, { ...context, ...extra });
+            return (context.functions[node.name] || FUNCTIONS[node.name])(target, node.args, evaluate);
+        }
+        case 'unary': {
+            const operand = evaluateNode(node.operand, focus, context);
+            return node.op === '-' ? arithmetic('*', [-1], operand) : operand;
+        }
+        case 'binary':
+            return evaluateBinary(node, focus, context);
+    }
+    throw new FhirPathError(`Cannot evaluate ${node.type}`);
+}
+
+// Parses an expression once; the result evaluates it against a resource (or null) with the given
+// %variables and returns a collection. Syntax errors and unknown functions throw FhirPathError.
+// functions adds functions of the caller's own: name -> (focus, args (ASTs), evaluate) -> collection.
+function compileFhirPath(expression, functions = {}) {
+    const ast = parse(expression, functions);
+    return (resource, variables = {}) => {
+        const focus = resource === null || resource === undefined ? [] : [].concat(resource);
+        return evaluateNode(ast, focus, { variables, functions });
+    };
+}
+
+function evaluateFhirPath(expression, resource, variables = {}, functions = {}) {
+    return compileFhirPath(expression, functions)(resource, variables);
+}
+
+module.exports = { FhirPathError, compileFhirPath, evaluateFhirPath };
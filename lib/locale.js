@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- LOCALIZATION ---
+// Report labels are translated from locales/<language>.json, whose `messages` map the English
+// text to the translation. A locale may list two languages ("cy,en") for bilingual reports:
+// labels and questionnaire text then show both ("Claf / Patient"). Dates and numbers are formatted
+// with Intl in the first language and a fixed time zone, so reports do not depend on the machine.
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const TRANSLATION_EXTENSION = 'http://hl7.org/fhir/StructureDefinition/translation';
+const MAX_LANGUAGES = 2;
+const BILINGUAL_SEPARATOR = ' / ';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+// English text or a map of language -> text, as report config labels may be
+const isLocalizedText = value => typeof value === 'string' ||
+    (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(v => typeof v === 'string'));
+
+const primarySubtag = language => language.split('-')[0].toLowerCase();
+const sameLanguage = (a, b) => !!(a && b) && primarySubtag(a) === primarySubtag(b);
+
+// "cy,en" -> ['cy', 'en']; throws on malformed tags
+function parseLocale(spec) {
+    const languages = String(spec).split(',').map(language => language.trim()).filter(language => language);
+    if (languages.length === 0) throw new Error('Locale is empty');
+    if (languages.length > MAX_LANGUAGES) throw new Error(`At most ${MAX_LANGUAGES} languages can be combined (got ${languages.join(', ')})`);
+    try {
+        return Intl.getCanonicalLocales(languages);
+    } catch (e) {
+        throw new Error(`Invalid locale ${spec}: ${e.message}`);
+    }
+}
+
+// Messages for a language: locales/cy-GB.json, else locales/cy.json; English needs no file
+function loadMessages(language, localesDir, log) {
+    const candidates = [language, primarySubtag(language)].map(name => path.join(localesDir, `${name}.json`));
+    const file = candidates.find(candidate => fs.existsSync(candidate));
+    if (!file) {
+        if (primarySubtag(language) !== 'en') log(`No label translations for "${language}" in ${localesDir}; labels stay in English`, 'WARN');
+        return {};
+    }
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8')).messages || {};
+    } catch (e) {
+        throw new Error(`Cannot read ${file}: ${e.message}`);
+    }
+}
+
+// Joins the versions of a text, dropping repeats (a language without a translation shows the source text)
+function combine(versions) {
+    return [...new Set(versions.filter(version => version))].join(BILINGUAL_SEPARATOR);
+}
+
+// Creates the localization for a locale ("en", "cy", "cy,en") and IANA time zone:
+// { languages, language, timeZone, t(text), formatDate(value), formatNumber(value) }
+function createLocale({ locale = 'en', timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone, localesDir = LOCALES_DIR, log = () => {} } = {}) {
+    const languages = parseLocale(locale);
+    try {
+        new Intl.DateTimeFormat('en', { timeZone });
+    } catch (e) {
+        throw new Error(`Unknown time zone: ${timeZone}`);
+    }
+    const catalogs = languages.map(language => loadMessages(language, localesDir, log));
+    const language = languages[0];
+
+    // text: English source text, or { en: '...', cy: '...' } as allowed for config labels
+    function t(text) {
+        if (text === null || text === undefined) return text;
+        if (typeof text === 'object') {
+            const entries = Object.entries(text);
+            return combine(languages.map(lang =>
+                text[lang] || (entries.find(([key]) => sameLanguage(key, lang)) || [])[1] || text.en || (entries[0] || [])[1]));
+        }
+        return combine(languages.map((lang, i) => catalogs[i][text] || text));
+    }
+
+    const formatters = new Map();
+    const format = (options, value) => {
+        const key = JSON.stringify(options);
+        if (!formatters.has(key)) formatters.set(key, new Intl.DateTimeFormat(language, options));
+        return formatters.get(key).format(value);
+    };
+
+    // Formats a Date, a FHIR date (no time zone shift) or dateTime (in the locale's time zone).
+    // Anything else, including partial dates such as "1980-09", is returned unchanged.
+    function formatDate(value) {
+        if (value instanceof Date) return format({ dateStyle: 'long', timeZone }, value);
+        if (typeof value !== 'string') return value;
+        if (DATE_PATTERN.test(value)) {
+            const date = new Date(`${value}T00:00:00Z`);
+            return isNaN(date) ? value : format({ dateStyle: 'long', timeZone: 'UTC' }, date);
+        }
+        if (DATE_TIME_PATTERN.test(value)) {
+            const date = new Date(value);
+            return isNaN(date) ? value : format({ dateStyle: 'long', timeStyle: 'short', timeZone }, date);
+        }
+        return value;
+    }
+
+    const numberFormat = new Intl.NumberFormat(language, { maximumFractionDigits: 3 });
+    const formatNumber = value => (typeof value === 'number' ? numberFormat.format(value) : value);
+
+    return { languages, language, timeZone, t, formatDate, formatNumber };
+}
+
+// --- QUESTIONNAIRE TRANSLATIONS ---
+
+// The `translation` extension content for a language, from an element's _text/_title/_display
+function getTranslation(element, language) {
+    const translations = ((element && element.extension) || []).filter(e => e.url === TRANSLATION_EXTENSION).map(e => {
+        const part = name => (e.extension || []).find(sub => sub.url === name) || {};
+        return { lang: part('lang').valueCode, content: part('content').valueString || part('content').valueMarkdown };
+    }).filter(tr => tr.lang && tr.content);
+    const exact = translations.find(tr => tr.lang.toLowerCase() === language.toLowerCase());
+    return (exact || translations.find(tr => sameLanguage(tr.lang, language)) || {}).content;
+}
+
+// Replaces holder[key] with its translation(s); the untranslated text stands in for any
+// language without one
+function localizeProperty(holder, key, languages) {
+    if (typeof holder[key] !== 'string') return;
+    const meta = holder[`_${key}`];
+    holder[key] = combine(languages.map(language => getTranslation(meta, language) || holder[key]));
+}
+
+function localizeItems(items, languages) {
+    (items || []).forEach(item => {
+        localizeProperty(item, 'text', languages);
+        localizeProperty(item, 'prefix', languages);
+        // valueString options are left alone: answers match them by their text
+        (item.answerOption || []).forEach(option => {
+            if (option.valueCoding) localizeProperty(option.valueCoding, 'display', languages);
+        });
+        localizeItems(item.item, languages);
+    });
+}
+
+// Returns a copy of the Questionnaire with title, item text, prefixes and answer option displays
+// taken from their translation extensions. A Questionnaire already in the report's only language
+// is returned as is.
+function localizeQuestionnaire(questionnaire, languages) {
+    if (!questionnaire) return questionnaire;
+    if (languages.length === 1 && sameLanguage(questionnaire.language, languages[0])) return questionnaire;
+    const copy = JSON.parse(JSON.stringify(questionnaire));
+    localizeProperty(copy, 'title', languages);
+    localizeItems(copy.item, languages);
+    return copy;
+}
+
+// --- ANSWERS ---
+
+// Formats the answers of a response as report text: coded answers by the display of their option in
+// the (localized) Questionnaire, booleans as Yes/No, numbers and dates in the report language and
+// references by their display (content: the response's resolveAnswerContent(), see lib/fhir.js)
+function createAnswerFormatter(questionnaire, localization, content = null) {
+    const { t, formatDate, formatNumber } = localization;
+    const displays = new Map();
+    const visit = items => (items || []).forEach(qItem => {
+        (qItem.answerOption || []).filter(option => option.valueCoding).forEach(option => displays.set(option.valueCoding.code, option.valueCoding.display));
+        visit(qItem.item);
+    });
+    visit(questionnaire && questionnaire.item);
+
+    return answer => {
+        if (answer.valueCoding) return displays.get(answer.valueCoding.code) || answer.valueCoding.display || answer.valueCoding.code;
+        if (answer.valueBoolean !== undefined) return t(answer.valueBoolean ? 'Yes' : 'No');
+        if (answer.valueQuantity) {
+            return [formatNumber(answer.valueQuantity.value), answer.valueQuantity.unit || answer.valueQuantity.code].filter(part => part !== undefined).join(' ');
+        }
+        if (answer.valueReference) {
+            const reference = answer.valueReference;
+            return reference.display || (content && content.references[reference.reference]) || reference.reference || (reference.identifier && reference.identifier.value) || '';
+        }
+        if (answer.valueAttachment) return answer.valueAttachment.title || answer.valueAttachment.contentType || t('Attachments');
+        const value = answer.valueInteger ?? answer.valueDecimal ?? answer.valueDate ?? answer.valueDateTime ?? answer.valueTime ?? answer.valueString ?? answer.valueUri;
+        return typeof value === 'number' ? formatNumber(value) : formatDate(value);
+    };
+}
+
+module.exports = { LOCALES_DIR, isLocalizedText, parseLocale, createLocale, localizeQuestionnaire, createAnswerFormatter };
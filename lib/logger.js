@@ -0,0 +1,23 @@
+const fs = require('fs');
+
+// verbosity: 0 = errors only, 1 = everything but DEBUG, 2 = everything.
+// The log file (if any) always receives every message.
+function createLogger({ logFile = null, verbosity = 1 } = {}) {
+    return function log(message, type = 'INFO') {
+        const timestamp = new Date().toISOString().split('T')[1].split('.')[0];
+        const consoleMsg = type === 'ERROR' ? `   ❌ ${message}` : `   ${message}`;
+        const fileMsg = `[${timestamp}] [${type}] ${message}\n`;
+
+        const minVerbosity = type === 'ERROR' ? 0 : type === 'DEBUG' ? 2 : 1;
+        if (verbosity >= minVerbosity) {
+            if (type === 'HEADER') console.log(`\n${message}`);
+            else console.log(consoleMsg);
+        }
+
+        if (logFile) {
+            try { fs.appendFileSync(logFile, fileMsg); } catch (e) {}
+        }
+    };
+}
+
+module.exports = { createLogger };
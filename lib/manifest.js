@@ -0,0 +1,117 @@
+const fs = require('fs');
+
+// --- RUN MANIFEST ---
+// One JSON document per run listing, per report (input file, or patient/response with --group-by), every QuestionnaireResponse found, the
+// definition it was rendered against, everything the sanitizer/normalizer changed, the validator's findings and the scores.
+// `assets` records the LForms version and the SHA-256 of each file the reports were rendered with.
+
+function createManifest({ runId, options, assets = null }) {
+    return {
+        runId,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        options: {
+            inputs: options.inputs,
+            output: options.output,
+            definitions: options.definitions,
+            packages: options.packages,
+            template: options.template,
+            config: options.config,
+            locale: options.locale,
+            timeZone: options.timeZone,
+            archival: options.archival,
+            attachSource: options.attachSource,
+            fhirOutput: options.fhirOutput,
+            scoredOutput: options.scoredOutput,
+            scorePanel: options.scorePanel,
+            dataPolicy: options.dataPolicy,
+            renderMode: options.renderMode,
+            hideUnanswered: options.hideUnanswered,
+            hideDisabled: options.hideDisabled,
+            findingsPage: options.findingsPage,
+            redaction: options.redaction || null,
+            groupBy: options.groupBy,
+            filenamePattern: options.filenamePattern
+        },
+        assets,
+        summary: null,
+        files: []
+    };
+}
+
+// Converts a renderReport() section into its manifest form
+function toManifestResponse(section) {
+    const audit = section.audit || { removed: [], normalized: [], unmatchedCodes: [] };
+    return {
+        id: section.questionnaireResponseId,
+        questionnaire: section.questionnaire,
+        resolvedQuestionnaire: section.resolvedQuestionnaire,
+        title: section.title,
+        status: section.status,
+        reason: section.reason,
+        removedItems: audit.removed,
+        normalizations: audit.normalized,
+        unmatchedCodes: audit.unmatchedCodes,
+        findings: section.findings || [],
+        scores: section.scores || null
+    };
+}
+
+function describeAnswer(a) {
+    if (a.valueString !== undefined) return `"${a.valueString}"`;
+    if (a.valueCoding) return `${a.valueCoding.display || a.valueCoding.code} (${a.valueCoding.system || 'no system'}|${a.valueCoding.code})`;
+    // Leave the (base64) content of attachments out of the manifest
+    if (a.valueAttachment) return `valueAttachment: ${a.valueAttachment.title || a.valueAttachment.url || 'untitled'} (${a.valueAttachment.contentType || 'no type'})`;
+    const key = Object.keys(a).find(k => k.startsWith('value'));
+    return key ? `${key}: ${JSON.stringify(a[key])}` : '[no value]';
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_COLUMNS = [
+    'input', 'group', 'file_status', 'output', 'duration_ms', 'qr_id', 'questionnaire', 'resolved_source', 'resolved_url',
+    'resolved_version', 'resolved_match', 'section_status', 'event', 'path', 'detail'
+];
+
+// One row per audit event; responses without events (and files without responses) get a single row
+function manifestToCsv(manifest) {
+    const rows = [CSV_COLUMNS];
+
+    manifest.files.forEach(file => {
+        const fileCells = [file.input, file.group, file.status, file.output, file.durationMs];
+        if (file.questionnaireResponses.length === 0) {
+            rows.push([...fileCells, '', '', '', '', '', '', '', file.error ? 'error' : 'none', '', file.error || '']);
+            return;
+        }
+
+        file.questionnaireResponses.forEach(qr => {
+            const resolved = qr.resolvedQuestionnaire || {};
+            const qrCells = [...fileCells, qr.id, qr.questionnaire, resolved.source, resolved.url, resolved.version, resolved.match, qr.status];
+            const events = [
+                ...qr.removedItems.map(r => ['removed', r.path,
+                    `${r.answers.length} answers: ${r.answers.map(describeAnswer).join(', ')}${r.items.length ? `; ${r.items.length} child items` : ''}`]),
+                ...qr.normalizations.map(n => ['normalized', n.path, `answer ${n.answerIndex + 1} [code: ${n.code}] ${n.field}: ${n.from} -> ${n.to}`]),
+                ...qr.unmatchedCodes.map(u => ['unmatched-code', u.path, `answer ${u.answerIndex + 1}: ${u.system || 'no system'}|${u.code} not in answerOption`]),
+                ...(qr.findings || []).map(f => [`finding-${f.severity}`, f.path, `${f.code}: ${f.message}`]),
+                ...(qr.scores && qr.scores.total ? [['score', '', `total ${qr.scores.total.score} (${qr.scores.total.answered} of ${qr.scores.total.items} answered)`]] : []),
+                ...(qr.scores ? qr.scores.calculated : []).map(c => ['calculated', c.linkId, c.answers.map(describeAnswer).join(', ') || 'no value']),
+                ...(qr.scores ? qr.scores.errors : []).map(e => ['scoring-error', e.linkId || '', `${e.message} (${e.expression})`])
+            ];
+
+            if (events.length === 0) rows.push([...qrCells, 'none', '', qr.reason || '']);
+            events.forEach(event => rows.push([...qrCells, ...event]));
+        });
+    });
+
+    return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function writeManifest(manifest, jsonPath, csvPath = null) {
+    fs.writeFileSync(jsonPath, JSON.stringify(manifest, null, 2));
+    if (csvPath) fs.writeFileSync(csvPath, manifestToCsv(manifest));
+}
+
+module.exports = { createManifest, toManifestResponse, manifestToCsv, writeManifest };
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { MAX_JSON_SIZE, truncateError } = require('./validation');
+const { referenceKey } = require('./fhir');
+
+// --- NDJSON BULK EXPORTS ---
+// A bulk export is a set of NDJSON files (one resource per line), usually one per resource type:
+// Patient.ndjson, QuestionnaireResponse.ndjson, ... The files are read in one streaming pass that
+// keeps the (small) context resources in memory and only the position of every
+// QuestionnaireResponse. Each report then reads just its own responses back from disk.
+
+const CONTEXT_TYPES = ['Patient', 'CarePlan', 'Encounter', 'Questionnaire'];
+
+// Yields { text, offset, length, line } for every line of a file, with byte offsets
+async function* readLines(filePath) {
+    let pending = Buffer.alloc(0);
+    let pendingOffset = 0; // File offset of pending[0]
+    let line = 0;
+
+    for await (const chunk of fs.createReadStream(filePath)) {
+        const data = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+        let start = 0;
+        let newline;
+        while ((newline = data.indexOf(0x0a, start)) !== -1) {
+            yield { text: data.toString('utf8', start, newline), offset: pendingOffset + start, length: newline - start, line: ++line };
+            start = newline + 1;
+        }
+        pending = data.subarray(start);
+        pendingOffset += start;
+        if (pending.length > MAX_JSON_SIZE) {
+            throw new Error(`Line ${line + 1} of ${path.basename(filePath)} exceeds maximum size of ${MAX_JSON_SIZE / (1024 * 1024)}MB`);
+        }
+    }
+    if (pending.length > 0) yield { text: pending.toString('utf8'), offset: pendingOffset, length: pending.length, line: ++line };
+}
+
+// Reads every file once. Returns { context, questionnaires, responses, invalidLines } where context
+// maps "Type/id" to Patients, CarePlans and Encounters, questionnaires maps url|version to Questionnaires
+// and responses holds a stub per QuestionnaireResponse: its location plus the fields needed to
+// group it and name its report.
+async function indexExport(files, log) {
+    const context = new Map();
+    const questionnaires = new Map();
+    const responses = [];
+    let invalidLines = 0;
+
+    for (const file of files) {
+        let count = 0;
+        for await (const { text, offset, length, line } of readLines(file)) {
+            if (!text.trim()) continue;
+            let resource;
+            try {
+                resource = JSON.parse(text);
+            } catch (e) {
+                invalidLines++;
+                log(`${path.basename(file)} line ${line}: invalid JSON (${truncateError(e.message)}); skipped`, 'WARN');
+                continue;
+            }
+            count++;
+
+            if (resource.resourceType === 'QuestionnaireResponse') {
+                const { id, subject, encounter, basedOn, questionnaire, authored } = resource;
+                responses.push({ file, offset, length, id, subject, encounter, basedOn, questionnaire, authored });
+            } else if (resource.resourceType === 'Questionnaire' && resource.url) {
+                const [url, urlVersion] = resource.url.split('|');
+                questionnaires.set(`${url}|${resource.version || urlVersion || ''}`, resource);
+            } else if (CONTEXT_TYPES.includes(resource.resourceType) && resource.id) {
+                context.set(`${resource.resourceType}/${resource.id}`, resource);
+            }
+        }
+        log(`Indexed ${path.basename(file)}: ${count} resource(s)`, 'DEBUG');
+    }
+    return { context, questionnaires, responses, invalidLines };
+}
+
+async function readResourceAt(file, offset, length) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        await handle.read(buffer, 0, length, offset);
+        return JSON.parse(buffer.toString('utf8'));
+    } finally {
+        await handle.close();
+    }
+}
+
+// The Patient a response belongs to, by QR.subject or the subject of QR.encounter
+function responsePatientKey(response, context) {
+    const key = ref => ref && ref.reference ? referenceKey(ref.reference) : null;
+    const subject = key(response.subject);
+    if (subject && subject.startsWith('Patient/')) return subject;
+    const encounter = context.get(key(response.encounter));
+    const viaEncounter = encounter && key(encounter.subject);
+    if (viaEncounter && viaEncounter.startsWith('Patient/')) return viaEncounter;
+    const s = response.subject || {};
+    return subject || (s.identifier && `${s.identifier.system || ''}|${s.identifier.value}`) || 'unknown';
+}
+
+// Splits the indexed responses into reports, one per patient or one per response.
+// A whole export is never rendered as a single report.
+function groupExport(index, groupBy) {
+    const groups = new Map();
+    index.responses.forEach((response, i) => {
+        let key = groupBy === 'response' ? `QuestionnaireResponse/${response.id || ''}` : responsePatientKey(response, index.context);
+        if (groupBy === 'response' && groups.has(key)) key += `#${i + 1}`;
+        if (!groups.has(key)) groups.set(key, { key, responses: [] });
+        groups.get(key).responses.push(response);
+    });
+    return [...groups.values()];
+}
+
+// Reads a group's responses back from disk and wraps them, with their Patient, Encounters,
+// CarePlans and Questionnaires, in a collection Bundle for the normal report path
+async function loadGroupBundle(group, index) {
+    const responses = [];
+    for (const r of group.responses) responses.push(await readResourceAt(r.file, r.offset, r.length));
+
+    const included = new Map();
+    const include = key => {
+        const resource = key && index.context.get(key);
+        if (resource) included.set(key, resource);
+        return resource;
+    };
+    const refKey = ref => ref && ref.reference ? referenceKey(ref.reference) : null;
+
+    const patientKeys = new Set();
+    responses.forEach(qr => {
+        const encounter = include(refKey(qr.encounter));
+        patientKeys.add(refKey(qr.subject));
+        if (encounter) patientKeys.add(refKey(encounter.subject));
+        (qr.basedOn || []).forEach(ref => include(refKey(ref)));
+    });
+    patientKeys.forEach(include);
+    // CarePlans are found from the patient's side: the export has no index from patient to CarePlan
+    index.context.forEach((resource, key) => {
+        if (resource.resourceType === 'CarePlan' && patientKeys.has(refKey(resource.subject))) included.set(key, resource);
+    });
+
+    // The requested version of each Questionnaire, or every version of it when that one is not
+    // in the export (or none is requested), so the definition registry picks as for other inputs
+    const questionnaires = new Map();
+    responses.forEach(qr => {
+        if (typeof qr.questionnaire !== 'string') return;
+        const [url, version] = qr.questionnaire.split('|');
+        const exact = version !== undefined && `${url}|${version}`;
+        if (exact && index.questionnaires.has(exact)) {
+            questionnaires.set(exact, index.questionnaires.get(exact));
+            return;
+        }
+        index.questionnaires.forEach((resource, key) => {
+            if (key.slice(0, key.lastIndexOf('|')) === url) questionnaires.set(key, resource);
+        });
+    });
+
+    return {
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [...included.values(), ...questionnaires.values(), ...responses].map(resource => ({ resource }))
+    };
+}
+
+module.exports = { readLines, indexExport, groupExport, loadGroupBundle };
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { compareVersions } = require('./versions');
+
+// --- FHIR NPM PACKAGES ---
+// Implementation guides are published as package.tgz files holding package/package.json,
+// package/.index.json and one JSON file per resource. Packages are read straight from the
+// .tgz (or an unpacked folder); dependencies are looked up in a local package cache laid out
+// like the FHIR tooling's: <cache>/<name>#<version>/package/...
+
+const DEFAULT_PACKAGE_CACHE = path.join(os.homedir(), '.fhir', 'packages');
+const DEFINITION_RESOURCE_TYPES = ['Questionnaire', 'ValueSet', 'CodeSystem'];
+
+// Minimal ustar reader: returns Map(path -> Buffer) for the regular files in a tar archive.
+// GNU long names ('L') and pax path headers ('x') are honoured; a truncated archive throws.
+function readTar(buffer) {
+    const files = new Map();
+    let offset = 0;
+    let longName = null;
+
+    while (offset + 512 <= buffer.length) {
+        const header = buffer.subarray(offset, offset + 512);
+        if (header.every(byte => byte === 0)) return files;
+
+        const field = (start, length) => header.subarray(start, start + length).toString('utf8').replace(/\0[\s\S]*$/, '');
+        const size = parseInt(field(124, 12).trim() || '0', 8);
+        const type = field(156, 1) || '0';
+        const prefix = field(257, 6).startsWith('ustar') ? field(345, 155) : '';
+        const name = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+        if (isNaN(size)) throw new Error(`Invalid tar header at byte ${offset}`);
+        if (offset + 512 + size > buffer.length) throw new Error(`Truncated tar archive: ${name} is cut short`);
+        const data = buffer.subarray(offset + 512, offset + 512 + size);
+        offset += 512 + Math.ceil(size / 512) * 512;
+
+        if (type === 'L') {
+            longName = data.toString('utf8').replace(/\0+$/, '');
+        } else if (type === 'x') {
+            const match = /\d+ path=([^\n]*)\n/.exec(data.toString('utf8'));
+            if (match) longName = match[1];
+        } else if (type === 'g') {
+            // Global pax header: nothing we need
+        } else {
+            if (type === '0' || type === '7') files.set((longName || name).replace(/^\.\//, ''), data);
+            longName = null;
+        }
+    }
+    if (offset < buffer.length) throw new Error('Truncated tar archive: the last header is cut short');
+    return files;
+}
+
+// Gives access to the files directly under package/, from a .tgz or an unpacked folder
+function openPackage(source) {
+    if (fs.statSync(source).isDirectory()) {
+        const root = fs.existsSync(path.join(source, 'package')) ? path.join(source, 'package') : source;
+        const files = fs.readdirSync(root, { withFileTypes: true }).filter(e => e.isFile()).map(e => e.name);
+        return { files, read: file => fs.readFileSync(path.join(root, file)) };
+    }
+
+    let entries;
+    try {
+        entries = readTar(zlib.gunzipSync(fs.readFileSync(source)));
+    } catch (e) {
+        throw new Error(`Cannot read package ${source}: ${e.message}`);
+    }
+    const files = [...entries.keys()]
+        .filter(name => name.startsWith('package/') && !name.slice('package/'.length).includes('/'))
+        .map(name => name.slice('package/'.length));
+    return { files, read: file => entries.get(`package/${file}`) };
+}
+
+// Reads a package's manifest and its Questionnaires, ValueSets and CodeSystems.
+// .index.json (when present) avoids parsing every other resource in large packages.
+function readPackage(source) {
+    const pkg = openPackage(source);
+    if (!pkg.files.includes('package.json')) throw new Error(`Not a FHIR package (no package/package.json): ${source}`);
+    const manifest = JSON.parse(pkg.read('package.json').toString('utf8'));
+
+    let candidates = pkg.files.filter(file => file.endsWith('.json') && file !== 'package.json' && file !== '.index.json');
+    if (pkg.files.includes('.index.json')) {
+        try {
+            const index = JSON.parse(pkg.read('.index.json').toString('utf8'));
+            candidates = (index.files || [])
+                .filter(entry => DEFINITION_RESOURCE_TYPES.includes(entry.resourceType))
+                .map(entry => entry.filename)
+                .filter(file => pkg.files.includes(file));
+        } catch (e) { /* Fall back to reading every file */ }
+    }
+
+    const resources = [];
+    candidates.forEach(file => {
+        try {
+            const resource = JSON.parse(pkg.read(file).toString('utf8'));
+            if (DEFINITION_RESOURCE_TYPES.includes(resource.resourceType)) resources.push(resource);
+        } catch (e) { /* Not a resource we can use */ }
+    });
+
+    return {
+        name: manifest.name,
+        version: manifest.version,
+        dependencies: manifest.dependencies || {},
+        source,
+        resources
+    };
+}
+
+// "name#version", "name@version" or "name" -> { name, version }
+function parsePackageId(id) {
+    const match = /^(@?[^#@]+)(?:[#@](.+))?$/.exec(id);
+    return match ? { name: match[1], version: match[2] || null } : { name: id, version: null };
+}
+
+// Finds a package in the cache: an exact version, or the highest one matching a `1.0.x`
+// wildcard, `current`/`latest`, or no version. Cache entries are folders or .tgz files named
+// `<name>#<version>`.
+function findInCache(cacheDir, name, version) {
+    if (!cacheDir || !fs.existsSync(cacheDir)) return null;
+    const available = fs.readdirSync(cacheDir)
+        .filter(entry => entry.startsWith(`${name}#`))
+        .map(entry => ({ entry, version: entry.slice(name.length + 1).replace(/\.tgz$/, '') }));
+
+    const exact = available.find(a => a.version === version);
+    if (exact) return path.join(cacheDir, exact.entry);
+
+    let matching = available;
+    if (version && /(^|\.)x$/.test(version)) {
+        const prefix = version.replace(/x$/, '');
+        matching = available.filter(a => a.version.startsWith(prefix));
+    } else if (version && !['current', 'latest', 'dev'].includes(version)) {
+        return null;
+    }
+    const latest = matching.sort((a, b) => compareVersions(a.version, b.version) ?? a.version.localeCompare(b.version)).pop();
+    return latest ? path.join(cacheDir, latest.entry) : null;
+}
+
+// Loads packages (paths to .tgz files or folders, or `name#version` ids looked up in the cache)
+// and, recursively, the dependencies listed in their package.json. Returns the Questionnaires,
+// ValueSets and CodeSystems of all of them. Missing dependencies are logged, not fatal.
+function loadPackages(specs, { cacheDir = DEFAULT_PACKAGE_CACHE, log }) {
+    const loaded = new Map(); // name -> version
+    const resources = [];
+    const queue = specs.map(spec => ({ spec, requiredBy: null }));
+
+    while (queue.length > 0) {
+        const { spec, requiredBy } = queue.shift();
+        let source = fs.existsSync(spec) ? spec : null;
+        if (!source) {
+            const { name, version } = parsePackageId(spec);
+            if (loaded.has(name)) {
+                if (version && loaded.get(name) !== version) {
+                    log(`Package ${name}#${version}${requiredBy ? ` (required by ${requiredBy})` : ''} conflicts with ${name}#${loaded.get(name)}; keeping the latter`, 'WARN');
+                }
+                continue;
+            }
+            source = findInCache(cacheDir, name, version);
+            if (!source) {
+                if (!requiredBy) throw new Error(`Package ${spec} not found (no such file, and not in the package cache ${cacheDir})`);
+                log(`Dependency ${spec} of ${requiredBy} not found in the package cache ${cacheDir}; its definitions are not available`, 'WARN');
+                continue;
+            }
+        }
+
+        const pkg = readPackage(source);
+        if (loaded.has(pkg.name)) continue;
+        loaded.set(pkg.name, pkg.version);
+        resources.push(...pkg.resources);
+
+        const counts = DEFINITION_RESOURCE_TYPES.map(type => `${pkg.resources.filter(r => r.resourceType === type).length} ${type}s`).join(', ');
+        log(`Loaded package ${pkg.name}#${pkg.version} (${counts}) from ${source}`, 'INFO');
+
+        Object.entries(pkg.dependencies).forEach(([name, version]) => {
+            queue.push({ spec: `${name}#${version}`, requiredBy: `${pkg.name}#${pkg.version}` });
+        });
+    }
+    return resources;
+}
+
+module.exports = { DEFAULT_PACKAGE_CACHE, readTar, readPackage, findInCache, loadPackages };
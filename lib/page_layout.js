@@ -0,0 +1,145 @@
+const { isLocalizedText } = require('./locale');
+
+// --- PAGE LAYOUT ---
+// Paper, margins, running header/footer and status watermark of the printed report, set by the
+// report config's `page` setting:
+//   size         A0-A6, Letter, Legal, Tabloid or Ledger (default A4)
+//   orientation  portrait (default) | landscape
+//   margin       CSS length (px, mm, cm, in) for every side, or { top, right, bottom, left }
+//   header       running header on every page, null to leave it out
+//   footer       running footer on every page, null to leave it out
+//   watermark    false to never watermark draft or invalid responses (default true)
+// Header and footer are text or HTML (or { "en": ..., "cy": ... }) with the placeholders below;
+// the default header names the patient, MRN and questionnaire, the default footer shows the
+// generation time and "Page X of Y".
+
+const PAPER_SIZES = ['A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'Letter', 'Legal', 'Tabloid', 'Ledger'];
+const ORIENTATIONS = ['portrait', 'landscape'];
+const MARGIN_SIDES = ['top', 'right', 'bottom', 'left'];
+const MARGIN_PATTERN = /^\d+(\.\d+)?(px|mm|cm|in)$/;
+const PLACEHOLDERS = ['patient', 'mrn', 'questionnaire', 'generated', 'page', 'pages'];
+
+// Chrome prints header and footer templates in their own tiny document without the report's styles
+const RUNNING_STYLE = 'box-sizing: border-box; width: 100%; padding: 0 20px; display: flex; justify-content: space-between; gap: 12px; ' +
+    'font-family: Helvetica, Arial, sans-serif; font-size: 8px; color: #64748b;';
+const DEFAULT_MARGIN = { top: '20px', right: '20px', bottom: '20px', left: '20px' };
+// Room for a running header or footer
+const RUNNING_MARGIN = '50px';
+
+// Statuses that must never pass for a final response, and their watermark
+const WATERMARK_STATUSES = {
+    'in-progress': 'DRAFT',
+    'amended': 'AMENDED',
+    'entered-in-error': 'ENTERED IN ERROR',
+    'stopped': 'STOPPED'
+};
+
+const escapeHtml = text => String(text)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+// The default templates take their labels from the report language
+const DEFAULT_HEADER = t => `<span>{patient} &middot; ${escapeHtml(t('MRN'))} {mrn}</span><span>{questionnaire}</span>`;
+const DEFAULT_FOOTER = t => `<span>${escapeHtml(t('Generated'))} {generated}</span><span>${escapeHtml(t('Page {page} of {pages}'))}</span>`;
+
+const DEFAULT_PAGE_SETTINGS = {
+    size: 'A4',
+    orientation: 'portrait',
+    margin: null,
+    header: DEFAULT_HEADER,
+    footer: DEFAULT_FOOTER,
+    watermark: true
+};
+
+function checkPlaceholders(name, template) {
+    const texts = typeof template === 'string' ? [template] : Object.values(template);
+    texts.forEach(text => {
+        const unknown = (text.match(/\{[^{}]*\}/g) || []).filter(token => !PLACEHOLDERS.includes(token.slice(1, -1)));
+        if (unknown.length > 0) {
+            throw new Error(`page.${name}: unknown placeholder ${unknown.join(', ')} (expected ${PLACEHOLDERS.map(p => `{${p}}`).join(', ')})`);
+        }
+    });
+}
+
+// Validates the `page` setting of a report config and fills in the defaults
+function resolvePageSettings(page = {}) {
+    if (!page || typeof page !== 'object' || Array.isArray(page)) throw new Error('page must be an object');
+    const unknown = Object.keys(page).filter(key => !(key in DEFAULT_PAGE_SETTINGS));
+    if (unknown.length > 0) throw new Error(`Unknown page setting(s): ${unknown.join(', ')} (expected ${Object.keys(DEFAULT_PAGE_SETTINGS).join(', ')})`);
+    const settings = { ...DEFAULT_PAGE_SETTINGS, ...page };
+
+    const size = PAPER_SIZES.find(s => s.toLowerCase() === String(settings.size).toLowerCase());
+    if (!size) throw new Error(`page.size must be one of: ${PAPER_SIZES.join(', ')}`);
+    if (!ORIENTATIONS.includes(settings.orientation)) throw new Error(`page.orientation must be one of: ${ORIENTATIONS.join(', ')}`);
+
+    let margin = null;
+    if (settings.margin !== null) {
+        const sides = typeof settings.margin === 'string'
+            ? Object.fromEntries(MARGIN_SIDES.map(side => [side, settings.margin]))
+            : settings.margin;
+        if (!sides || typeof sides !== 'object' || Array.isArray(sides)) throw new Error('page.margin must be a CSS length or { top, right, bottom, left }');
+        Object.entries(sides).forEach(([side, value]) => {
+            if (!MARGIN_SIDES.includes(side)) throw new Error(`Unknown page.margin side "${side}" (expected ${MARGIN_SIDES.join(', ')})`);
+            if (typeof value !== 'string' || !MARGIN_PATTERN.test(value)) throw new Error(`Invalid page.margin.${side}: ${value} (expected e.g. 20px, 15mm, 1cm or 0.5in)`);
+        });
+        margin = sides;
+    }
+
+    ['header', 'footer'].forEach(name => {
+        const template = settings[name];
+        if (template === null || template === '' || template === DEFAULT_PAGE_SETTINGS[name]) return;
+        if (!isLocalizedText(template)) throw new Error(`page.${name} must be text, { "en": ..., "cy": ... } or null`);
+        checkPlaceholders(name, template);
+    });
+    if (typeof settings.watermark !== 'boolean') throw new Error('page.watermark must be true or false');
+
+    return {
+        size,
+        orientation: settings.orientation,
+        margin,
+        header: settings.header || null,
+        footer: settings.footer || null,
+        watermark: settings.watermark
+    };
+}
+
+// Fills a header or footer template: values are escaped, {page} and {pages} become the classes
+// Chrome replaces with the page number and count
+function fillTemplate(template, values, t) {
+    const text = typeof template === 'function' ? template(t) : t(template);
+    const html = text.replace(/\{(\w+)\}/g, (token, name) => {
+        if (name === 'page') return '<span class="pageNumber"></span>';
+        if (name === 'pages') return '<span class="totalPages"></span>';
+        return name in values ? escapeHtml(values[name] || '') : token;
+    });
+    return `<div style="${RUNNING_STYLE}">${html}</div>`;
+}
+
+// page.pdf() options for one report. values: { patient, mrn, questionnaire, generated }
+function buildPdfOptions(settings, values, t) {
+    const running = Boolean(settings.header || settings.footer);
+    const margin = { ...DEFAULT_MARGIN };
+    if (settings.header) margin.top = RUNNING_MARGIN;
+    if (settings.footer) margin.bottom = RUNNING_MARGIN;
+    const options = {
+        format: settings.size,
+        landscape: settings.orientation === 'landscape',
+        printBackground: true,
+        tagged: true,
+        margin: { ...margin, ...settings.margin },
+        displayHeaderFooter: running
+    };
+    if (running) {
+        // An empty template would make Chrome print its own default (date and title)
+        options.headerTemplate = settings.header ? fillTemplate(settings.header, values, t) : '<span></span>';
+        options.footerTemplate = settings.footer ? fillTemplate(settings.footer, values, t) : '<span></span>';
+    }
+    return options;
+}
+
+// The watermark for a report's responses, or null when all of them are final
+function getWatermark(questionnaireResponses, t) {
+    const labels = [...new Set(questionnaireResponses.map(qr => WATERMARK_STATUSES[qr && qr.status]).filter(label => label))];
+    return labels.length > 0 ? labels.map(label => t(label)).join(' · ') : null;
+}
+
+module.exports = { DEFAULT_PAGE_SETTINGS, WATERMARK_STATUSES, resolvePageSettings, buildPdfOptions, getWatermark };
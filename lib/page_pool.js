@@ -0,0 +1,95 @@
+// A fixed-size pool of prepared Puppeteer pages. Each page lives in its own browser context
+// so concurrent reports never share storage, and is recycled after `maxUses` renders (or
+// immediately when a render failed) to keep memory bounded.
+function createPagePool({ getBrowser, preparePage, size = 1, maxUses = 100 }) {
+    const idle = [];
+    const waiters = [];
+    // Pages handed out or idle, and pages still being prepared; together they count towards `size`
+    const pages = new Set();
+    // Pages handed out and not released yet
+    const inUse = new Set();
+    let pending = 0;
+    let closed = false;
+
+    async function createEntry() {
+        const browser = await getBrowser();
+        const context = await browser.createBrowserContext();
+        try {
+            const page = await context.newPage();
+            await preparePage(page);
+            return { page, context, uses: 0 };
+        } catch (e) {
+            await context.close().catch(() => {});
+            throw e;
+        }
+    }
+
+    async function grow() {
+        pending++;
+        let entry;
+        try {
+            entry = await createEntry();
+        } finally {
+            pending--;
+        }
+        // The pool was closed while the page was being prepared
+        if (closed) {
+            await entry.context.close().catch(() => {});
+            throw new Error('Page pool is closed');
+        }
+        pages.add(entry);
+        inUse.add(entry);
+        return entry;
+    }
+
+    function acquire() {
+        if (closed) return Promise.reject(new Error('Page pool is closed'));
+        if (idle.length > 0) {
+            const entry = idle.pop();
+            inUse.add(entry);
+            return Promise.resolve(entry);
+        }
+        if (pages.size + pending < size) return grow();
+        return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    }
+
+    function destroy(entry) {
+        entry.context.close().catch(() => {});
+        // Pages released after close() no longer hold a slot
+        if (!pages.delete(entry)) return;
+
+        // Someone is waiting for the slot we just freed
+        const waiter = waiters.shift();
+        if (waiter) grow().then(waiter.resolve, waiter.reject);
+    }
+
+    // Releasing a page that is not checked out (twice, or never acquired) is ignored, so it can
+    // never be handed to two renders
+    function release(entry, { broken = false } = {}) {
+        if (!inUse.delete(entry)) return;
+        entry.uses++;
+        if (closed || broken || entry.uses >= maxUses) {
+            destroy(entry);
+            return;
+        }
+        const waiter = waiters.shift();
+        if (waiter) {
+            inUse.add(entry);
+            waiter.resolve(entry);
+        } else {
+            idle.push(entry);
+        }
+    }
+
+    async function close() {
+        closed = true;
+        waiters.splice(0).forEach(waiter => waiter.reject(new Error('Page pool is closed')));
+        // Pages still in use are closed when they are released
+        pages.clear();
+        await Promise.all(idle.splice(0).map(entry => entry.context.close().catch(() => {})));
+    }
+
+    return { acquire, release, close };
+}
+
+module.exports = { createPagePool };
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { version } = require('../package.json');
+
+// --- PDF METADATA AND ATTACHMENTS ---
+// Chrome prints tagged PDFs but sets no author, subject or keywords and cannot attach files. The
+// printed PDF is finished with an incremental update (new objects and a new cross-reference
+// section appended to the file, the original bytes untouched) that:
+//   - replaces the document information (title, author, subject, keywords, dates) and adds the
+//     same as XMP metadata
+//   - embeds files, e.g. the source QuestionnaireResponse JSON, as associated files (/AF)
+//   - adds a document ID
+// With `archival` the update also declares PDF/A-3b (pdfaid in XMP, PDF 1.7) and adds an sRGB
+// output intent, which Chrome's PDFs (embedded fonts, no encryption) need to pass as PDF/A-3b.
+// A PDF this cannot update (not Chrome's classic cross-reference layout) is returned untouched
+// with a warning, unless `archival` is set: an archival copy without its profile is an error.
+
+const CREATOR = `questionnaire-response-pdf ${version}`;
+
+// Thrown when the printed PDF is not laid out as this update expects
+class UnsupportedPdfError extends Error {}
+
+// --- PDF SYNTAX ---
+
+// Text strings as UTF-16BE with byte order mark, so any language survives
+const pdfText = text => `<FEFF${Buffer.from(String(text), 'utf16le').swap16().toString('hex').toUpperCase()}>`;
+const pdfName = name => `/${name.replace(/[^A-Za-z0-9._-]/g, c => `#${c.charCodeAt(0).toString(16).padStart(2, '0').toUpperCase()}`)}`;
+
+const pad = n => String(n).padStart(2, '0');
+const pdfDate = date => `(D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}+00'00')`;
+const xmpDate = date => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+const escapeXml = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Root, Info, Size and position of the last cross-reference section, from the final trailer.
+// Only classic cross-reference tables (as written by Chrome) are supported.
+function readTrailer(pdf) {
+    const tail = pdf.subarray(Math.max(0, pdf.length - 2048)).toString('latin1');
+    const trailerAt = tail.lastIndexOf('trailer');
+    const startxref = tail.match(/startxref\s+(\d+)\s+%%EOF\s*$/);
+    if (trailerAt === -1 || !startxref) throw new UnsupportedPdfError('Unsupported PDF structure (no classic trailer)');
+    const trailer = tail.slice(trailerAt, tail.lastIndexOf('startxref'));
+    const ref = key => {
+        const match = trailer.match(new RegExp(`/${key}\\s+(\\d+)\\s+0\\s+R`));
+        return match ? Number(match[1]) : null;
+    };
+    const size = trailer.match(/\/Size\s+(\d+)/);
+    if (!ref('Root') || !size) throw new UnsupportedPdfError('Unsupported PDF structure (trailer without /Root or /Size)');
+    return { root: ref('Root'), info: ref('Info'), size: Number(size[1]), prev: Number(startxref[1]) };
+}
+
+// The dictionary of object `number` (the last definition wins, as after earlier updates)
+function readObjectDictionary(pdf, number) {
+    const text = pdf.toString('latin1');
+    const pattern = new RegExp(`(^|[\\r\\n])${number}\\s+0\\s+obj\\s*(<<[\\s\\S]*?>>)\\s*endobj`, 'g');
+    let match;
+    let last = null;
+    while ((match = pattern.exec(text)) !== null) last = match[2];
+    if (!last) throw new UnsupportedPdfError(`Unsupported PDF structure (object ${number} not found)`);
+    return last;
+}
+
+// --- sRGB ICC PROFILE ---
+// A minimal ICC v2 display profile (D50 primaries, sRGB tone curve) for the PDF/A output intent
+
+function buildSrgbProfile() {
+    const s15 = value => {
+        const b = Buffer.alloc(4);
+        b.writeInt32BE(Math.round(value * 65536));
+        return b;
+    };
+    const xyz = (x, y, z) => Buffer.concat([Buffer.from('XYZ \0\0\0\0', 'latin1'), s15(x), s15(y), s15(z)]);
+    const ascii = (type, text) => Buffer.from(type === 'desc'
+        ? `desc\0\0\0\0${String.fromCharCode(0, 0, 0, text.length + 1)}${text}\0${'\0'.repeat(8 + 3 + 67)}`
+        : `text\0\0\0\0${text}\0`, 'latin1');
+    const curve = Buffer.alloc(12 + 1024 * 2);
+    curve.write('curv', 0, 'latin1');
+    curve.writeUInt32BE(1024, 8);
+    for (let i = 0; i < 1024; i++) {
+        const v = i / 1023;
+        const linear = v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+        curve.writeUInt16BE(Math.round(linear * 65535), 12 + i * 2);
+    }
+
+    const tags = [
+        ['desc', ascii('desc', 'sRGB IEC61966-2.1')],
+        ['cprt', ascii('text', 'No copyright, use freely')],
+        ['wtpt', xyz(0.9642, 1.0, 0.8249)],
+        ['rXYZ', xyz(0.4361, 0.2225, 0.0139)],
+        ['gXYZ', xyz(0.3851, 0.7169, 0.0971)],
+        ['bXYZ', xyz(0.1431, 0.0606, 0.7141)],
+        ['rTRC', curve], ['gTRC', curve], ['bTRC', curve]
+    ];
+    const table = Buffer.alloc(4 + tags.length * 12);
+    table.writeUInt32BE(tags.length);
+    const data = [];
+    const offsets = new Map();
+    let offset = 128 + table.length;
+    tags.forEach(([signature, body], i) => {
+        if (!offsets.has(body)) {
+            offsets.set(body, offset);
+            const padded = Buffer.concat([body, Buffer.alloc((4 - body.length % 4) % 4)]);
+            data.push(padded);
+            offset += padded.length;
+        }
+        table.write(signature, 4 + i * 12, 'latin1');
+        table.writeUInt32BE(offsets.get(body), 8 + i * 12);
+        table.writeUInt32BE(body.length, 12 + i * 12);
+    });
+
+    const header = Buffer.alloc(128);
+    header.writeUInt32BE(offset, 0);
+    header.writeUInt32BE(0x02100000, 8);
+    header.write('mntrRGB XYZ ', 12, 'latin1');
+    [2000, 1, 1, 0, 0, 0].forEach((n, i) => header.writeUInt16BE(n, 24 + i * 2));
+    header.write('acsp', 36, 'latin1');
+    s15(0.9642).copy(header, 68);
+    s15(1.0).copy(header, 72);
+    s15(0.8249).copy(header, 76);
+    return Buffer.concat([header, table, ...data]);
+}
+
+let srgbProfile = null;
+
+// --- XMP ---
+
+function buildXmp({ title, author, subject, keywords, created, modified, producer, archival }) {
+    const alt = text => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(text)}</rdf:li></rdf:Alt>`;
+    const lines = [
+        '<dc:format>application/pdf</dc:format>',
+        title && `<dc:title>${alt(title)}</dc:title>`,
+        author && `<dc:creator><rdf:Seq><rdf:li>${escapeXml(author)}</rdf:li></rdf:Seq></dc:creator>`,
+        subject && `<dc:description>${alt(subject)}</dc:description>`,
+        keywords && `<pdf:Keywords>${escapeXml(keywords)}</pdf:Keywords>`,
+        `<pdf:Producer>${escapeXml(producer)}</pdf:Producer>`,
+        `<xmp:CreatorTool>${escapeXml(CREATOR)}</xmp:CreatorTool>`,
+        `<xmp:CreateDate>${xmpDate(created)}</xmp:CreateDate>`,
+        `<xmp:ModifyDate>${xmpDate(modified)}</xmp:ModifyDate>`,
+        `<xmp:MetadataDate>${xmpDate(modified)}</xmp:MetadataDate>`,
+        archival && '<pdfaid:part>3</pdfaid:part>',
+        archival && '<pdfaid:conformance>B</pdfaid:conformance>'
+    ].filter(line => line);
+    return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>\n' +
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">\n<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">\n' +
+        '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:pdf="http://ns.adobe.com/pdf/1.3/" ' +
+        'xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">\n' +
+        lines.map(line => `  ${line}\n`).join('') +
+        '</rdf:Description>\n</rdf:RDF>\n</x:xmpmeta>\n<?xpacket end="w"?>';
+}
+
+// --- UPDATE ---
+
+// Returns a new PDF Buffer. metadata: { title, author, subject, keywords, created (Date) };
+// attachments: [{ name, data (Buffer or string), mimeType, description, modified (Date) }]
+function finalizePdf(pdf, { metadata = {}, attachments = [], archival = false, log = () => {} } = {}) {
+    try {
+        return updatePdf(pdf, { metadata, attachments, archival });
+    } catch (e) {
+        if (!(e instanceof UnsupportedPdfError) || archival) throw e;
+        log(`${e.message}: the PDF is written without metadata${attachments.length > 0 ? ' and attachments' : ''}`, 'WARN');
+        return pdf;
+    }
+}
+
+function updatePdf(pdf, { metadata, attachments, archival }) {
+    const trailer = readTrailer(pdf);
+    const catalog = readObjectDictionary(pdf, trailer.root);
+    const added = ['/Metadata', '/Names', '/AF', '/OutputIntents'].filter(key => catalog.includes(key));
+    if (added.length > 0) throw new UnsupportedPdfError(`Unsupported PDF structure (catalog already has ${added.join(', ')})`);
+    const producerMatch = trailer.info && readObjectDictionary(pdf, trailer.info).match(/\/Producer\s*\(([^)]*)\)/);
+    const producer = producerMatch ? `${producerMatch[1]}; ${CREATOR}` : CREATOR;
+
+    const modified = new Date();
+    const created = metadata.created instanceof Date && !isNaN(metadata.created) ? metadata.created : modified;
+    const objects = new Map(); // number -> Buffer with the object's body
+    let next = trailer.size;
+    const add = body => {
+        const number = next++;
+        objects.set(number, body);
+        return number;
+    };
+    const stream = (dictionary, data) => Buffer.concat([
+        Buffer.from(`<<${dictionary} /Length ${data.length}>>\nstream\n`, 'latin1'), data, Buffer.from('\nendstream', 'latin1')
+    ]);
+
+    // Document information and XMP
+    const info = [
+        metadata.title && `/Title ${pdfText(metadata.title)}`,
+        metadata.author && `/Author ${pdfText(metadata.author)}`,
+        metadata.subject && `/Subject ${pdfText(metadata.subject)}`,
+        metadata.keywords && `/Keywords ${pdfText(metadata.keywords)}`,
+        `/Creator ${pdfText(CREATOR)}`,
+        `/Producer ${pdfText(producer)}`,
+        `/CreationDate ${pdfDate(created)}`,
+        `/ModDate ${pdfDate(modified)}`
+    ].filter(entry => entry).join('\n');
+    const infoNumber = trailer.info || add(null);
+    objects.set(infoNumber, Buffer.from(`<<${info}>>`, 'latin1'));
+    const xmp = Buffer.from(buildXmp({ ...metadata, created, modified, producer, archival }), 'utf8');
+    const metadataNumber = add(stream('/Type /Metadata /Subtype /XML', xmp));
+
+    // Embedded files; the name tree must be sorted by name
+    const fileSpecs = [...attachments].sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0)).map(file => {
+        const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data), 'utf8');
+        const fileModified = file.modified instanceof Date && !isNaN(file.modified) ? file.modified : modified;
+        const embedded = add(stream(
+            `/Type /EmbeddedFile /Subtype ${pdfName(file.mimeType || 'application/octet-stream')} /Filter /FlateDecode ` +
+            `/Params <</Size ${data.length} /ModDate ${pdfDate(fileModified)}>>`,
+            zlib.deflateSync(data)
+        ));
+        const spec = add(Buffer.from(
+            `<</Type /Filespec /F ${pdfText(file.name)} /UF ${pdfText(file.name)} /EF <</F ${embedded} 0 R /UF ${embedded} 0 R>>` +
+            `${file.description ? ` /Desc ${pdfText(file.description)}` : ''} /AFRelationship /${file.relationship || 'Source'}>>`, 'latin1'));
+        return { name: file.name, spec };
+    });
+
+    const entries = [`/Metadata ${metadataNumber} 0 R`];
+    if (fileSpecs.length > 0) {
+        const names = fileSpecs.map(({ name, spec }) => `${pdfText(name)} ${spec} 0 R`).join(' ');
+        entries.push(`/Names <</EmbeddedFiles <</Names [${names}]>>>>`);
+        entries.push(`/AF [${fileSpecs.map(({ spec }) => `${spec} 0 R`).join(' ')}]`);
+    }
+    if (archival) {
+        if (!srgbProfile) srgbProfile = buildSrgbProfile();
+        const profile = add(stream('/N 3 /Filter /FlateDecode', zlib.deflateSync(srgbProfile)));
+        const intent = add(Buffer.from(`<</Type /OutputIntent /S /GTS_PDFA1 /OutputConditionIdentifier (sRGB IEC61966-2.1) ` +
+            `/Info (sRGB IEC61966-2.1) /DestOutputProfile ${profile} 0 R>>`, 'latin1'));
+        entries.push(`/OutputIntents [${intent} 0 R]`);
+        entries.push('/Version /1.7');
+    }
+    // The catalog keeps its entries (pages, structure tree, language) and gains the new ones
+    const catalogBody = catalog.replace(/\/Version\s*\/[\d.]+/, '').replace(/>>\s*$/, `\n${entries.join('\n')}>>`);
+    objects.set(trailer.root, Buffer.from(catalogBody, 'latin1'));
+
+    // Appended objects, cross-reference section and trailer pointing back at the previous one
+    const parts = [pdf];
+    let offset = pdf.length;
+    if (pdf[pdf.length - 1] !== 0x0a) {
+        parts.push(Buffer.from('\n'));
+        offset++;
+    }
+    const offsets = [];
+    [...objects.keys()].sort((a, b) => a - b).forEach(number => {
+        const body = Buffer.concat([Buffer.from(`${number} 0 obj\n`, 'latin1'), objects.get(number), Buffer.from('\nendobj\n', 'latin1')]);
+        offsets.push([number, offset]);
+        parts.push(body);
+        offset += body.length;
+    });
+    const id = crypto.createHash('md5').update(pdf).digest('hex').toUpperCase();
+    const xref = ['xref', '0 1', '0000000000 65535 f ',
+        ...offsets.flatMap(([number, at]) => [`${number} 1`, `${String(at).padStart(10, '0')} 00000 n `])];
+    const trailerText = `trailer\n<</Size ${next} /Root ${trailer.root} 0 R /Info ${infoNumber} 0 R /Prev ${trailer.prev} /ID [<${id}> <${id}>]>>\n`;
+    parts.push(Buffer.from(`${xref.join('\n')}\n${trailerText}startxref\n${offset}\n%%EOF\n`, 'latin1'));
+    return Buffer.concat(parts);
+}
+
+module.exports = { UnsupportedPdfError, readTrailer, readObjectDictionary, finalizePdf };
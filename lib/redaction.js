@@ -0,0 +1,530 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { SIGNATURE_EXTENSION, getEntries, createReferenceIndex, linkResponse, patientKey } = require('./fhir');
+const { CALCULATED_EXPRESSION } = require('./scoring');
+
+// --- REDACTION ---
+// De-identified reports for research partners. A redaction profile (JSON) may set:
+//   identifiers    pseudonymise (default) | mask | keep: the patient's name and identifiers (MRN)
+//                  become a stable pseudonym ("P-3F2A9C1B0D") or the mask text; the ids of the
+//                  Patient, Encounter, CarePlan and QuestionnaireResponses become pseudonyms too
+//   secret         key for pseudonyms and date offsets (else the REDACTION_SECRET environment
+//                  variable; without either they differ from run to run)
+//   dateShift      { maxDays }: every date of a patient moves by the same 1..maxDays days, earlier
+//                  or later, so intervals between responses are kept; the birth date is removed
+//                  without it (unless identifiers is keep)
+//   hideItems      { linkIds, types, codes, extensions }: Questionnaire items (with their
+//                  children) left out of the report, by linkId, item type (e.g. "text"), item code
+//                  ({ system, code }) or extension (a url, or { url, value } to match its value)
+//   stripAuthor    remove QR.author, QR.source and the signers and images of signatures (default true)
+//   stripCarePlan  leave CarePlans (and QR.basedOn) out of the report (default true)
+//   references     mask (default) | keep: reference answers
+//   attachments    remove (default) | keep: attachment answers
+//   mask           text shown for masked values (default "[REDACTED]")
+// The input is redacted before it is grouped and rendered (redactInput), so file names, the
+// header, PDF metadata, embedded responses and DocumentReferences only see redacted data; items
+// are hidden once their Questionnaire is known (redactSections). Every redaction is logged,
+// naming resources by pseudonym and never logging the redacted values.
+
+const IDENTIFIER_MODES = ['pseudonymise', 'mask', 'keep'];
+const REFERENCE_MODES = ['mask', 'keep'];
+const ATTACHMENT_MODES = ['remove', 'keep'];
+const PROFILE_KEYS = ['identifiers', 'secret', 'dateShift', 'hideItems', 'stripAuthor', 'stripCarePlan', 'references', 'attachments', 'mask'];
+const HIDE_KEYS = ['linkIds', 'types', 'codes', 'extensions'];
+const SECRET_ENV = 'REDACTION_SECRET';
+const MAX_SHIFT_DAYS = 3650;
+const PSEUDONYM_SYSTEM = 'urn:redacted:pseudonym';
+
+// Resources a report needs; the rest of the input is dropped
+const DEFINITION_TYPES = ['Questionnaire', 'ValueSet', 'CodeSystem'];
+const ATTACHMENT_TYPES = ['Binary', 'DocumentReference', 'Media'];
+const AUTHOR_TYPES = ['Practitioner', 'PractitionerRole', 'Organization', 'RelatedPerson'];
+const PSEUDONYM_PREFIXES = { Patient: 'P', Encounter: 'E', CarePlan: 'C', QuestionnaireResponse: 'Q' };
+
+const DEFAULT_PROFILE = {
+    identifiers: 'pseudonymise',
+    secret: null,
+    dateShift: null,
+    hideItems: {},
+    stripAuthor: true,
+    stripCarePlan: true,
+    references: 'mask',
+    attachments: 'remove',
+    mask: '[REDACTED]'
+};
+
+const isStringList = value => Array.isArray(value) && value.every(v => typeof v === 'string');
+
+// Validates a profile and fills in the defaults. Throws on any problem, so a typo never
+// produces an export with less redaction than intended.
+function resolveRedactionProfile(profile = {}) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) throw new Error('Redaction profile must be a JSON object');
+    const unknown = Object.keys(profile).filter(key => !PROFILE_KEYS.includes(key));
+    if (unknown.length > 0) throw new Error(`Unknown redaction setting(s): ${unknown.join(', ')} (expected ${PROFILE_KEYS.join(', ')})`);
+    const merged = { ...DEFAULT_PROFILE, ...profile };
+
+    const mode = (key, modes) => {
+        if (!modes.includes(merged[key])) throw new Error(`${key} must be one of: ${modes.join(', ')}`);
+    };
+    mode('identifiers', IDENTIFIER_MODES);
+    mode('references', REFERENCE_MODES);
+    mode('attachments', ATTACHMENT_MODES);
+    ['stripAuthor', 'stripCarePlan'].forEach(key => {
+        if (typeof merged[key] !== 'boolean') throw new Error(`${key} must be true or false`);
+    });
+    if (typeof merged.mask !== 'string') throw new Error('mask must be text');
+    if (merged.secret !== null && (typeof merged.secret !== 'string' || merged.secret.length < 16)) {
+        throw new Error('secret must be text of at least 16 characters');
+    }
+
+    let dateShift = null;
+    if (merged.dateShift) {
+        const { maxDays } = merged.dateShift;
+        if (!Number.isInteger(maxDays) || maxDays < 1 || maxDays > MAX_SHIFT_DAYS) {
+            throw new Error(`dateShift.maxDays must be a whole number from 1 to ${MAX_SHIFT_DAYS}`);
+        }
+        dateShift = { maxDays };
+    }
+
+    const hide = merged.hideItems || {};
+    const unknownHide = Object.keys(hide).filter(key => !HIDE_KEYS.includes(key));
+    if (unknownHide.length > 0) throw new Error(`Unknown hideItems setting(s): ${unknownHide.join(', ')} (expected ${HIDE_KEYS.join(', ')})`);
+    ['linkIds', 'types'].forEach(key => {
+        if (hide[key] !== undefined && !isStringList(hide[key])) throw new Error(`hideItems.${key} must be a list of strings`);
+    });
+    const codes = hide.codes || [];
+    if (!Array.isArray(codes) || codes.some(c => !c || typeof c.code !== 'string')) throw new Error('hideItems.codes must be a list of { system, code }');
+    const extensions = (hide.extensions || []).map(e => (typeof e === 'string' ? { url: e } : e));
+    if (extensions.some(e => !e || typeof e.url !== 'string')) throw new Error('hideItems.extensions must be a list of urls or { url, value }');
+
+    return {
+        ...merged,
+        secret: merged.secret || process.env[SECRET_ENV] || null,
+        dateShift,
+        hideItems: { linkIds: hide.linkIds || [], types: hide.types || [], codes, extensions }
+    };
+}
+
+function loadRedactionProfile(profilePath) {
+    let profile;
+    try {
+        profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+    } catch (e) {
+        throw new Error(`Cannot read redaction profile ${profilePath}: ${e.message}`);
+    }
+    try {
+        return resolveRedactionProfile(profile);
+    } catch (e) {
+        throw new Error(`Redaction profile ${profilePath}: ${e.message}`);
+    }
+}
+
+// Moves a FHIR date or dateTime by whole days, keeping its precision; the time of day and the
+// zone stay as they are
+function shiftDate(value, days) {
+    const match = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?(T.*)?$/.exec(value || '');
+    if (!match || days === 0) return value;
+    const [, year, month, day, time] = match;
+    const shifted = new Date(Date.UTC(Number(year), Number(month || 1) - 1, Number(day || 1) + days)).toISOString();
+    return `${shifted.slice(0, day ? 10 : month ? 7 : 4)}${time || ''}`;
+}
+
+// Why a Questionnaire item is hidden by the profile, or null
+function hideReason(qItem, hideItems) {
+    if (hideItems.linkIds.includes(qItem.linkId)) return 'linkId';
+    if (hideItems.types.includes(qItem.type)) return `type ${qItem.type}`;
+    const code = (qItem.code || []).find(c => hideItems.codes.some(h => h.code === c.code && (!h.system || h.system === c.system)));
+    if (code) return `code ${code.system ? `${code.system}|` : ''}${code.code}`;
+    const extension = (qItem.extension || []).find(e => hideItems.extensions.some(h => h.url === e.url &&
+        (h.value === undefined || Object.keys(e).some(key => key.startsWith('value') && JSON.stringify(e[key]) === JSON.stringify(h.value)))));
+    if (extension) return `extension ${extension.url}`;
+    return null;
+}
+
+// Removes response items with a hidden linkId (also those nested under answers); returns the
+// number of answers removed
+function removeResponseItems(owner, hidden) {
+    if (!owner.item) return 0;
+    let removed = 0;
+    owner.item = owner.item.filter(rItem => {
+        if (hidden.has(rItem.linkId)) {
+            removed += countAnswers(rItem);
+            return false;
+        }
+        removed += removeResponseItems(rItem, hidden);
+        (rItem.answer || []).forEach(answer => { removed += removeResponseItems(answer, hidden); });
+        return true;
+    });
+    return removed;
+}
+
+const countAnswers = rItem => (rItem.answer || []).length + (rItem.item || []).reduce((sum, child) => sum + countAnswers(child), 0) +
+    (rItem.answer || []).reduce((sum, answer) => sum + (answer.item || []).reduce((s, child) => s + countAnswers(child), 0), 0);
+
+// Every linkId in a response's items, also under answers
+function collectLinkIds(rItems, linkIds = new Set()) {
+    (rItems || []).forEach(rItem => {
+        linkIds.add(rItem.linkId);
+        collectLinkIds(rItem.item, linkIds);
+        (rItem.answer || []).forEach(answer => collectLinkIds(answer.item, linkIds));
+    });
+    return linkIds;
+}
+
+function createRedactor(profile, log) {
+    const secret = profile.secret || crypto.randomBytes(32).toString('hex');
+    if (!profile.secret && (profile.identifiers !== 'keep' || profile.dateShift)) {
+        log(`Redaction: no secret set (profile "secret" or ${SECRET_ENV}); pseudonyms and date offsets will differ from run to run`, 'WARN');
+    }
+    const hmac = value => crypto.createHmac('sha256', secret).update(value).digest();
+    const pseudonym = (resourceType, key) => `${PSEUDONYM_PREFIXES[resourceType]}-${hmac(`${resourceType}|${key}`).toString('hex').slice(0, 10).toUpperCase()}`;
+
+    // The same offset for every date of one patient, never zero
+    function offsetDays(key) {
+        if (!profile.dateShift) return 0;
+        const digest = hmac(`dateShift|${key}`);
+        const days = 1 + (digest.readUInt32BE(0) % profile.dateShift.maxDays);
+        return digest[4] % 2 === 0 ? days : -days;
+    }
+
+    const redactedInputs = new WeakSet();
+    const copies = new WeakMap();
+    const pseudonymising = profile.identifiers !== 'keep';
+    const shownIdentifier = key => (profile.identifiers === 'mask' ? profile.mask : pseudonym('Patient', key));
+
+    function keeps(resource) {
+        const type = resource.resourceType;
+        if (DEFINITION_TYPES.includes(type) || ['Patient', 'Encounter', 'QuestionnaireResponse'].includes(type)) return true;
+        if (type === 'CarePlan') return !profile.stripCarePlan;
+        if (ATTACHMENT_TYPES.includes(type)) return profile.attachments === 'keep' || profile.references === 'keep';
+        if (AUTHOR_TYPES.includes(type) && !profile.stripAuthor) return true;
+        return profile.references === 'keep';
+    }
+
+    // Returns a redacted copy of a Bundle or QuestionnaireResponse
+    function redactInput(jsonData, redactLog = log) {
+        const entries = getEntries(jsonData);
+        const resources = entries.map(e => e.resource);
+        const resolve = createReferenceIndex(entries);
+
+        // Whose data each resource is: the patient key (see patientKey) of the responses it belongs to
+        const owners = new Map();
+        resources.filter(r => r.resourceType === 'QuestionnaireResponse').forEach(qr => {
+            const { patient, carePlan } = linkResponse(qr, resources, resolve);
+            const key = patientKey(qr, patient);
+            [qr, patient, carePlan, resolve(qr.encounter, 'Encounter')].filter(r => r && !owners.has(r)).forEach(r => owners.set(r, key));
+        });
+        resources.filter(r => r.resourceType === 'Patient' && !owners.has(r)).forEach(patient => owners.set(patient, patientKey({}, patient)));
+
+        const renamed = new Map();
+        if (pseudonymising) {
+            resources.filter(r => PSEUDONYM_PREFIXES[r.resourceType] && r.id && keeps(r)).forEach(r => {
+                renamed.set(r, pseudonym(r.resourceType, r.resourceType === 'Patient' ? owners.get(r) : `${r.resourceType}/${r.id}`));
+            });
+        }
+        const nameOf = r => `${r.resourceType} ${renamed.get(r) || r.id || '(no id)'}`;
+
+        // References to renamed resources follow the new id; those to dropped resources are removed
+        // (their display masked); a Patient that is not in the input is renamed like the patient key
+        // of its responses. Displays may hold names ("Visit of Ann Jones"), so when pseudonymising a
+        // reference to the patient shows the patient's pseudonym and every other reference that was
+        // renamed or cannot be checked (contained, identifier only, not in the input) loses its
+        // display. Each replaced display is listed in actions by its path.
+        function rewriteReferences(root, actions) {
+            const displays = [];
+            const patientDisplay = (node, key) => {
+                if (node.display !== undefined) node.display = shownIdentifier(key);
+            };
+            const rewrite = (node, path) => {
+                const display = node.display;
+                const local = typeof node.reference === 'string' && node.reference.startsWith('#');
+                const target = local ? null : resolve(node);
+                if (target && renamed.has(target)) {
+                    node.reference = `${target.resourceType}/${renamed.get(target)}`;
+                    if (target.resourceType === 'Patient') patientDisplay(node, owners.get(target));
+                    else delete node.display;
+                } else if (target && !keeps(target)) {
+                    delete node.reference;
+                    delete node.identifier;
+                    if (node.display) node.display = profile.mask;
+                } else if (target && target.resourceType === 'Patient' && pseudonymising) {
+                    patientDisplay(node, owners.get(target));
+                } else if (!target && pseudonymising) {
+                    if (!local && /(^|\/)Patient\//.test(node.reference || '')) {
+                        node.reference = `Patient/${pseudonym('Patient', node.reference)}`;
+                        patientDisplay(node, node.reference);
+                    } else {
+                        delete node.display;
+                    }
+                }
+                if (node.display !== display) displays.push(path);
+            };
+            const visit = (node, path) => {
+                if (Array.isArray(node)) return node.forEach(child => visit(child, path));
+                if (!node || typeof node !== 'object') return;
+                // A Reference: a reference, or a single identifier with a display
+                if (typeof node.reference === 'string' || (node.display !== undefined && node.identifier && !Array.isArray(node.identifier))) {
+                    rewrite(node, path);
+                }
+                Object.entries(node).forEach(([key, value]) => visit(value, path ? `${path}.${key}` : key));
+            };
+            visit(root, '');
+            if (displays.length > 0) {
+                const counts = new Map();
+                displays.forEach(path => counts.set(path, (counts.get(path) || 0) + 1));
+                const paths = [...counts].map(([path, count]) => (count > 1 ? `${path} (${count})` : path));
+                actions.push(`${displays.length} reference display(s) replaced (${paths.join(', ')})`);
+            }
+        }
+
+        function redactPatient(patient, key, actions) {
+            const days = offsetDays(key);
+            let copy = JSON.parse(JSON.stringify(patient));
+            if (pseudonymising) {
+                const shown = shownIdentifier(key);
+                const verb = profile.identifiers === 'mask' ? 'masked' : 'pseudonymised';
+                copy = {
+                    resourceType: 'Patient',
+                    // Contained patients keep their local id
+                    ...(patient.id ? { id: renamed.get(patient) || patient.id } : {}),
+                    name: [{ text: shown }],
+                    identifier: [{ system: PSEUDONYM_SYSTEM, value: shown }],
+                    ...(patient.gender ? { gender: patient.gender } : {}),
+                    ...(patient.birthDate ? { birthDate: patient.birthDate } : {})
+                };
+                actions.push(`name and ${(patient.identifier || []).length} identifier(s) ${verb}`);
+                const dropped = Object.keys(patient).filter(k => !['resourceType', 'id', 'name', 'identifier', 'gender', 'birthDate'].includes(k));
+                if (dropped.length > 0) actions.push(`removed ${dropped.join(', ')}`);
+            }
+            if (copy.birthDate) {
+                if (days) {
+                    copy.birthDate = shiftDate(copy.birthDate, days);
+                    actions.push('birth date shifted');
+                } else if (pseudonymising) {
+                    delete copy.birthDate;
+                    actions.push('birth date removed');
+                }
+            }
+            return copy;
+        }
+
+        function redactAnswers(items, days, counts) {
+            (items || []).forEach(item => {
+                (item.answer || []).forEach(answer => {
+                    ['valueDate', 'valueDateTime'].forEach(key => {
+                        if (answer[key] && days) {
+                            answer[key] = shiftDate(answer[key], days);
+                            counts.dates++;
+                        }
+                    });
+                    if (answer.valueReference && profile.references === 'mask') {
+                        answer.valueReference = { display: profile.mask };
+                        counts.references++;
+                    }
+                    if (answer.valueAttachment && profile.attachments === 'remove') {
+                        const { contentType } = answer.valueAttachment;
+                        answer.valueAttachment = { ...(contentType ? { contentType } : {}), title: profile.mask };
+                        counts.attachments++;
+                    }
+                    redactAnswers(answer.item, days, counts);
+                });
+                redactAnswers(item.item, days, counts);
+            });
+        }
+
+        function redactResponse(qr, key, actions) {
+            const days = offsetDays(key);
+            const copy = JSON.parse(JSON.stringify({ ...qr, contained: undefined }));
+            const contained = (qr.contained || []).filter(keeps).map(resource => {
+                const containedActions = [];
+                const containedCopy = redactResource(resource, key, containedActions);
+                if (containedActions.length > 0) actions.push(`contained ${resource.resourceType}: ${containedActions.join(', ')}`);
+                return containedCopy;
+            });
+            if ((qr.contained || []).length > contained.length) actions.push(`${qr.contained.length - contained.length} contained resource(s) left out`);
+            if (renamed.has(qr)) copy.id = renamed.get(qr);
+            ['meta', 'text'].forEach(field => delete copy[field]);
+            if (pseudonymising && copy.identifier) {
+                delete copy.identifier;
+                actions.push('identifier removed');
+            }
+            if (profile.stripAuthor) {
+                ['author', 'source'].filter(field => copy[field]).forEach(field => {
+                    delete copy[field];
+                    actions.push(`${field} removed`);
+                });
+            }
+            if (profile.stripCarePlan && copy.basedOn) {
+                delete copy.basedOn;
+                actions.push('basedOn removed');
+            }
+
+            const counts = { dates: 0, references: 0, attachments: 0 };
+            if (copy.authored && days) {
+                copy.authored = shiftDate(copy.authored, days);
+                counts.dates++;
+            }
+            redactAnswers(copy.item, days, counts);
+            (copy.extension || []).filter(e => e.url === SIGNATURE_EXTENSION && e.valueSignature).forEach(({ valueSignature: signature }) => {
+                if (signature.when && days) {
+                    signature.when = shiftDate(signature.when, days);
+                    counts.dates++;
+                }
+                if (profile.stripAuthor) {
+                    ['who', 'onBehalfOf', 'data'].forEach(field => delete signature[field]);
+                    actions.push('signer and signature image removed');
+                }
+            });
+            if (counts.dates > 0) actions.push(`${counts.dates} date(s) shifted`);
+            if (counts.references > 0) actions.push(`${counts.references} reference answer(s) masked`);
+            if (counts.attachments > 0) actions.push(`${counts.attachments} attachment(s) removed`);
+
+            // What is left; contained resources have been rewritten by redactResource
+            rewriteReferences(copy, actions);
+            if (contained.length > 0) copy.contained = contained;
+            if (pseudonymising && copy.subject) {
+                const shown = shownIdentifier(key);
+                copy.subject = {
+                    ...(copy.subject.reference ? { reference: copy.subject.reference } : {}),
+                    ...(qr.subject.display ? { display: shown } : {}),
+                    ...(qr.subject.identifier ? { identifier: { system: PSEUDONYM_SYSTEM, value: shown } } : {})
+                };
+                actions.push(`subject ${profile.identifiers === 'mask' ? 'masked' : 'pseudonymised'}`);
+            }
+            return copy;
+        }
+
+        // key: the patient key the resource belongs to (that of its QR for contained resources)
+        function redactResource(resource, key, actions) {
+            switch (resource.resourceType) {
+                case 'Patient': return redactPatient(resource, key, actions);
+                case 'QuestionnaireResponse': return redactResponse(resource, key, actions);
+                case 'Encounter': {
+                    // Only needed to link responses to their patient
+                    const copy = { resourceType: 'Encounter', ...(resource.id ? { id: renamed.get(resource) || resource.id } : {}), ...(resource.subject ? { subject: JSON.parse(JSON.stringify(resource.subject)) } : {}) };
+                    rewriteReferences(copy, actions);
+                    const removed = Object.keys(resource).filter(field => !['resourceType', 'id', 'subject'].includes(field));
+                    if (removed.length > 0) actions.push(`removed ${removed.join(', ')}`);
+                    return copy;
+                }
+                case 'CarePlan': {
+                    const days = offsetDays(key);
+                    const copy = { resourceType: 'CarePlan', ...(resource.id ? { id: renamed.get(resource) || resource.id } : {}) };
+                    const fields = ['status', 'intent', 'category', 'title', 'subject', 'encounter', 'period', 'created', ...(profile.stripAuthor ? [] : ['author'])];
+                    fields.filter(field => resource[field] !== undefined).forEach(field => { copy[field] = JSON.parse(JSON.stringify(resource[field])); });
+                    rewriteReferences(copy, actions);
+                    if (days && copy.created) copy.created = shiftDate(copy.created, days);
+                    if (days && copy.period) ['start', 'end'].filter(k => copy.period[k]).forEach(k => { copy.period[k] = shiftDate(copy.period[k], days); });
+                    const removed = Object.keys(resource).filter(field => !['resourceType', 'id', ...fields].includes(field));
+                    if (removed.length > 0) actions.push(`removed ${removed.join(', ')}`);
+                    if (days && (copy.created || copy.period)) actions.push('dates shifted');
+                    return copy;
+                }
+            }
+            return resource;
+        }
+
+        const kept = [];
+        const dropped = new Map();
+        entries.forEach(entry => {
+            const resource = entry.resource;
+            if (!keeps(resource)) {
+                dropped.set(resource.resourceType, (dropped.get(resource.resourceType) || 0) + 1);
+                return;
+            }
+            const actions = [];
+            const copy = redactResource(resource, owners.get(resource), actions);
+            copies.set(resource, copy);
+            if (actions.length > 0) redactLog(`  [Redaction] ${nameOf(resource)}: ${actions.join(', ')}`, 'INFO');
+            // Renamed resources are found by their new type/id; their fullUrl could identify them
+            kept.push(renamed.has(resource) || !entry.fullUrl ? { resource: copy } : { fullUrl: entry.fullUrl, resource: copy });
+        });
+        if (dropped.size > 0) {
+            redactLog(`  [Redaction] Left out ${[...dropped].map(([type, count]) => `${count} ${type}`).join(', ')}`, 'INFO');
+        }
+
+        const result = jsonData.resourceType === 'Bundle'
+            ? { resourceType: 'Bundle', type: jsonData.type || 'collection', entry: kept }
+            : (kept[0] || { resource: jsonData }).resource;
+        redactedInputs.add(result);
+        return result;
+    }
+
+    // A group from groupResponses() on the original input, pointing at the redacted copies
+    const redactGroup = group => ({
+        ...group,
+        patient: group.patient ? copies.get(group.patient) || null : null,
+        carePlan: group.carePlan ? copies.get(group.carePlan) || null : null,
+        questionnaireResponses: group.questionnaireResponses.map(qr => copies.get(qr)).filter(qr => qr)
+    });
+
+    // Hides the profile's items once each section's Questionnaire is known: from the form, the
+    // response, its scored copy, its calculated items and its findings. Validation and scoring have
+    // run on the full response, so required or scored items can be hidden without side effects.
+    // Conditions that depend on a hidden item are dropped, so the items they control stay visible;
+    // calculated items show the values scoring computed from the full response, as the form could
+    // not recompute them without the hidden answers.
+    function redactSections(reportData, scoring, redactLog = log) {
+        reportData.combinedQuestionnaires.forEach((qrData, i) => {
+            const hidden = new Set();
+            const reasons = [];
+            const visit = (qItems, parentHidden) => (qItems || []).forEach(qItem => {
+                const reason = parentHidden ? null : hideReason(qItem, profile.hideItems);
+                if (reason) reasons.push({ linkId: qItem.linkId, reason });
+                if (reason || parentHidden) hidden.add(qItem.linkId);
+                visit(qItem.item, Boolean(reason || parentHidden));
+            });
+            visit(qrData.questionnaire && qrData.questionnaire.item, false);
+            // Listed answers the form does not define would still show in the appendix
+            const answered = collectLinkIds(qrData.questionnaireResponse.item);
+            profile.hideItems.linkIds.filter(linkId => !hidden.has(linkId) && answered.has(linkId)).forEach(linkId => {
+                reasons.push({ linkId, reason: 'linkId, not in the form definition' });
+                hidden.add(linkId);
+            });
+            if (hidden.size === 0) return;
+
+            const questionnaire = JSON.parse(JSON.stringify(qrData.questionnaire));
+            const scores = scoring[i];
+            let conditions = 0;
+            const prune = qItems => (qItems || []).filter(qItem => !hidden.has(qItem.linkId)).map(qItem => {
+                if (scores && qItem.extension) qItem.extension = qItem.extension.filter(e => e.url !== CALCULATED_EXPRESSION);
+                if (qItem.enableWhen) {
+                    const remaining = qItem.enableWhen.filter(condition => !hidden.has(condition.question));
+                    conditions += qItem.enableWhen.length - remaining.length;
+                    if (remaining.length > 0) qItem.enableWhen = remaining;
+                    else {
+                        delete qItem.enableWhen;
+                        delete qItem.enableBehavior;
+                    }
+                }
+                if (qItem.item) qItem.item = prune(qItem.item);
+                return qItem;
+            });
+            questionnaire.item = prune(questionnaire.item);
+            qrData.questionnaire = questionnaire;
+
+            const response = JSON.parse(JSON.stringify(scores ? scores.questionnaireResponse : qrData.questionnaireResponse));
+            const removed = removeResponseItems(response, hidden);
+            qrData.questionnaireResponse = response;
+            qrData.findings = (qrData.findings || []).filter(finding => !hidden.has(finding.linkId));
+            if (scores) {
+                removeResponseItems(scores.questionnaireResponse, hidden);
+                scores.calculated = scores.calculated.filter(item => !hidden.has(item.linkId));
+            }
+
+            const name = `${qrData.title}${response.id ? ` (${response.id})` : ''}`;
+            reasons.forEach(({ linkId, reason }) => redactLog(`  [Redaction] ${name}: hid item ${linkId} (${reason})`, 'INFO'));
+            redactLog(`  [Redaction] ${name}: ${removed} answer(s) hidden${conditions > 0 ? `, ${conditions} enableWhen condition(s) on hidden items dropped` : ''}`, 'INFO');
+        });
+    }
+
+    return {
+        profile,
+        redactInput,
+        redactGroup,
+        redactSections,
+        isRedacted: jsonData => redactedInputs.has(jsonData)
+    };
+}
+
+module.exports = { SECRET_ENV, resolveRedactionProfile, loadRedactionProfile, createRedactor, shiftDate };
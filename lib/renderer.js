@@ -0,0 +1,581 @@
+const puppeteer = require('puppeteer');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { createPagePool } = require('./page_pool');
+const { createDefinitionRegistry, addDefinitions, loadLibraries } = require('./definitions');
+const { buildReportData } = require('./fhir');
+const { resolveReportConfig, loadReportConfig, buildHeader, buildRunningValues } = require('./report_config');
+const { createLocale, localizeQuestionnaire, createAnswerFormatter } = require('./locale');
+const { buildPdfOptions, getWatermark } = require('./page_layout');
+const { finalizePdf } = require('./pdf_metadata');
+const { validateResponse, describeFinding, disabledItems } = require('./response_validation');
+const { scoreResponse } = require('./scoring');
+const { groupComparisons, buildComparison } = require('./comparison');
+const { DEFAULT_ASSET_MANIFEST, verifyAssets } = require('./assets');
+const { resolveRedactionProfile, loadRedactionProfile, createRedactor } = require('./redaction');
+
+const DEFAULT_ASSETS_DIR = path.join(__dirname, '..', 'assets');
+const DEFAULT_TEMPLATE_PATH = path.join(__dirname, '..', 'template.html');
+
+const BROWSER_ARGS = [
+    '--disable-web-security',
+    '--disable-features=VizDisplayCompositor',
+    '--disable-dev-shm-usage',
+    '--disable-gpu'
+];
+
+// Upper bound for renderFromData(); the template also limits each section to 10 seconds
+const DEFAULT_RENDER_TIMEOUT_MS = 60000;
+
+// How answers that do not fit the form definition are handled:
+//   lenient  - drop them from the form (logged and listed in the audit)
+//   strict   - fail the report when any answer would be dropped or the definition is missing
+//   appendix - list them in a "Data not in form definition" box below the section
+const DATA_POLICIES = ['lenient', 'strict', 'appendix'];
+
+// How sections are drawn:
+//   lforms  - the LForms form with every question and option (default)
+//   summary - compact question/answer rows walked from the Questionnaire (see renderSummary in the
+//             template); `hideUnanswered` and `hideDisabled` leave out unanswered and enableWhen-disabled items
+//   comparison - a patient's responses to the same Questionnaire side by side in one table, oldest
+//             first (see lib/comparison.js); other responses are drawn as in summary mode
+const RENDER_MODES = ['lforms', 'summary', 'comparison'];
+
+// code: NO_QUESTIONNAIRE_RESPONSE | RENDER_TIMEOUT | RENDER_FAILED | POLICY_VIOLATION
+// sections: the per-section status reported by the template, when available
+class RenderError extends Error {
+    constructor(message, code, sections = null, violations = null) {
+        super(message);
+        this.name = 'RenderError';
+        this.code = code;
+        this.sections = sections;
+        this.violations = violations;
+    }
+}
+
+// Reasons why a report may not be issued under the strict policy: missing definitions, a
+// different definition version than the one answered, answered items that are not in the
+// definition and answer codes outside the answer list
+function getPolicyViolations(sections) {
+    const violations = [];
+    sections.forEach(section => {
+        const audit = section.audit || { removed: [], unmatchedCodes: [] };
+        if (section.status === 'empty' && section.reason) violations.push(`${section.title}: ${section.reason}`);
+
+        const resolved = section.resolvedQuestionnaire;
+        if (resolved && resolved.match === 'version-fallback') {
+            violations.push(`${section.title}: answered on ${section.questionnaire} but rendered with version ${resolved.version || '(none)'}`);
+        }
+
+        const droppedData = audit.removed.filter(r => r.answers.length > 0 || r.items.length > 0);
+        if (droppedData.length > 0) {
+            violations.push(`${section.title}: ${droppedData.length} answered item(s) not in the form definition (${droppedData.map(r => r.path).join(', ')})`);
+        }
+        if (audit.unmatchedCodes.length > 0) {
+            violations.push(`${section.title}: ${audit.unmatchedCodes.length} answer code(s) not in the answer list (${audit.unmatchedCodes.map(u => `${u.path}=${u.code}`).join(', ')})`);
+        }
+    });
+    return violations;
+}
+
+// complete: every section rendered; partial: some sections failed or are empty;
+// failed: the template crashed or no section rendered
+function getReportStatus({ error, sections }) {
+    if (error || sections.length === 0) return 'failed';
+    if (!sections.some(section => section.status === 'rendered')) return 'failed';
+    if (sections.some(section => section.status !== 'rendered')) return 'partial';
+    return 'complete';
+}
+
+// Adds the QR, resolved definition, findings and scores behind each section reported by the template
+function describeSections(reportData, sections, scoring) {
+    return sections.map(section => {
+        const qrData = reportData.combinedQuestionnaires[section.index] || {};
+        const qr = qrData.questionnaireResponse || {};
+        const scores = scoring[section.index];
+        return {
+            ...section,
+            questionnaireResponseId: qr.id || null,
+            questionnaire: qr.questionnaire || null,
+            resolvedQuestionnaire: qrData.resolvedQuestionnaire || null,
+            findings: qrData.findings || [],
+            scores: scores ? { total: scores.total, calculated: scores.calculated, errors: scores.errors } : null
+        };
+    });
+}
+
+const unique = values => [...new Set(values.filter(value => value))];
+
+// Checks each response against its definition (see lib/response_validation.js) and logs the
+// findings: a count per section, every finding at DEBUG level
+function validateSections(reportData, log) {
+    reportData.combinedQuestionnaires.forEach(qrData => {
+        qrData.findings = qrData.definitionMissing ? [] : validateResponse(qrData.questionnaire, qrData.questionnaireResponse);
+        if (qrData.findings.length === 0) return;
+        const errors = qrData.findings.filter(finding => finding.severity === 'error').length;
+        log(`  [Validator] ${qrData.title}: ${errors} error(s), ${qrData.findings.length - errors} warning(s)`, 'WARN');
+        qrData.findings.forEach(finding => log(`  [Validator] ${finding.severity} ${finding.path}: ${finding.message} (${finding.code})`, 'DEBUG'));
+    });
+}
+
+// Computes each response's total score and calculated items (see lib/scoring.js) and logs the
+// expressions that could not be evaluated. Returns the results in section order (null for
+// sections without a definition).
+function scoreSections(reportData, log) {
+    return reportData.combinedQuestionnaires.map(qrData => {
+        if (qrData.definitionMissing || !qrData.questionnaireResponse) return null;
+        const scores = scoreResponse(qrData.questionnaire, qrData.questionnaireResponse);
+        scores.errors.forEach(error => log(`  [Scoring] ${qrData.title} ${error.linkId || 'Questionnaire'}: ${error.message} (${error.expression})`, 'WARN'));
+        if (scores.total || scores.calculated.length > 0) {
+            log(`  [Scoring] ${qrData.title}: ${scores.total ? `total score ${scores.total.score} (${scores.total.answered}/${scores.total.items} answered), ` : ''}${scores.calculated.length} calculated item(s)`, 'DEBUG');
+        }
+        return scores;
+    });
+}
+
+// In comparison mode, puts each group's table on the section of its first response in the report
+// and marks the other responses of the group as shown there (comparedIn: that section's index)
+function compareSections(reportData, scoring, localization, log) {
+    groupComparisons(reportData.combinedQuestionnaires).forEach(indexes => {
+        const owner = Math.min(...indexes);
+        const entries = indexes.map(i => ({ qrData: reportData.combinedQuestionnaires[i], scores: scoring[i] }));
+        reportData.combinedQuestionnaires[owner].comparison = buildComparison(entries, localization, reportData.summary);
+        indexes.filter(i => i !== owner).forEach(i => { reportData.combinedQuestionnaires[i].comparedIn = owner; });
+        log(`  [Comparison] ${reportData.combinedQuestionnaires[owner].title}: ${indexes.length} responses compared`, 'DEBUG');
+    });
+}
+
+// The score panel of a section for the template: { rows: [{ label, value, note }] }, or null
+// when the form has nothing to score
+function describeScores(scores, questionnaire, localization) {
+    if (!scores || (!scores.total && scores.calculated.length === 0)) return null;
+    const { t, formatNumber } = localization;
+    const format = createAnswerFormatter(questionnaire, localization);
+
+    const rows = [];
+    if (scores.total) {
+        rows.push({
+            label: t('Total score'),
+            value: formatNumber(scores.total.score),
+            note: t('{answered} of {items} scored questions answered')
+                .replace('{answered}', scores.total.answered).replace('{items}', scores.total.items)
+        });
+    }
+    scores.calculated.forEach(item => rows.push({
+        label: item.text || item.linkId,
+        value: item.answers.length > 0 ? item.answers.map(format).join(', ') : t('Not answered'),
+        note: null
+    }));
+    return { rows };
+}
+
+// Every date and dateTime answer and signature time of the report in the report language
+// (value -> text) for the template; the browser's own date formats do not cover every language
+function formatAnswerDates(reportData, localization) {
+    const dates = {};
+    const visit = items => (items || []).forEach(item => {
+        (item.answer || []).forEach(answer => {
+            const value = answer.valueDate || answer.valueDateTime;
+            if (value) dates[value] = localization.formatDate(value);
+            visit(answer.item);
+        });
+        visit(item.item);
+    });
+    reportData.combinedQuestionnaires.forEach(qrData => {
+        visit(qrData.questionnaireResponse && qrData.questionnaireResponse.item);
+        (qrData.content ? qrData.content.signatures : []).forEach(signature => {
+            if (signature.when) dates[signature.when] = localization.formatDate(signature.when);
+        });
+    });
+    return dates;
+}
+
+// PDF document information and attachments from the report's FHIR data: title from the
+// questionnaires, author from QR.author (else the organisation), subject naming the patient,
+// the questionnaire canonicals as keywords and the latest authored date as creation date.
+// Each source QuestionnaireResponse is attached as JSON when attachSource is set.
+function describeDocument(reportData, runningValues, t, attachSource) {
+    const responses = reportData.combinedQuestionnaires.map(qrData => qrData.questionnaireResponse || {});
+    const authored = responses.map(qr => new Date(qr.authored)).filter(date => !isNaN(date)).sort((a, b) => b - a);
+    const metadata = {
+        title: unique(reportData.combinedQuestionnaires.map(qrData => qrData.title)).join(', ') || reportData.header.title,
+        author: unique(responses.map(qr => qr.author && (qr.author.display || qr.author.reference))).join(', ') || reportData.header.organisation,
+        subject: [runningValues.patient, runningValues.mrn && `${t('MRN')} ${runningValues.mrn}`].filter(part => part).join(', '),
+        keywords: unique(responses.map(qr => qr.questionnaire)).join(', '),
+        created: authored[0]
+    };
+
+    const names = new Set();
+    const attachments = !attachSource ? [] : responses.map((qr, i) => {
+        let name = `QuestionnaireResponse-${String(qr.id || i + 1).replace(/[^A-Za-z0-9.-]/g, '_')}.json`;
+        if (names.has(name)) name = name.replace(/\.json$/, `-${i + 1}.json`);
+        names.add(name);
+        return {
+            name,
+            data: JSON.stringify(qr, null, 2),
+            mimeType: 'application/fhir+json',
+            description: `Source QuestionnaireResponse${qr.id ? ` ${qr.id}` : ''}`,
+            modified: new Date(qr.authored)
+        };
+    });
+    return { metadata, attachments };
+}
+
+// Forwards the template's sanitizer/normalizer console output to the run log.
+// getLog() returns the logger of the render currently using the page.
+function forwardConsole(page, getLog) {
+    page.on('console', async msg => {
+        const log = getLog();
+        const args = await Promise.all(msg.args().map(arg => arg.jsonValue().catch(() => '')));
+        const text = args.length ? args.join(' ') : msg.text();
+
+        // Capture all sanitizer and normalizer logs
+        if (text.includes('[Sanitizer]')) {
+            if (text.includes('REMOVED') || text.includes('✗')) {
+                log(text, 'WARN');
+            } else {
+                log(text, text.includes('✓ Kept') ? 'DEBUG' : 'INFO');
+            }
+        } else if (text.includes('[Normalizer]')) {
+            if (text.includes('Warning') || text.includes('⚠')) {
+                log(text, 'WARN');
+            } else {
+                log(text, text.includes('✓ Fixed') || text.includes('Summary') ? 'INFO' : 'DEBUG');
+            }
+        } else if (text.includes('[Processing]')) {
+            log(text, 'INFO');
+        } else if (msg.type() === 'error' || msg.type() === 'warning') {
+            if (text.includes('LFORMS_CRASH')) {
+                log(`[CRASH] ${text.replace('LFORMS_CRASH:', '')}`, 'ERROR');
+            }
+        }
+    });
+}
+
+// Creates a renderer that turns a Bundle or QuestionnaireResponse into a PDF Buffer. Options
+// (each is described under "Programmatic API" in the README):
+//   definitions, definitionsDir, packages, packageCache   Questionnaires and their terminology
+//   assetsDir, assetManifest                              pinned LForms files (lib/assets.js)
+//   templatePath, reportConfig, locale, timeZone          letterhead, layout and report language
+//   archival, attachSource, pdfOptions                    PDF output (lib/pdf_metadata.js)
+//   launchOptions, concurrency, maxRendersPerPage, renderTimeoutMs   browser and page pool
+//   dataPolicy, renderMode, hideUnanswered, hideDisabled, findingsPage, scorePanel   report content
+//   redaction                                             de-identification profile (lib/redaction.js)
+//   log                                                   see createLogger
+function createRenderer({
+    definitions = [],
+    definitionsDir = null,
+    packages = [],
+    packageCache,
+    assetsDir = DEFAULT_ASSETS_DIR,
+    assetManifest = DEFAULT_ASSET_MANIFEST,
+    templatePath = null,
+    reportConfig = {},
+    locale = 'en',
+    timeZone,
+    archival = false,
+    attachSource = true,
+    pdfOptions = {},
+    launchOptions = {},
+    concurrency = os.cpus().length,
+    maxRendersPerPage = 100,
+    renderTimeoutMs = DEFAULT_RENDER_TIMEOUT_MS,
+    dataPolicy = 'lenient',
+    renderMode = 'lforms',
+    hideUnanswered = false,
+    hideDisabled = false,
+    findingsPage = false,
+    scorePanel = true,
+    redaction = null,
+    log = createLogger({ verbosity: 0 })
+} = {}) {
+    // Pages load these verified contents, never the files on disk (see lib/assets.js)
+    const assets = verifyAssets(assetsDir, assetManifest);
+    log(`LForms ${assets.version} assets verified against ${path.basename(assetManifest)}`, 'INFO');
+    assets.files.forEach(file => log(`  [Assets] ${file.name} sha256 ${file.sha256}`, 'DEBUG'));
+    const config = typeof reportConfig === 'string' ? loadReportConfig(reportConfig) : resolveReportConfig(reportConfig);
+    templatePath = templatePath || config.template || DEFAULT_TEMPLATE_PATH;
+    if (!fs.existsSync(templatePath)) {
+        throw new Error(`Template not found: ${templatePath}`);
+    }
+    if (!DATA_POLICIES.includes(dataPolicy)) {
+        throw new Error(`Unknown data policy: ${dataPolicy} (expected ${DATA_POLICIES.join(', ')})`);
+    }
+    if (!RENDER_MODES.includes(renderMode)) {
+        throw new Error(`Unknown render mode: ${renderMode} (expected ${RENDER_MODES.join(', ')})`);
+    }
+    const redactor = redaction
+        ? createRedactor(typeof redaction === 'string' ? loadRedactionProfile(redaction) : resolveRedactionProfile(redaction), log)
+        : null;
+    if (redactor) log(`Redaction on: identifiers ${redactor.profile.identifiers}, dates ${redactor.profile.dateShift ? `shifted up to ${redactor.profile.dateShift.maxDays} days` : 'kept'}`, 'INFO');
+
+    // Locales by spec, so a per-render override reads its label files only once
+    const locales = new Map();
+    const getLocale = spec => {
+        if (!locales.has(spec)) locales.set(spec, createLocale({ locale: spec, timeZone, log }));
+        return locales.get(spec);
+    };
+    getLocale(locale);
+
+    const registry = createDefinitionRegistry();
+    if (definitionsDir || packages.length > 0) loadLibraries(definitionsDir, registry, log, { packages, packageCache });
+    addDefinitions(registry, definitions, log);
+
+    let browserPromise = null;
+    let pool = null;
+    const pageLogs = new WeakMap();
+
+    function getBrowser() {
+        if (!browserPromise) {
+            browserPromise = puppeteer.launch({ headless: "new", args: BROWSER_ARGS, ...launchOptions });
+            // Allow a later render to retry if the browser failed to start
+            browserPromise.catch(() => { browserPromise = null; });
+        }
+        return browserPromise;
+    }
+
+    // Loads the template and LForms once per page; later renders only call resetReport()
+    async function preparePage(page) {
+        forwardConsole(page, () => pageLogs.get(page) || log);
+
+        await page.goto(`file://${templatePath}`, { waitUntil: 'domcontentloaded' });
+
+        for (const file of assets.files) {
+            const sourceUrl = path.join(assetsDir, file.name);
+            if (file.name.endsWith('.css')) await page.addStyleTag({ content: `${file.content}\n/*# sourceURL=${sourceUrl} */` });
+            else await page.addScriptTag({ content: `${file.content}\n//# sourceURL=${sourceUrl}` });
+        }
+
+        try { await page.waitForFunction(() => window.LForms, { timeout: 3000 }); } catch (e) {}
+    }
+
+    function getPool() {
+        if (!pool) {
+            pool = createPagePool({
+                getBrowser,
+                preparePage,
+                size: Math.max(1, concurrency),
+                maxUses: maxRendersPerPage
+            });
+        }
+        return pool;
+    }
+
+    // print: { pdfOptions, metadata, attachments, scoring, log } for this report
+    async function renderOnPage(page, reportData, print, options) {
+        await page.evaluate(() => window.resetReport());
+
+        // renderFromData() resolves once LForms reports every section ready
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new RenderError('Render timeout.', 'RENDER_TIMEOUT')), renderTimeoutMs);
+        });
+        let result;
+        try {
+            result = await Promise.race([page.evaluate((data) => window.renderFromData(data), reportData), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const printed = await page.pdf({ ...print.pdfOptions, ...pdfOptions, ...options.pdfOptions });
+        const pdf = finalizePdf(Buffer.from(printed), { metadata: print.metadata, attachments: print.attachments, archival, log: print.log });
+        return { pdf, error: result.error, sections: describeSections(reportData, result.sections, print.scoring) };
+    }
+
+    // Resolves to { pdf, document, status, sections, error, violations, questionnaireCount,
+    // scoredResponses, timings }, described under "Programmatic API" in the README; a failed report
+    // still has a pdf. options: dataPolicy, renderMode, findingsPage, scorePanel and locale override
+    // the renderer's settings, label prefixes this render's log lines and group (see groupResponses)
+    // renders one patient's or response's part of the input.
+    async function renderReport(bundleOrQr, options = {}) {
+        const started = Date.now();
+        const renderLog = options.label ? (message, type) => log(`[${options.label}] ${message}`, type) : log;
+        if (redactor && !redactor.isRedacted(bundleOrQr)) {
+            bundleOrQr = redactor.redactInput(bundleOrQr, renderLog);
+            if (options.group) options = { ...options, group: redactor.redactGroup(options.group) };
+        }
+
+        const policy = options.dataPolicy || dataPolicy;
+        if (!DATA_POLICIES.includes(policy)) {
+            throw new Error(`Unknown data policy: ${policy} (expected ${DATA_POLICIES.join(', ')})`);
+        }
+        const mode = options.renderMode || renderMode;
+        if (!RENDER_MODES.includes(mode)) {
+            throw new Error(`Unknown render mode: ${mode} (expected ${RENDER_MODES.join(', ')})`);
+        }
+
+        const reportData = buildReportData(bundleOrQr, registry, renderLog, options.group);
+        if (!reportData) {
+            throw new RenderError('No QuestionnaireResponse found.', 'NO_QUESTIONNAIRE_RESPONSE');
+        }
+        reportData.dataPolicy = policy;
+        reportData.renderMode = mode;
+        reportData.summary = { hideUnanswered, hideDisabled };
+
+        const localization = getLocale(options.locale || locale);
+        const { t } = localization;
+        reportData.combinedQuestionnaires.forEach(qrData => {
+            qrData.questionnaire = localizeQuestionnaire(qrData.questionnaire, localization.languages);
+            if (qrData.questionnaire.title) qrData.title = qrData.questionnaire.title;
+        });
+        validateSections(reportData, renderLog);
+        const scoring = scoreSections(reportData, renderLog);
+        if (redactor) redactor.redactSections(reportData, scoring, renderLog);
+        const showScores = options.scorePanel !== undefined ? options.scorePanel : scorePanel;
+        reportData.combinedQuestionnaires.forEach((qrData, i) => {
+            qrData.scorePanel = showScores ? describeScores(scoring[i], qrData.questionnaire, localization) : null;
+            // Items whose enableWhen is not met, for the summary's hideDisabled (the template does not evaluate enableWhen)
+            qrData.disabledItems = qrData.definitionMissing ? [] : disabledItems(qrData.questionnaire, qrData.questionnaireResponse);
+        });
+        // The comparison table carries the scores of its responses
+        if (mode === 'comparison') {
+            compareSections(reportData, scoring, localization, renderLog);
+            reportData.combinedQuestionnaires.forEach(qrData => {
+                if (qrData.comparison || qrData.comparedIn !== undefined) qrData.scorePanel = null;
+            });
+        }
+        reportData.findings = (options.findingsPage !== undefined ? options.findingsPage : findingsPage)
+            ? reportData.combinedQuestionnaires.map(qrData => ({
+                title: qrData.title,
+                findings: qrData.findings.map(finding => ({ ...finding, message: describeFinding(finding, t), label: t(finding.severity === 'error' ? 'Error' : 'Warning') }))
+            }))
+            : null;
+        reportData.language = localization.language;
+        reportData.dates = formatAnswerDates(reportData, localization);
+        reportData.reportDate = localization.formatDate(new Date());
+        reportData.labels = {
+            date: t('Date'),
+            appendixTitle: t('Data not in form definition'),
+            appendixNote: t('The answers below were recorded in the QuestionnaireResponse but could not be shown in the form above, because the form definition used for this report does not contain them.'),
+            unmatchedCode: t('Answer code not in answer list'),
+            yes: t('Yes'),
+            no: t('No'),
+            notAnswered: t('Not answered'),
+            attachments: t('Attachments'),
+            signature: t('Signature'),
+            signedBy: t('Signed by'),
+            signedOn: t('Signed on'),
+            onBehalfOf: t('on behalf of'),
+            digitalSignature: t('Digital signature'),
+            findingsTitle: t('Data quality findings'),
+            findingsNote: t('These findings compare each QuestionnaireResponse with the form definition used for this report.'),
+            noFindings: t('No findings.'),
+            severity: t('Severity'),
+            item: t('Item'),
+            finding: t('Finding'),
+            scoresTitle: t('Scores'),
+            question: t('Question'),
+            trend: t('Trend'),
+            comparisonNote: t('Highlighted answers changed since the previous response.')
+        };
+        const { logo, logoText, colors } = config;
+        reportData.header = {
+            title: t(config.title),
+            organisation: t(config.organisation),
+            logo, logoText, colors,
+            fields: buildHeader(config, reportData, renderLog, localization)
+        };
+        const questionnaireResponses = reportData.combinedQuestionnaires.map(qrData => qrData.questionnaireResponse);
+        reportData.watermark = config.page.watermark ? getWatermark(questionnaireResponses, t) : null;
+        // Paper, margins and the running header/footer that identify the patient on every page
+        const runningValues = buildRunningValues(reportData, renderLog, localization);
+        const print = {
+            pdfOptions: buildPdfOptions(config.page, {
+                ...runningValues,
+                questionnaire: unique(reportData.combinedQuestionnaires.map(qrData => qrData.title)).join(', '),
+                generated: localization.formatDate(new Date().toISOString())
+            }, t),
+            ...describeDocument(reportData, runningValues, t, attachSource),
+            scoring,
+            log: renderLog
+        };
+
+        const renderPool = getPool();
+        const entry = await renderPool.acquire();
+        const acquired = Date.now();
+        let broken = false;
+        pageLogs.set(entry.page, renderLog);
+        try {
+            const { pdf, error, sections } = await renderOnPage(entry.page, reportData, print, options);
+            const finished = Date.now();
+            const violations = policy === 'strict' ? getPolicyViolations(sections) : [];
+            return {
+                pdf,
+                document: {
+                    title: print.metadata.title,
+                    language: localization.language,
+                    patient: reportData.patient || null,
+                    questionnaireResponses
+                },
+                status: violations.length > 0 ? 'failed' : getReportStatus({ error, sections }),
+                sections,
+                error,
+                violations,
+                questionnaireCount: reportData.combinedQuestionnaires.length,
+                scoredResponses: scoring.map((scores, i) => (scores ? scores.questionnaireResponse : questionnaireResponses[i])),
+                timings: { waitMs: acquired - started, renderMs: finished - acquired, totalMs: finished - started }
+            };
+        } catch (e) {
+            // The page state is unknown after a failure: replace it
+            broken = true;
+            throw e;
+        } finally {
+            pageLogs.delete(entry.page);
+            renderPool.release(entry, { broken });
+        }
+    }
+
+    // Resolves to the PDF Buffer; rejects with POLICY_VIOLATION (strict policy) or RENDER_FAILED
+    // when no section could be rendered
+    async function render(bundleOrQr, options = {}) {
+        const { pdf, status, sections, error, violations } = await renderReport(bundleOrQr, options);
+        if (violations.length > 0) {
+            throw new RenderError(`Strict data policy: ${violations.join('; ')}`, 'POLICY_VIOLATION', sections, violations);
+        }
+        if (status === 'failed') {
+            const reasons = error ? [error] : sections.map(section => `${section.title}: ${section.reason}`);
+            throw new RenderError(`Report could not be rendered (${reasons.join('; ') || 'no sections'})`, 'RENDER_FAILED', sections);
+        }
+        return pdf;
+    }
+
+    // Starts the browser and prepares one page so the first render is fast
+    async function launch() {
+        const renderPool = getPool();
+        renderPool.release(await renderPool.acquire());
+    }
+
+    async function close() {
+        if (pool) {
+            await pool.close();
+            pool = null;
+        }
+        if (!browserPromise) return;
+        const browser = await browserPromise.catch(() => null);
+        browserPromise = null;
+        if (browser) await browser.close();
+    }
+
+    return {
+        render,
+        renderReport,
+        launch,
+        close,
+        addDefinitions: resources => addDefinitions(registry, resources),
+        // The redacted copy of an input (the input itself without redaction), for callers that
+        // group or name reports before rendering them
+        redact: (bundleOrQr, redactLog = log) => (redactor && !redactor.isRedacted(bundleOrQr) ? redactor.redactInput(bundleOrQr, redactLog) : bundleOrQr),
+        registry,
+        config,
+        // The LForms version and file hashes every page runs, for run manifests and health checks
+        assets: {
+            version: assets.version,
+            source: assets.source,
+            files: Object.fromEntries(assets.files.map(file => [file.name, file.sha256]))
+        }
+    };
+}
+
+module.exports = { createRenderer, RenderError, DATA_POLICIES, RENDER_MODES, describeDocument };
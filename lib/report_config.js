@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const { compileFhirPath } = require('./fhirpath');
+const { isLocalizedText: isText } = require('./locale');
+const { resolvePageSettings } = require('./page_layout');
+const { resolveDocumentSettings } = require('./document_reference');
+
+// --- REPORT CONFIGURATION ---
+// Letterhead and header fields of the report. A config file (JSON) may set:
+//   template      HTML template, relative to the config file
+//   title         report title (default "QuestionnaireResponse")
+//   organisation  organisation name shown under the title
+//                 (title and organisation may also be { "en": ..., "cy": ... }, see lib/locale.js)
+//   logo          image file (png, jpg, gif, svg, webp), relative to the config file
+//   logoText      text in the logo box when there is no logo (default "QR")
+//   colors        { primary, text, headerBackground, sectionHeader } as CSS colours
+//   headerFields  [{ label, expression, default, row }]: label and default are English text
+//                 (translated from locales/) or { "en": ..., "cy": ... }; expression is a FHIRPath expression
+//                 (or a list of them, the first non-empty one wins) evaluated with the
+//                 QuestionnaireResponse in focus and %patient, %carePlan and
+//                 %questionnaireResponse set; fields with the same row are shown together
+//   page          paper size, orientation, margins, running header/footer and watermark
+//                 (see lib/page_layout.js)
+//   documentReference  type and category codes of the FHIR DocumentReference written for each
+//                 report (see lib/document_reference.js)
+
+const DEFAULT_HEADER_FIELDS = [
+    { label: 'Patient', expression: ['%patient.name.first()', '%questionnaireResponse.subject'], row: 1 },
+    { label: 'DOB', expression: '%patient.birthDate', row: 1 },
+    { label: 'MRN', expression: ['%patient.identifier.first().value', '%questionnaireResponse.subject.identifier.value'], row: 1 },
+    {
+        label: 'Care Plan',
+        expression: ['%carePlan.category', "%questionnaireResponse.questionnaire.replaceMatches('^.*/|\\\\|.*$', '')"],
+        row: 2
+    },
+    { label: 'Author', expression: ['%carePlan.author', '%questionnaireResponse.author'], row: 2 }
+];
+
+// Values for the running header and footer placeholders (see lib/page_layout.js)
+const RUNNING_VALUE_EXPRESSIONS = {
+    patient: DEFAULT_HEADER_FIELDS[0].expression,
+    mrn: DEFAULT_HEADER_FIELDS[2].expression
+};
+
+const DEFAULT_REPORT_CONFIG = {
+    template: null,
+    title: 'QuestionnaireResponse',
+    organisation: null,
+    logo: null,
+    logoText: 'QR',
+    colors: {},
+    headerFields: DEFAULT_HEADER_FIELDS,
+    page: {},
+    documentReference: {}
+};
+
+const CONFIG_KEYS = Object.keys(DEFAULT_REPORT_CONFIG);
+const COLOR_KEYS = ['primary', 'text', 'headerBackground', 'sectionHeader'];
+const FIELD_KEYS = ['label', 'expression', 'default', 'row'];
+const COLOR_PATTERN = /^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+|(rgb|rgba|hsl|hsla)\([\d\s.,%]+\))$/;
+const LOGO_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.svg': 'image/svg+xml', '.webp': 'image/webp' };
+const MAX_LOGO_SIZE = 2 * 1024 * 1024;
+
+const compileExpressions = expressions => [].concat(expressions).map(expression => ({ expression, evaluate: compileFhirPath(expression) }));
+
+// Validates a config object and prepares it for rendering: paths are resolved against baseDir,
+// the logo is read into a data: URI and every expression is compiled. Throws on any problem so a
+// broken letterhead is reported at startup rather than on every report.
+function resolveReportConfig(config = {}, baseDir = process.cwd()) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) throw new Error('Report config must be a JSON object');
+    const unknown = Object.keys(config).filter(key => !CONFIG_KEYS.includes(key));
+    if (unknown.length > 0) throw new Error(`Unknown report config setting(s): ${unknown.join(', ')} (expected ${CONFIG_KEYS.join(', ')})`);
+
+    const merged = { ...DEFAULT_REPORT_CONFIG, ...config };
+
+    const colors = merged.colors || {};
+    Object.entries(colors).forEach(([key, value]) => {
+        if (!COLOR_KEYS.includes(key)) throw new Error(`Unknown colour "${key}" (expected ${COLOR_KEYS.join(', ')})`);
+        if (typeof value !== 'string' || !COLOR_PATTERN.test(value.trim())) throw new Error(`Invalid colour for ${key}: ${value}`);
+    });
+
+    let logo = null;
+    if (merged.logo) {
+        const logoPath = path.resolve(baseDir, merged.logo);
+        const type = LOGO_TYPES[path.extname(logoPath).toLowerCase()];
+        if (!type) throw new Error(`Unsupported logo format: ${merged.logo} (expected ${Object.keys(LOGO_TYPES).join(', ')})`);
+        if (!fs.existsSync(logoPath)) throw new Error(`Logo not found: ${logoPath}`);
+        if (fs.statSync(logoPath).size > MAX_LOGO_SIZE) throw new Error(`Logo exceeds maximum size of ${MAX_LOGO_SIZE / (1024 * 1024)}MB: ${logoPath}`);
+        logo = `data:${type};base64,${fs.readFileSync(logoPath).toString('base64')}`;
+    }
+
+    if (!Array.isArray(merged.headerFields)) throw new Error('headerFields must be a list');
+    const headerFields = merged.headerFields.map((field, i) => {
+        const name = `headerFields[${i}]`;
+        if (!field || !isText(field.label)) throw new Error(`${name} needs a label (text or { "en": ..., "cy": ... })`);
+        if (field.default !== undefined && !isText(field.default)) throw new Error(`${name}: default must be text or { "en": ..., "cy": ... }`);
+        const shown = typeof field.label === 'string' ? field.label : Object.values(field.label)[0];
+        const unknownKeys = Object.keys(field).filter(key => !FIELD_KEYS.includes(key));
+        if (unknownKeys.length > 0) throw new Error(`${name} (${shown}): unknown setting(s) ${unknownKeys.join(', ')}`);
+        const expressions = [].concat(field.expression || []);
+        if (expressions.length === 0 || expressions.some(e => typeof e !== 'string')) {
+            throw new Error(`${name} (${shown}) needs an expression (a string or a list of strings)`);
+        }
+        if (field.row !== undefined && !(Number.isInteger(field.row) && field.row > 0)) {
+            throw new Error(`${name} (${shown}): row must be a positive whole number`);
+        }
+        let compiled;
+        try {
+            compiled = compileExpressions(expressions);
+        } catch (e) {
+            throw new Error(`${name} (${shown}): ${e.message}`);
+        }
+        return { label: field.label, expressions: compiled, default: field.default !== undefined ? field.default : 'N/A', row: field.row || 1 };
+    });
+
+    const page = resolvePageSettings(merged.page || {});
+    const documentReference = resolveDocumentSettings(merged.documentReference || {});
+
+    if (!isText(merged.title)) throw new Error('title must be text or { "en": ..., "cy": ... }');
+    if (merged.organisation && !isText(merged.organisation)) throw new Error('organisation must be text or { "en": ..., "cy": ... }');
+    return {
+        template: merged.template ? path.resolve(baseDir, merged.template) : null,
+        title: merged.title,
+        organisation: merged.organisation || null,
+        logo,
+        logoText: String(merged.logoText || ''),
+        colors,
+        headerFields,
+        page,
+        documentReference
+    };
+}
+
+function loadReportConfig(configPath) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (e) {
+        throw new Error(`Cannot read report config ${configPath}: ${e.message}`);
+    }
+    try {
+        return resolveReportConfig(config, path.dirname(path.resolve(configPath)));
+    } catch (e) {
+        throw new Error(`Report config ${configPath}: ${e.message}`);
+    }
+}
+
+// --- HEADER VALUES ---
+
+const joinNonEmpty = (parts, separator) => parts.filter(part => part).join(separator);
+
+// Human-readable text for the FHIR values an expression may return; dates go through formatDate
+function formatValue(value, formatDate) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'string') return formatDate(value);
+    if (typeof value !== 'object') return String(value);
+    if (value.given || value.family) return value.text || joinNonEmpty([(value.given || []).join(' '), value.family], ' ');
+    if (Array.isArray(value.coding)) return value.coding.length > 0 ? value.coding.map(c => formatValue(c, formatDate)).join(', ') : (value.text || 'Unknown');
+    if (value.code !== undefined && value.value === undefined) return `${value.display || value.code}${value.code ? ` (${value.code})` : ''}`;
+    if (value.reference || value.display) return value.display || value.reference;
+    if (value.value !== undefined) return joinNonEmpty([String(value.value), value.unit || (value.system && value.code)], ' ');
+    if (value.start || value.end) return `${formatDate(value.start || '')} – ${formatDate(value.end || '')}`;
+    if (value.line || value.city) return value.text || joinNonEmpty([...(value.line || []), value.postalCode, value.city, value.country], ', ');
+    if (value.text) return value.text;
+    if (value.identifier) return formatValue(value.identifier, formatDate);
+    return '';
+}
+
+const RUNNING_VALUES = Object.entries(RUNNING_VALUE_EXPRESSIONS).map(([name, expressions]) => [name, compileExpressions(expressions)]);
+
+// Text of the first expression with a value; an expression that fails is logged and treated as empty
+function evaluateText(expressions, { patient, carePlan, questionnaireResponse }, locale, onError) {
+    const variables = { patient: patient || null, carePlan: carePlan || null, questionnaireResponse: questionnaireResponse || null };
+    for (const { expression, evaluate } of expressions) {
+        try {
+            const value = joinNonEmpty(evaluate(questionnaireResponse || null, variables).map(v => formatValue(v, locale.formatDate)), '; ');
+            if (value) return value;
+        } catch (e) {
+            onError(`${expression} failed (${e.message})`);
+        }
+    }
+    return '';
+}
+
+// Evaluates the header fields for one report. Returns [{ label, value, row }] with labels and
+// dates localized (see createLocale).
+function buildHeader(config, reportData, log, locale) {
+    return config.headerFields.map(field => {
+        const value = evaluateText(field.expressions, reportData, locale, message => log(`Header field "${locale.t(field.label)}": ${message}`, 'WARN'));
+        return { label: locale.t(field.label), value: value || locale.t(field.default), row: field.row };
+    });
+}
+
+// { patient, mrn } for the running header and footer
+function buildRunningValues(reportData, log, locale) {
+    return Object.fromEntries(RUNNING_VALUES.map(([name, expressions]) =>
+        [name, evaluateText(expressions, reportData, locale, message => log(`Running header {${name}}: ${message}`, 'WARN'))]));
+}
+
+module.exports = { DEFAULT_REPORT_CONFIG, resolveReportConfig, loadReportConfig, buildHeader, buildRunningValues };
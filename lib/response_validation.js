@@ -0,0 +1,227 @@
+// --- RESPONSE VALIDATION ---
+// Checks a QuestionnaireResponse against the Questionnaire it is rendered with, before rendering,
+// so data stewards can spot broken upstream feeds. Each finding is
+// { severity, code, path, linkId, text, params, message } where path is the dotted linkId path
+// ("group[2].item") and message the English text of the code (see describeFinding).
+
+const MESSAGES = {
+    'unknown-item': 'Item is not in the form definition',
+    'required': 'Required item is not answered',
+    'answer-type': 'Answer of type {found} on an item of type {expected}',
+    'multiple-answers': '{count} answers on an item that does not repeat',
+    'repeated-item': 'Item appears {count} times but does not repeat',
+    'disabled-answered': 'Answered although its enableWhen conditions are not met',
+    'max-length': 'Answer is {length} characters long; the maximum is {limit}',
+    'min-length': 'Answer is {length} characters long; the minimum is {limit}',
+    'min-value': 'Answer {value} is below the minimum of {limit}',
+    'max-value': 'Answer {value} is above the maximum of {limit}',
+    'answer-option': 'Answer {value} is not in the answer list'
+};
+
+// Missing required answers are expected while a response is still being filled in
+const SEVERITY = {
+    'unknown-item': 'error',
+    'required': 'error',
+    'answer-type': 'error',
+    'multiple-answers': 'error',
+    'repeated-item': 'error',
+    'disabled-answered': 'warning',
+    'max-length': 'warning',
+    'min-length': 'warning',
+    'min-value': 'warning',
+    'max-value': 'warning',
+    'answer-option': 'error'
+};
+const FINAL_STATUSES = ['completed', 'amended'];
+
+// Item type -> the answer value[x] it takes
+const ANSWER_TYPES = {
+    'boolean': ['valueBoolean'],
+    'decimal': ['valueDecimal'],
+    'integer': ['valueInteger'],
+    'date': ['valueDate'],
+    'dateTime': ['valueDateTime'],
+    'time': ['valueTime'],
+    'string': ['valueString'],
+    'text': ['valueString'],
+    'url': ['valueUri'],
+    'choice': ['valueCoding'],
+    'open-choice': ['valueCoding', 'valueString'],
+    'coding': ['valueCoding'],
+    'attachment': ['valueAttachment'],
+    'reference': ['valueReference'],
+    'quantity': ['valueQuantity']
+};
+
+const MIN_VALUE = 'http://hl7.org/fhir/StructureDefinition/minValue';
+const MAX_VALUE = 'http://hl7.org/fhir/StructureDefinition/maxValue';
+const MIN_LENGTH = 'http://hl7.org/fhir/StructureDefinition/minLength';
+
+const valueKey = object => Object.keys(object || {}).find(key => key.startsWith('value') || key.startsWith('answer'));
+const plain = value => (value && typeof value === 'object' ? value.value : value);
+
+function formatValue(answer) {
+    const key = valueKey(answer);
+    const value = key ? answer[key] : undefined;
+    if (value && typeof value === 'object') {
+        if ('code' in value && !('value' in value)) return [value.system, value.code].filter(part => part).join('|');
+        return [value.value, value.unit || value.code].filter(part => part !== undefined).join(' ');
+    }
+    return String(value);
+}
+
+// The message of a finding, in the language of t
+function describeFinding(finding, t = text => text) {
+    return t(MESSAGES[finding.code]).replace(/\{(\w+)\}/g, (token, name) => (name in finding.params ? String(finding.params[name]) : token));
+}
+
+// --- ENABLEWHEN ---
+// Conditions are looked up by linkId anywhere in the response, like the summary renderer does
+
+function collectAnswers(rItems, answers = new Map()) {
+    (rItems || []).forEach(rItem => {
+        if (!answers.has(rItem.linkId)) answers.set(rItem.linkId, []);
+        answers.get(rItem.linkId).push(...(rItem.answer || []));
+        collectAnswers(rItem.item, answers);
+        (rItem.answer || []).forEach(a => collectAnswers(a.item, answers));
+    });
+    return answers;
+}
+
+function answerEquals(answer, expected, type) {
+    const value = answer[`value${type}`];
+    if (value === undefined) return false;
+    if (type === 'Coding') return value.code === expected.code && (!value.system || !expected.system || value.system === expected.system);
+    if (type === 'Quantity') return value.value === expected.value && (value.code || value.unit) === (expected.code || expected.unit);
+    return value === expected;
+}
+
+const COMPARE = { '>': (x, y) => x > y, '<': (x, y) => x < y, '>=': (x, y) => x >= y, '<=': (x, y) => x <= y };
+
+function conditionHolds(condition, answers) {
+    const given = answers.get(condition.question) || [];
+    if (condition.operator === 'exists') return (given.length > 0) === Boolean(condition.answerBoolean);
+    const key = Object.keys(condition).find(k => k.startsWith('answer'));
+    if (!key) return false;
+    const type = key.slice('answer'.length);
+    const expected = condition[key];
+    const present = given.filter(a => a[`value${type}`] !== undefined);
+    if (condition.operator === '=') return present.some(a => answerEquals(a, expected, type));
+    if (condition.operator === '!=') return present.some(a => !answerEquals(a, expected, type));
+    const compare = COMPARE[condition.operator];
+    return Boolean(compare) && present.some(a => compare(plain(a[`value${type}`]), plain(expected)));
+}
+
+function isEnabled(qItem, answers) {
+    if (!qItem.enableWhen || qItem.enableWhen.length === 0) return true;
+    const results = qItem.enableWhen.map(condition => conditionHolds(condition, answers));
+    return qItem.enableBehavior === 'any' ? results.some(Boolean) : results.every(Boolean);
+}
+
+// linkIds of the Questionnaire's items whose conditions are not met, for the template's summary
+function disabledItems(questionnaire, questionnaireResponse) {
+    const answers = collectAnswers(questionnaireResponse.item);
+    const disabled = [];
+    const visit = qItems => (qItems || []).forEach(qItem => {
+        if (!isEnabled(qItem, answers)) disabled.push(qItem.linkId);
+        visit(qItem.item);
+    });
+    visit(questionnaire.item);
+    return disabled;
+}
+
+const hasAnswers = rItem => (rItem.answer || []).length > 0 || (rItem.item || []).some(hasAnswers) ||
+    (rItem.answer || []).some(a => (a.item || []).some(hasAnswers));
+
+// --- CHECKS ---
+
+function extensionValue(qItem, url) {
+    const extension = (qItem.extension || []).find(e => e.url === url);
+    const key = extension && valueKey(extension);
+    return key ? extension[key] : undefined;
+}
+
+// Types, lengths, limits and answer list of one answer
+function checkAnswer(qItem, answer, add) {
+    const key = valueKey(answer);
+    if (!key) return;
+    const options = qItem.answerOption || [];
+    const optionTypes = [...new Set(options.map(valueKey).filter(k => k))];
+    const expected = ['choice', 'open-choice'].includes(qItem.type) && optionTypes.length > 0
+        ? [...optionTypes, ...(qItem.type === 'open-choice' ? ['valueString'] : [])]
+        : ANSWER_TYPES[qItem.type];
+    if (expected && !expected.includes(key)) {
+        add('answer-type', { found: key.slice('value'.length), expected: qItem.type });
+        return;
+    }
+
+    const value = answer[key];
+    if (typeof value === 'string' && ['valueString', 'valueUri'].includes(key)) {
+        const minLength = extensionValue(qItem, MIN_LENGTH);
+        if (qItem.maxLength !== undefined && value.length > qItem.maxLength) add('max-length', { length: value.length, limit: qItem.maxLength });
+        if (minLength !== undefined && value.length < minLength) add('min-length', { length: value.length, limit: minLength });
+    }
+
+    const min = extensionValue(qItem, MIN_VALUE);
+    const max = extensionValue(qItem, MAX_VALUE);
+    const comparable = plain(value);
+    if (min !== undefined && typeof comparable === typeof plain(min) && comparable < plain(min)) add('min-value', { value: formatValue(answer), limit: String(plain(min)) });
+    if (max !== undefined && typeof comparable === typeof plain(max) && comparable > plain(max)) add('max-value', { value: formatValue(answer), limit: String(plain(max)) });
+
+    // Free text is allowed next to the list of an open-choice item
+    if (options.length > 0 && !(qItem.type === 'open-choice' && key === 'valueString')) {
+        const type = key.slice('value'.length);
+        if (!options.some(option => answerEquals({ [key]: option[key] }, value, type))) add('answer-option', { value: formatValue(answer) });
+    }
+}
+
+function validateItems(qItems, rItems, path, context) {
+    const add = (code, rItem, itemPath, qItem, params = {}) => {
+        const severity = code === 'required' && !context.final ? 'warning' : SEVERITY[code];
+        const finding = { severity, code, path: itemPath, linkId: (qItem || rItem).linkId, text: (qItem || rItem).text || null, params };
+        context.findings.push({ ...finding, message: describeFinding(finding) });
+    };
+    const pathOf = linkId => (path ? `${path}.${linkId}` : linkId);
+
+    (rItems || []).filter(rItem => !(qItems || []).some(qItem => qItem.linkId === rItem.linkId))
+        .forEach(rItem => add('unknown-item', rItem, pathOf(rItem.linkId)));
+
+    (qItems || []).forEach(qItem => {
+        const matches = (rItems || []).filter(rItem => rItem.linkId === qItem.linkId);
+        const itemPath = pathOf(qItem.linkId);
+        if (!isEnabled(qItem, context.answers)) {
+            if (matches.some(hasAnswers)) add('disabled-answered', null, itemPath, qItem);
+            return;
+        }
+        // Only groups repeat as items; a repeating question keeps its answers in one item
+        if (matches.length > 1 && !(qItem.type === 'group' && qItem.repeats)) add('repeated-item', null, itemPath, qItem, { count: matches.length });
+        if (qItem.required && !matches.some(hasAnswers)) add('required', null, itemPath, qItem);
+
+        matches.forEach((rItem, i) => {
+            const instancePath = matches.length > 1 ? `${itemPath}[${i + 1}]` : itemPath;
+            const answers = rItem.answer || [];
+            if (qItem.type === 'group' || qItem.type === 'display') {
+                if (answers.length > 0) add('answer-type', null, instancePath, qItem, { found: valueKey(answers[0]) ? valueKey(answers[0]).slice('value'.length) : '?', expected: qItem.type });
+                validateItems(qItem.item, rItem.item, instancePath, context);
+                return;
+            }
+            if (answers.length > 1 && !qItem.repeats) add('multiple-answers', null, instancePath, qItem, { count: answers.length });
+            answers.forEach(answer => checkAnswer(qItem, answer, (code, params) => add(code, null, instancePath, qItem, params)));
+            if (qItem.item) validateItems(qItem.item, [...(rItem.item || []), ...answers.flatMap(a => a.item || [])], instancePath, context);
+        });
+    });
+}
+
+// Returns the findings for one response. At each level the items the Questionnaire does not define
+// come first, then the defined items in Questionnaire order.
+function validateResponse(questionnaire, questionnaireResponse) {
+    const context = {
+        answers: collectAnswers(questionnaireResponse.item),
+        final: FINAL_STATUSES.includes(questionnaireResponse.status),
+        findings: []
+    };
+    validateItems(questionnaire.item || [], questionnaireResponse.item || [], '', context);
+    return context.findings;
+}
+
+module.exports = { FINDING_MESSAGES: MESSAGES, validateResponse, describeFinding, collectAnswers, isEnabled, disabledItems };
@@ -0,0 +1,228 @@
+const { compileFhirPath } = require('./fhirpath');
+const { collectAnswers, isEnabled } = require('./response_validation');
+
+// --- SCORING ---
+// Total scores and calculated items of a QuestionnaireResponse, computed over the Questionnaire and
+// the response the way an SDC form filler (http://hl7.org/fhir/uv/sdc/) computes them:
+//   - answer scores come from ordinalValue/itemWeight extensions on an answerOption or its
+//     valueCoding; expressions read them with weight() (or its older name ordinal())
+//   - `variable` extensions on the Questionnaire and on items are available as %name to the
+//     expressions of that item and the items below it
+//   - `calculatedExpression` extensions set the answers of their item
+// Expressions also see %resource (the response), %questionnaire and %context (the response item).
+// Only FHIRPath (text/fhirpath) expressions are evaluated.
+
+const ORDINAL_VALUE = 'http://hl7.org/fhir/StructureDefinition/ordinalValue';
+const ITEM_WEIGHT = 'http://hl7.org/fhir/StructureDefinition/itemWeight';
+const WEIGHT_EXTENSIONS = [ITEM_WEIGHT, ORDINAL_VALUE];
+const VARIABLE = 'http://hl7.org/fhir/StructureDefinition/variable';
+const CALCULATED_EXPRESSION = 'http://hl7.org/fhir/uv/sdc/StructureDefinition/sdc-questionnaire-calculatedExpression';
+const UNIT = 'http://hl7.org/fhir/StructureDefinition/questionnaire-unit';
+const FHIRPATH = 'text/fhirpath';
+
+// Calculated items may depend on each other: evaluation repeats until no answer changes
+const MAX_PASSES = 10;
+
+// Drops floating point noise such as 0.30000000000000004
+const roundNumber = value => Number(value.toPrecision(12));
+
+function extensionNumber(element, urls) {
+    const extension = ((element && element.extension) || []).find(e => urls.includes(e.url));
+    const value = extension && (extension.valueDecimal ?? extension.valueInteger);
+    return typeof value === 'number' ? value : undefined;
+}
+
+const optionWeight = option => extensionNumber(option, WEIGHT_EXTENSIONS) ?? extensionNumber(option.valueCoding, WEIGHT_EXTENSIONS);
+const sameCoding = (a, b) => a.code === b.code && (!a.system || !b.system || a.system === b.system);
+const expressionsOf = (element, url) => ((element && element.extension) || [])
+    .filter(e => e.url === url && e.valueExpression).map(e => e.valueExpression);
+
+// Every scored answerOption of the Questionnaire: [{ qItem, coding, weight }]
+function collectWeightedOptions(qItems, options = []) {
+    (qItems || []).forEach(qItem => {
+        (qItem.answerOption || []).forEach(option => {
+            const weight = optionWeight(option);
+            if (option.valueCoding && weight !== undefined) options.push({ qItem, coding: option.valueCoding, weight });
+        });
+        collectWeightedOptions(qItem.item, options);
+    });
+    return options;
+}
+
+// The score of a coded answer (a Coding or an answer holding one): its own extension, else the
+// answerOption with the same code
+function weightOf(value, options) {
+    const coding = value && typeof value === 'object' ? (value.valueCoding || value) : null;
+    if (!coding || typeof coding.code !== 'string') return undefined;
+    const own = extensionNumber(coding, WEIGHT_EXTENSIONS);
+    if (own !== undefined) return own;
+    const option = options.find(o => sameCoding(o.coding, coding));
+    return option ? option.weight : undefined;
+}
+
+// answer -> its score, or undefined when the answer is not a scored option of the Questionnaire
+function createAnswerScorer(questionnaire) {
+    const options = collectWeightedOptions(questionnaire.item);
+    return answer => weightOf(answer, options);
+}
+
+const hasCalculation = qItem => expressionsOf(qItem, CALCULATED_EXPRESSION).length > 0 || (qItem.item || []).some(hasCalculation);
+
+// A calculated value as an answer of the item's type, or null when it does not fit
+function toAnswer(qItem, value) {
+    if (value !== null && typeof value === 'object') {
+        if (typeof value.code === 'string' && !('value' in value)) return { valueCoding: value };
+        if (typeof value.value === 'number') return { valueQuantity: value };
+        return null;
+    }
+    const number = typeof value === 'number' ? value : typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+    switch (qItem.type) {
+        case 'integer': return Number.isFinite(number) ? { valueInteger: Math.round(number) } : null;
+        case 'decimal': return Number.isFinite(number) ? { valueDecimal: roundNumber(number) } : null;
+        case 'quantity': {
+            if (!Number.isFinite(number)) return null;
+            const unit = ((qItem.extension || []).find(e => e.url === UNIT) || {}).valueCoding;
+            return { valueQuantity: { value: roundNumber(number), ...(unit ? { unit: unit.display || unit.code, system: unit.system, code: unit.code } : {}) } };
+        }
+        case 'boolean': return typeof value === 'boolean' ? { valueBoolean: value } : null;
+        case 'date': return typeof value === 'string' ? { valueDate: value } : null;
+        case 'dateTime': return typeof value === 'string' ? { valueDateTime: value } : null;
+        case 'time': return typeof value === 'string' ? { valueTime: value } : null;
+        case 'string': case 'text': return { valueString: String(value) };
+        case 'url': return { valueUri: String(value) };
+    }
+    return null;
+}
+
+// Adds an empty response item for a calculated item (or a group holding one) the response does
+// not have yet, in Questionnaire order among its siblings
+function createItem(owner, qItem, siblings) {
+    const rItem = { linkId: qItem.linkId, ...(qItem.text ? { text: qItem.text } : {}) };
+    const order = linkId => siblings.findIndex(q => q.linkId === linkId);
+    owner.item = owner.item || [];
+    const position = owner.item.findIndex(other => order(other.linkId) > order(qItem.linkId));
+    owner.item.splice(position === -1 ? owner.item.length : position, 0, rItem);
+    return rItem;
+}
+
+// Removes the items createItem() added that did not get an answer
+function pruneCreated(owner, created) {
+    if (!owner.item) return;
+    owner.item.forEach(rItem => pruneCreated(rItem, created));
+    owner.item = owner.item.filter(rItem => !created.has(rItem) || (rItem.answer || []).length > 0 || (rItem.item || []).length > 0);
+    if (owner.item.length === 0 && created.has(owner)) delete owner.item;
+}
+
+// Sum of the answer scores of the (enabled) items with scored options, or null when the form has none
+function totalScore(options, resource) {
+    const qItems = [...new Set(options.map(o => o.qItem))];
+    if (qItems.length === 0) return null;
+    const answers = collectAnswers(resource.item);
+    const enabled = qItems.filter(qItem => isEnabled(qItem, answers));
+    let score = 0;
+    let answered = 0;
+    enabled.forEach(qItem => {
+        const itemOptions = options.filter(o => o.qItem === qItem);
+        const weights = (answers.get(qItem.linkId) || []).map(a => weightOf(a, itemOptions)).filter(weight => weight !== undefined);
+        if (weights.length > 0) answered++;
+        score += weights.reduce((sum, weight) => sum + weight, 0);
+    });
+    return { score: roundNumber(score), answered, items: enabled.length };
+}
+
+// Returns { total, calculated, errors, questionnaireResponse, updated }:
+//   total                  { score, answered, items } over the scored options, or null
+//   calculated             [{ linkId, text, answers }] for every calculated item in the response
+//   errors                 [{ linkId, expression, message }] for expressions that could not be evaluated
+//   questionnaireResponse  a copy of the response with the calculated answers filled in
+//   updated                whether that copy differs from the response
+function scoreResponse(questionnaire, questionnaireResponse) {
+    const resource = JSON.parse(JSON.stringify(questionnaireResponse));
+    const options = collectWeightedOptions(questionnaire.item);
+    const weight = focus => focus.flatMap(value => {
+        const score = weightOf(value, options);
+        return score === undefined ? [] : [score];
+    });
+    const functions = { weight, ordinal: weight };
+    const compiled = new Map();
+    const created = new Set();
+    let calculated;
+    let errors;
+    let changed;
+
+    // Failures are reported once per pass; only the last pass's results are kept
+    function evaluate(expression, linkId, focus, variables) {
+        try {
+            if (expression.language !== FHIRPATH) throw new Error(`Unsupported expression language ${expression.language || '(none)'}`);
+            if (!compiled.has(expression.expression)) compiled.set(expression.expression, compileFhirPath(String(expression.expression), functions));
+            return compiled.get(expression.expression)(focus, variables);
+        } catch (e) {
+            errors.push({ linkId, expression: expression.expression, message: e.message });
+            return [];
+        }
+    }
+
+    function defineVariables(element, scope, focus, linkId) {
+        const variables = { ...scope };
+        expressionsOf(element, VARIABLE).filter(expression => expression.name).forEach(expression => {
+            variables[expression.name] = evaluate(expression, linkId, focus, { ...variables, context: focus });
+        });
+        return variables;
+    }
+
+    function setAnswers(rItem, qItem, values) {
+        const answers = values.map(value => {
+            const answer = toAnswer(qItem, value);
+            if (!answer) errors.push({ linkId: qItem.linkId, expression: expressionsOf(qItem, CALCULATED_EXPRESSION)[0].expression, message: `Result ${JSON.stringify(value)} does not fit an item of type ${qItem.type}` });
+            return answer;
+        }).filter(answer => answer);
+        const before = JSON.stringify(rItem.answer || []);
+        const kept = qItem.repeats ? answers : answers.slice(0, 1);
+        if (kept.length > 0) rItem.answer = kept;
+        else delete rItem.answer;
+        if (JSON.stringify(rItem.answer || []) !== before) changed = true;
+    }
+
+    function walk(qItems, owner, scope, answers) {
+        (qItems || []).forEach(qItem => {
+            const enabled = isEnabled(qItem, answers);
+            let instances = (owner.item || []).filter(rItem => rItem.linkId === qItem.linkId);
+            if (instances.length === 0 && enabled && hasCalculation(qItem)) {
+                const rItem = createItem(owner, qItem, qItems);
+                created.add(rItem);
+                instances = [rItem];
+            }
+            instances.forEach(rItem => {
+                const variables = defineVariables(qItem, scope, rItem, qItem.linkId);
+                const [calculation] = expressionsOf(qItem, CALCULATED_EXPRESSION);
+                if (calculation && qItem.type !== 'group' && qItem.type !== 'display') {
+                    // Disabled items have no answers
+                    setAnswers(rItem, qItem, enabled ? evaluate(calculation, qItem.linkId, rItem, { ...variables, context: rItem }) : []);
+                    calculated.push({ linkId: qItem.linkId, text: qItem.text || null, answers: rItem.answer || [] });
+                }
+                walk(qItem.item, rItem, variables, answers);
+            });
+        });
+    }
+
+    const environment = { resource, questionnaire };
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+        calculated = [];
+        errors = [];
+        changed = false;
+        const scope = defineVariables(questionnaire, environment, resource, null);
+        walk(questionnaire.item, resource, scope, collectAnswers(resource.item));
+        if (!changed) break;
+    }
+    pruneCreated(resource, created);
+
+    return {
+        total: totalScore(options, resource),
+        calculated,
+        errors,
+        questionnaireResponse: resource,
+        updated: JSON.stringify(resource) !== JSON.stringify(questionnaireResponse)
+    };
+}
+
+module.exports = { CALCULATED_EXPRESSION, scoreResponse, createAnswerScorer };
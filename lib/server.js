@@ -0,0 +1,277 @@
+const http = require('http');
+const { MAX_JSON_SIZE, truncateError } = require('./validation');
+const { indexResource, processItems } = require('./expansion');
+const { RenderError, DATA_POLICIES, RENDER_MODES } = require('./renderer');
+const { parseFhirXml } = require('./fhir_xml');
+const { parseLocale } = require('./locale');
+
+const JSON_CONTENT_TYPES = ['application/json', 'application/fhir+json'];
+const XML_CONTENT_TYPES = ['application/xml', 'application/fhir+xml', 'text/xml'];
+const DEFINITION_TYPES = ['Questionnaire', 'ValueSet', 'CodeSystem'];
+
+class HttpError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code; // OperationOutcome issue code
+    }
+}
+
+function operationOutcome(severity, code, diagnostics) {
+    return { resourceType: 'OperationOutcome', issue: [{ severity, code, diagnostics }] };
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/fhir+json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+// Reads a FHIR JSON or XML body (as JSON), enforcing the same size limits as validateJsonFile
+function readFhirBody(req, maxBodySize) {
+    return new Promise((resolve, reject) => {
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        const isXml = XML_CONTENT_TYPES.includes(contentType);
+        if (!isXml && !JSON_CONTENT_TYPES.includes(contentType)) {
+            reject(new HttpError(415, 'not-supported', `Content-Type must be one of: ${[...JSON_CONTENT_TYPES, ...XML_CONTENT_TYPES].join(', ')}`));
+            return;
+        }
+
+        const declaredLength = parseInt(req.headers['content-length'] || '0', 10);
+        if (declaredLength > maxBodySize) {
+            reject(new HttpError(413, 'too-costly', `Request body exceeds maximum size of ${maxBodySize / (1024 * 1024)}MB`));
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        let failed = false;
+        req.on('data', chunk => {
+            if (failed) return;
+            size += chunk.length;
+            if (size > maxBodySize) {
+                failed = true;
+                reject(new HttpError(413, 'too-costly', `Request body exceeds maximum size of ${maxBodySize / (1024 * 1024)}MB`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (failed) return;
+            if (size === 0) {
+                reject(new HttpError(400, 'invalid', 'Request body is empty'));
+                return;
+            }
+            const text = Buffer.concat(chunks).toString('utf8');
+            let body;
+            try {
+                body = isXml ? parseFhirXml(text) : JSON.parse(text);
+            } catch (e) {
+                reject(new HttpError(400, 'invalid', `Invalid ${isXml ? 'XML' : 'JSON'}: ${truncateError(e.message)}`));
+                return;
+            }
+            // Valid JSON is not necessarily a resource (null, 42, [...])
+            if (!body || typeof body !== 'object' || Array.isArray(body) || typeof body.resourceType !== 'string') {
+                reject(new HttpError(400, 'invalid', 'Body must be a FHIR resource (a JSON object with a resourceType)'));
+                return;
+            }
+            resolve(body);
+        });
+        req.on('error', reject);
+    });
+}
+
+// Accepts a Bundle or QuestionnaireResponse, or a FHIR Parameters resource wrapping one
+function unwrapParameters(body) {
+    if (body.resourceType !== 'Parameters') return body;
+    const param = (Array.isArray(body.parameter) ? body.parameter : []).find(p => p && p.resource);
+    if (!param) throw new HttpError(400, 'invalid', 'Parameters must contain a resource parameter');
+    return param.resource;
+}
+
+// Creates an HTTP server around a renderer (see createRenderer). Routes:
+//   GET  /health                          liveness, loaded definition count and LForms version
+//   POST /QuestionnaireResponse/$pdf      Bundle or QuestionnaireResponse -> application/pdf (?policy=..., ?mode=..., ?locale=...)
+//   GET  /definitions                     canonicals (url|version) of the loaded Questionnaires
+//   POST /definitions                     Questionnaire, ValueSet, CodeSystem or Bundle of them
+function createServer({ renderer, log, maxBodySize = MAX_JSON_SIZE, maxWaitingQuestionnaires = 1000 }) {
+    // Raw uploads (by url and version) with answerValueSets that could not be expanded yet, so
+    // they can be expanded again when a ValueSet or CodeSystem arrives later. Oldest dropped first.
+    const waitingQuestionnaires = new Map();
+    const terminologyMap = new Map();
+
+    // Flattens a definition upload into its resources, rejecting malformed Bundles
+    function getDefinitionResources(body) {
+        if (body.resourceType !== 'Bundle') return [body];
+        if (body.entry === undefined) return [];
+        if (!Array.isArray(body.entry)) throw new HttpError(400, 'invalid', 'Bundle.entry must be an array');
+        return body.entry.map((e, i) => {
+            const resource = e && e.resource;
+            if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+                throw new HttpError(400, 'invalid', `Bundle.entry[${i}] has no resource`);
+            }
+            return resource;
+        });
+    }
+
+    // Expands a copy of the Questionnaire; it keeps waiting while any answerValueSet is unexpanded
+    function expand(q, unexpanded) {
+        const key = `${q.url}|${q.version || ''}`;
+        const copy = JSON.parse(JSON.stringify(q));
+        const missing = processItems(copy.item, terminologyMap, copy.language);
+        missing.forEach(u => unexpanded.push({ questionnaire: q.url, ...u }));
+        waitingQuestionnaires.delete(key);
+        if (missing.length > 0) {
+            waitingQuestionnaires.set(key, q);
+            if (waitingQuestionnaires.size > maxWaitingQuestionnaires) {
+                const [oldest] = waitingQuestionnaires.keys();
+                waitingQuestionnaires.delete(oldest);
+                log(`[Server] ${oldest} is no longer expanded when more terminology is uploaded; upload it again after its ValueSets`, 'WARN');
+            }
+        }
+        return copy;
+    }
+
+    function loadDefinitions(body) {
+        const resources = getDefinitionResources(body);
+        const counts = { Questionnaire: 0, ValueSet: 0, CodeSystem: 0 };
+
+        resources.forEach(r => {
+            if (!DEFINITION_TYPES.includes(r.resourceType)) {
+                throw new HttpError(400, 'invalid', `Unsupported resource type: ${r.resourceType}`);
+            }
+            if (!r.url) throw new HttpError(400, 'required', `${r.resourceType} ${r.id || ''} has no url`.trim());
+        });
+
+        const questionnaires = resources.filter(r => r.resourceType === 'Questionnaire');
+        resources.forEach(r => {
+            if (r.resourceType !== 'Questionnaire') indexResource(terminologyMap, r);
+            counts[r.resourceType]++;
+        });
+
+        // Only the uploaded Questionnaires, and those waiting for terminology when some arrived,
+        // are expanded and (re)registered
+        const unexpanded = [];
+        const uploaded = new Set(questionnaires.map(q => `${q.url}|${q.version || ''}`));
+        const waiting = counts.ValueSet + counts.CodeSystem > 0
+            ? [...waitingQuestionnaires.entries()].filter(([key]) => !uploaded.has(key)).map(([, q]) => q)
+            : [];
+        const expanded = [...waiting, ...questionnaires].map(q => expand(q, unexpanded));
+        if (expanded.length > 0) renderer.addDefinitions(expanded);
+
+        log(`[Server] Loaded ${counts.Questionnaire} Questionnaires, ${counts.ValueSet} ValueSets, ${counts.CodeSystem} CodeSystems`, 'INFO');
+        unexpanded.forEach(u => log(`[Server] ${u.questionnaire} item ${u.linkId}: ${u.answerValueSet} not expanded (${u.reason})`, 'WARN'));
+        return { counts, unexpanded };
+    }
+
+    async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const route = `${req.method} ${url.pathname}`;
+
+        switch (route) {
+            case 'GET /health':
+                sendJson(res, 200, {
+                    status: 'ok',
+                    questionnaires: renderer.registry.size,
+                    lforms: renderer.assets.version,
+                    uptime: Math.round(process.uptime())
+                });
+                return;
+
+            case 'POST /QuestionnaireResponse/$pdf': {
+                const body = unwrapParameters(await readFhirBody(req, maxBodySize));
+                if (body.resourceType !== 'Bundle' && body.resourceType !== 'QuestionnaireResponse') {
+                    throw new HttpError(400, 'invalid', 'Body must be a Bundle or QuestionnaireResponse');
+                }
+                // ?policy=lenient|strict|appendix overrides the service's data policy for this request
+                const dataPolicy = url.searchParams.get('policy') || undefined;
+                if (dataPolicy && !DATA_POLICIES.includes(dataPolicy)) {
+                    throw new HttpError(400, 'invalid', `policy must be one of: ${DATA_POLICIES.join(', ')}`);
+                }
+                // ?mode=lforms|summary|comparison overrides the service's render mode for this request
+                const renderMode = url.searchParams.get('mode') || undefined;
+                if (renderMode && !RENDER_MODES.includes(renderMode)) {
+                    throw new HttpError(400, 'invalid', `mode must be one of: ${RENDER_MODES.join(', ')}`);
+                }
+                // ?locale=cy or cy,en overrides the service's report language
+                const locale = url.searchParams.get('locale') || undefined;
+                if (locale) {
+                    try {
+                        parseLocale(locale);
+                    } catch (e) {
+                        throw new HttpError(400, 'invalid', `locale: ${e.message}`);
+                    }
+                }
+                const { pdf, status, sections, violations } = await renderer.renderReport(body, { dataPolicy, renderMode, locale });
+                if (violations.length > 0) {
+                    throw new RenderError('Strict data policy: the report would omit recorded answers', 'POLICY_VIOLATION', sections, violations);
+                }
+                if (status === 'failed') {
+                    throw new RenderError('Report could not be rendered', 'RENDER_FAILED', sections);
+                }
+                // X-Render-Status: complete | partial (some questionnaire sections failed or had no definition)
+                res.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Length': pdf.length, 'X-Render-Status': status });
+                res.end(pdf);
+                // Ids as rendered, so a redacting service does not log the originals
+                const ids = sections.map(section => section.questionnaireResponseId || '(no id)');
+                log(`[Server] Rendered QuestionnaireResponse ${ids.join(', ')} (${pdf.length} bytes)`, 'SUCCESS');
+                return;
+            }
+
+            case 'GET /definitions': {
+                const canonicals = renderer.registry.list().map(({ url, version }) => version ? `${url}|${version}` : url);
+                sendJson(res, 200, { questionnaires: canonicals });
+                return;
+            }
+
+            case 'POST /definitions': {
+                const { counts, unexpanded } = loadDefinitions(await readFhirBody(req, maxBodySize));
+                const summary = Object.entries(counts).map(([type, n]) => `${n} ${type}`).join(', ');
+                const outcome = operationOutcome('information', 'informational', `Loaded ${summary}`);
+                // Items still waiting for their ValueSet (or CodeSystem) to be uploaded
+                unexpanded.forEach(u => outcome.issue.push({
+                    severity: 'warning',
+                    code: 'not-found',
+                    diagnostics: `${u.questionnaire} item ${u.linkId}: ${u.answerValueSet} not expanded (${u.reason})`
+                }));
+                sendJson(res, 200, outcome);
+                return;
+            }
+        }
+
+        const knownPaths = ['/health', '/QuestionnaireResponse/$pdf', '/definitions'];
+        if (knownPaths.includes(url.pathname)) {
+            throw new HttpError(405, 'not-supported', `${req.method} is not supported on ${url.pathname}`);
+        }
+        throw new HttpError(404, 'not-found', `Unknown endpoint: ${url.pathname}`);
+    }
+
+    return http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+            let status = error.status || 500;
+            let code = error.code || 'exception';
+            if (error.code === 'NO_QUESTIONNAIRE_RESPONSE') { status = 422; code = 'required'; }
+            else if (error.code === 'RENDER_TIMEOUT') { status = 500; code = 'timeout'; }
+            else if (error.code === 'RENDER_FAILED') { status = 500; code = 'processing'; }
+            else if (error.code === 'POLICY_VIOLATION') { status = 422; code = 'business-rule'; }
+
+            const message = truncateError(error.message);
+            log(`[Server] ${req.method} ${req.url} -> ${status}: ${message}`, status >= 500 ? 'ERROR' : 'WARN');
+            if (res.headersSent) { res.end(); return; }
+            // Drain anything left of a rejected body so the client receives the response
+            req.resume();
+            const outcome = operationOutcome('error', code, message);
+            if (error.violations) {
+                error.violations.forEach(violation => {
+                    outcome.issue.push({ severity: 'error', code: 'business-rule', diagnostics: violation });
+                });
+            } else {
+                (error.sections || []).filter(section => section.status !== 'rendered').forEach(section => {
+                    outcome.issue.push({ severity: 'error', code: 'processing', diagnostics: `${section.title}: ${section.status} - ${section.reason}` });
+                });
+            }
+            sendJson(res, status, outcome);
+        });
+    });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- SECURITY & VALIDATION ---
+const MAX_JSON_SIZE = 50 * 1024 * 1024; // 50MB limit
+
+function validateJsonFile(filePath) {
+    const stats = fs.statSync(filePath);
+    
+    if (stats.size > MAX_JSON_SIZE) {
+        throw new Error(`File ${path.basename(filePath)} exceeds maximum size of ${MAX_JSON_SIZE / (1024 * 1024)}MB`);
+    }
+    
+    if (stats.size === 0) {
+        throw new Error(`File ${path.basename(filePath)} is empty`);
+    }
+}
+
+function sanitizeFilename(filename) {
+    // Remove file extension first
+    const nameWithoutExt = filename.replace(/\.json$/, '');
+    
+    // Replace invalid characters with dashes and convert to lowercase
+    let cleaned = nameWithoutExt.replace(/[^a-zA-Z0-9._-]/g, '-').toLowerCase();
+    
+    // Remove multiple consecutive dashes and trim
+    cleaned = cleaned.replace(/-+/g, '-').replace(/^-+|-+$/g, '');
+    
+    // Ensure filename is not empty and not too long
+    if (!cleaned || cleaned.length === 0) {
+        cleaned = 'unnamed-file';
+    }
+    
+    if (cleaned.length > 100) {
+        cleaned = cleaned.substring(0, 100).replace(/-+$/, '');
+    }
+    
+    // Validate final filename
+    const allowedPattern = /^[a-zA-Z0-9._-]+$/;
+    if (!allowedPattern.test(cleaned)) {
+        throw new Error(`Invalid filename after sanitization: ${cleaned}`);
+    }
+    
+    return cleaned;
+}
+
+// Security: Limit error information disclosure
+function truncateError(message, maxLength = 200) {
+    return message.length > maxLength ? message.substring(0, maxLength) + '... (truncated)' : message;
+}
+
+// Security: patterns from definitions and expressions are untrusted. Long patterns,
+// backreferences and repeated groups that repeat or alternate inside, such as (a+)+ or (a|a)*,
+// can backtrack for minutes on a short input, so they are rejected.
+const MAX_PATTERN_LENGTH = 200;
+
+function compilePattern(source, flags = '') {
+    if (source.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+    }
+    const groups = [];
+    let inClass = false;
+    for (let i = 0; i < source.length; i++) {
+        const c = source[i];
+        if (c === '\\') {
+            if (!inClass && /[1-9k]/.test(source[i + 1] || '')) throw new Error('Backreferences are not allowed in patterns');
+            i++;
+            continue;
+        }
+        if (inClass) {
+            if (c === ']') inClass = false;
+            continue;
+        }
+        const repeats = '*+{'.includes(source[i + 1] || '');
+        if (c === '[') inClass = true;
+        else if (c === '(') groups.push({ quantified: false, alternation: false });
+        else if (c === '|' && groups.length > 0) groups[groups.length - 1].alternation = true;
+        else if (c === ')' && groups.length > 0) {
+            const group = groups.pop();
+            if (repeats && (group.quantified || group.alternation)) {
+                throw new Error('Nested repetition is not allowed in patterns');
+            }
+            if (groups.length > 0 && (group.quantified || repeats)) groups[groups.length - 1].quantified = true;
+        } else if ('*+{'.includes(c) && groups.length > 0) {
+            groups[groups.length - 1].quantified = true;
+        }
+    }
+    return new RegExp(source, flags);
+}
+
+module.exports = { MAX_JSON_SIZE, validateJsonFile, sanitizeFilename, truncateError, compilePattern };
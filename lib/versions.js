@@ -0,0 +1,23 @@
+// Semver-like versions: 1, 1.2, 1.2.3, v2.0.1-beta.1
+const SEMVER_PATTERN = /^v?(\d+(?:\.\d+)*)(?:-([0-9A-Za-z.-]+))?(?:\+.*)?$/;
+
+// Returns <0, 0 or >0, or null when either version is not semver-like
+function compareVersions(a, b) {
+    const ma = SEMVER_PATTERN.exec(a);
+    const mb = SEMVER_PATTERN.exec(b);
+    if (!ma || !mb) return null;
+
+    const pa = ma[1].split('.').map(Number);
+    const pb = mb[1].split('.').map(Number);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    // A pre-release sorts before its release
+    if (ma[2] && !mb[2]) return -1;
+    if (!ma[2] && mb[2]) return 1;
+    if (ma[2] && mb[2]) return ma[2] < mb[2] ? -1 : ma[2] > mb[2] ? 1 : 0;
+    return 0;
+}
+
+module.exports = { compareVersions };
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { readTar } = require('../lib/packages');
+const { INSTALLED_FILE, sha256, verifyAssets, readLocalAssets, loadAssetManifest } = require('../lib/assets');
+
+const ROOT = path.join(__dirname, '..');
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-test-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const downloadAssets = (...args) => spawnSync(process.execPath, [path.join(ROOT, 'download_assets.js'), ...args], { encoding: 'utf8' });
+
+// A manifest for made-up LForms files, so nothing in the repo is touched
+function fakeRelease(name) {
+    const dir = path.join(tmp, name);
+    const source = path.join(dir, 'release');
+    const files = [{ name: 'lhc-forms.js', path: 'webcomponent/lhc-forms.js' }, { name: 'lhc-forms.css', path: 'webcomponent/styles.css' }];
+    files.forEach(file => {
+        fs.mkdirSync(path.dirname(path.join(source, file.path)), { recursive: true });
+        fs.writeFileSync(path.join(source, file.path), `/* ${file.name} */`);
+    });
+    const manifestPath = path.join(dir, 'lforms-assets.json');
+    fs.writeFileSync(manifestPath, JSON.stringify({ defaultVersion: '1.0.0', baseUrl: 'https://example.org/{version}/', files, versions: {} }));
+    return { dir, source, manifestPath, assetsDir: path.join(dir, 'assets') };
+}
+
+test('the committed assets of a clean checkout verify without installed.json', t => {
+    let archive;
+    try {
+        archive = execFileSync('git', ['archive', '--format=tar', 'HEAD', 'assets', 'lforms-assets.json'], { cwd: ROOT, maxBuffer: 64 * 1024 * 1024 });
+    } catch (e) {
+        t.skip('not a git checkout');
+        return;
+    }
+    const checkout = path.join(tmp, 'checkout');
+    readTar(archive).forEach((data, file) => {
+        fs.mkdirSync(path.dirname(path.join(checkout, file)), { recursive: true });
+        fs.writeFileSync(path.join(checkout, file), data);
+    });
+    assert.ok(!fs.existsSync(path.join(checkout, 'assets', INSTALLED_FILE)));
+    const manifestPath = path.join(checkout, 'lforms-assets.json');
+    const assets = verifyAssets(path.join(checkout, 'assets'), manifestPath);
+    assert.equal(assets.version, loadAssetManifest(manifestPath).defaultVersion);
+    assert.deepEqual(assets.files.map(file => file.name), loadAssetManifest(manifestPath).files.map(file => file.name));
+});
+
+test('--pin records an unpinned version, installs it, and --verify checks it', () => {
+    const { source, manifestPath, assetsDir } = fakeRelease('pin');
+    const common = ['--manifest', manifestPath, '--assets-dir', assetsDir];
+
+    const refused = downloadAssets('--from', source, ...common);
+    assert.equal(refused.status, 1);
+    assert.match(refused.stderr, /1\.0\.0 is not pinned/);
+    assert.ok(!fs.existsSync(assetsDir));
+
+    const pinned = downloadAssets('--from', source, '--pin', ...common);
+    assert.equal(pinned.status, 0, pinned.stderr);
+    const manifest = loadAssetManifest(manifestPath);
+    assert.deepEqual(manifest.versions['1.0.0'], {
+        'lhc-forms.js': sha256(Buffer.from('/* lhc-forms.js */')),
+        'lhc-forms.css': sha256(Buffer.from('/* lhc-forms.css */'))
+    });
+    assert.equal(JSON.parse(fs.readFileSync(path.join(assetsDir, INSTALLED_FILE), 'utf8')).version, '1.0.0');
+
+    const verified = downloadAssets('--verify', ...common);
+    assert.equal(verified.status, 0, verified.stderr);
+    assert.match(verified.stdout, /LForms 1\.0\.0 assets .* match their pins/);
+
+    fs.appendFileSync(path.join(assetsDir, 'lhc-forms.js'), 'tampered');
+    const tampered = downloadAssets('--verify', ...common);
+    assert.equal(tampered.status, 1);
+    assert.match(tampered.stderr, /lhc-forms\.js does not match its pinned SHA-256/);
+});
+
+test('a pinned version is not installed from files that do not match', () => {
+    const { source, manifestPath, assetsDir } = fakeRelease('mismatch');
+    const manifest = loadAssetManifest(manifestPath);
+    manifest.versions['1.0.0'] = { 'lhc-forms.js': sha256(Buffer.from('other')), 'lhc-forms.css': sha256(Buffer.from('/* lhc-forms.css */')) };
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+    const result = downloadAssets('--from', source, '--manifest', manifestPath, '--assets-dir', assetsDir);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /lhc-forms\.js does not match/);
+    assert.ok(!fs.existsSync(assetsDir));
+});
+
+test('verifyAssets refuses unpinned versions and missing files', () => {
+    const { source, manifestPath, assetsDir } = fakeRelease('verify');
+    assert.equal(downloadAssets('--from', source, '--pin', '--manifest', manifestPath, '--assets-dir', assetsDir).status, 0);
+    fs.writeFileSync(path.join(assetsDir, INSTALLED_FILE), JSON.stringify({ version: '2.0.0' }));
+    assert.throws(() => verifyAssets(assetsDir, manifestPath), /LForms 2\.0\.0 is not pinned/);
+    fs.rmSync(path.join(assetsDir, INSTALLED_FILE));
+    fs.rmSync(path.join(assetsDir, 'lhc-forms.css'));
+    assert.throws(() => verifyAssets(assetsDir, manifestPath), /lhc-forms\.css missing/);
+});
+
+test('local sources are matched by CDN path, else by file name', () => {
+    const { source, manifestPath } = fakeRelease('local');
+    const manifest = loadAssetManifest(manifestPath);
+    assert.equal(readLocalAssets(source, manifest).get('lhc-forms.css').toString(), '/* lhc-forms.css */');
+    const flat = path.join(tmp, 'flat');
+    fs.mkdirSync(flat);
+    fs.writeFileSync(path.join(flat, 'lhc-forms.js'), 'a');
+    fs.writeFileSync(path.join(flat, 'lhc-forms.css'), 'b');
+    assert.equal(readLocalAssets(flat, manifest).get('lhc-forms.js').toString(), 'a');
+    fs.rmSync(path.join(flat, 'lhc-forms.css'));
+    assert.throws(() => readLocalAssets(flat, manifest), /lhc-forms\.css \(webcomponent\/styles\.css\) not found/);
+});
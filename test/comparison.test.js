@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { groupComparisons, buildComparison } = require('../lib/comparison');
+const { scoreResponse } = require('../lib/scoring');
+const { createLocale } = require('../lib/locale');
+
+const URL = 'http://example.org/Questionnaire/phq';
+const ORDINAL_VALUE = 'http://hl7.org/fhir/StructureDefinition/ordinalValue';
+const en = createLocale({ locale: 'en', timeZone: 'UTC' });
+
+const option = (code, display, score) => ({ valueCoding: { system: 'urn:a', code, display }, extension: [{ url: ORDINAL_VALUE, valueInteger: score }] });
+const questionnaire = (version, extraItems = []) => ({
+    resourceType: 'Questionnaire', url: URL, version, title: `PHQ ${version}`,
+    item: [
+        { linkId: 'mood', text: 'Mood', type: 'coding', answerOption: [option('never', 'Never', 0), option('often', 'Often', 2)] },
+        { linkId: 'weight', text: 'Weight', type: 'decimal' },
+        { linkId: 'note', text: 'Note', type: 'string' },
+        { linkId: 'sleep', text: 'Sleep', type: 'group', item: [{ linkId: 'hours', text: 'Hours', type: 'integer' }] },
+        ...extraItems
+    ]
+});
+const response = (id, authored, answers, version = '1') => ({
+    resourceType: 'QuestionnaireResponse', id, questionnaire: `${URL}|${version}`, status: 'completed',
+    ...(authored ? { authored } : {}),
+    item: Object.entries(answers).map(([linkId, answer]) => ({ linkId, answer: [answer] }))
+});
+const qrData = (qr, patientKey = 'Patient/ann', q = questionnaire('1')) => ({ questionnaireResponse: qr, questionnaire: q, title: q.title, patientKey });
+
+test('groups the responses of one patient to one canonical, oldest first and undated last', () => {
+    const sections = [
+        qrData(response('late', '2024-03-01', {})),
+        qrData(response('undated', null, {})),
+        qrData(response('early', '2024-01-01', {}, '2')),
+        qrData(response('other-patient', '2024-02-01', {}), 'Patient/bob'),
+        { ...qrData(response('missing', '2024-02-01', {})), definitionMissing: true },
+        qrData(response('invalid-date', 'not a date', {})),
+        qrData({ ...response('other-form', '2024-02-01', {}), questionnaire: 'http://example.org/Questionnaire/gad' })
+    ];
+    // Versions are ignored; undated responses keep report order after the dated ones
+    assert.deepEqual(groupComparisons(sections), [[2, 0, 1, 5]]);
+    assert.deepEqual(groupComparisons(sections.slice(3)), []);
+});
+
+test('builds a row per question with changes marked and trend lines for numeric and scored items', () => {
+    const qrs = [
+        response('a', '2024-01-01T09:00:00Z', { mood: { valueCoding: { system: 'urn:a', code: 'never' } }, weight: { valueDecimal: 80 }, note: { valueString: 'fine' }, hours: { valueInteger: 7 } }),
+        response('b', '2024-02-01T09:00:00Z', { mood: { valueCoding: { system: 'urn:a', code: 'often', display: 'ignored' } }, weight: { valueDecimal: 80 }, note: { valueString: 'tired' } }),
+        response('c', null, { mood: { valueCoding: { system: 'urn:a', code: 'often' } }, weight: { valueString: 'n/a' }, hours: { valueInteger: 5 } })
+    ];
+    const q = questionnaire('1');
+    const entries = qrs.map(qr => ({ qrData: qrData(qr, 'Patient/ann', q), scores: scoreResponse(q, qr) }));
+    const table = buildComparison(entries, en);
+
+    assert.equal(table.title, 'PHQ 1');
+    assert.deepEqual(table.columns, ['January 1, 2024 at 9:00 AM', 'February 1, 2024 at 9:00 AM', 'Not dated']);
+    const row = label => table.rows.find(r => r.label === label);
+    assert.deepEqual(table.rows.map(r => [r.type, r.depth, r.label]), [
+        ['score', 0, 'Total score'], ['question', 0, 'Mood'], ['question', 0, 'Weight'], ['question', 0, 'Note'], ['group', 0, 'Sleep'], ['question', 1, 'Hours']
+    ]);
+    assert.deepEqual(row('Total score').series, [0, 2, 2]);
+    assert.deepEqual(row('Mood').cells, [{ text: 'Never', changed: false }, { text: 'Often', changed: true }, { text: 'Often', changed: false }]);
+    assert.deepEqual(row('Mood').series, [0, 2, 2]);
+    // A text answer among numbers: no trend line
+    assert.equal(row('Weight').series, null);
+    assert.deepEqual(row('Weight').cells.map(cell => cell.changed), [false, false, true]);
+    assert.equal(row('Note').series, null);
+    assert.deepEqual(row('Note').cells.map(cell => cell.text), ['fine', 'tired', null]);
+    // Unanswered in between: still plotted, and both the gap and the new value count as changes
+    assert.deepEqual(row('Hours').series, [7, null, 5]);
+    assert.deepEqual(row('Hours').cells.map(cell => cell.changed), [false, true, true]);
+});
+
+test('rows follow the newest Questionnaire, and unanswered rows can be hidden', () => {
+    const older = questionnaire('1', [{ linkId: 'retired', text: 'Retired', type: 'string' }]);
+    const newer = questionnaire('2', [{ linkId: 'added', text: 'Added', type: 'string' }]);
+    const entries = [
+        { qrData: qrData(response('a', '2024-01-01', { retired: { valueString: 'x' } }), 'Patient/ann', older), scores: null },
+        { qrData: qrData(response('b', '2024-02-01', { note: { valueString: 'y' } }, '2'), 'Patient/ann', newer), scores: null }
+    ];
+    const all = buildComparison(entries, en);
+    assert.deepEqual(all.rows.map(r => r.label), ['Mood', 'Weight', 'Note', 'Sleep', 'Hours', 'Added', 'Retired']);
+    assert.equal(all.title, 'PHQ 2');
+    // Without scores on every entry there is no total row
+    assert.ok(!all.rows.some(r => r.type === 'score'));
+
+    const answered = buildComparison(entries, en, { hideUnanswered: true });
+    assert.deepEqual(answered.rows.map(r => r.label), ['Note', 'Retired']);
+});
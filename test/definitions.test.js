@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDefinitionRegistry, addDefinitions } = require('../lib/definitions');
+const { compareVersions } = require('../lib/versions');
+const { buildReportData } = require('../lib/fhir');
+
+const URL = 'http://example.org/Questionnaire/phq';
+const questionnaire = (version, fields = {}) => ({ resourceType: 'Questionnaire', url: URL, ...(version ? { version } : {}), status: 'active', ...fields });
+
+function registryOf(...questionnaires) {
+    const registry = createDefinitionRegistry();
+    addDefinitions(registry, questionnaires);
+    return registry;
+}
+
+test('compareVersions orders semver-like versions numerically, pre-releases first', () => {
+    assert.ok(compareVersions('1.10.0', '1.9.0') > 0);
+    assert.ok(compareVersions('v2', '1.99') > 0);
+    assert.equal(compareVersions('1.2', '1.2.0'), 0);
+    assert.ok(compareVersions('2.0.0-beta.1', '2.0.0') < 0);
+    assert.ok(compareVersions('2.0.0-alpha', '2.0.0-beta') < 0);
+    assert.equal(compareVersions('draft', '1.0'), null);
+});
+
+test('an exact version wins; without one the latest by semver is used', () => {
+    const registry = registryOf(questionnaire('1.10.0', { title: 'ten' }), questionnaire('1.9.0', { title: 'nine' }));
+    assert.deepEqual(
+        (({ questionnaire: q, ...rest }) => ({ title: q.title, ...rest }))(registry.resolve(`${URL}|1.9.0`)),
+        { title: 'nine', url: URL, version: '1.9.0', match: 'exact', warning: null }
+    );
+    const latest = registry.resolve(URL);
+    assert.equal(latest.questionnaire.title, 'ten');
+    assert.equal(latest.match, 'latest');
+    assert.match(latest.warning, /loaded in 2 versions \(1\.10\.0, 1\.9\.0\).*latest by semver/);
+});
+
+test('a missing version falls back to the latest, with a warning', () => {
+    const resolved = registryOf(questionnaire('1.0.0'), questionnaire('2.0.0')).resolve(`${URL}|3.0.0`);
+    assert.equal(resolved.version, '2.0.0');
+    assert.equal(resolved.match, 'version-fallback');
+    assert.match(resolved.warning, /Version 3\.0\.0 of .* is not loaded \(available: 1\.0\.0, 2\.0\.0\); using version 2\.0\.0/);
+});
+
+test('versions that are not semver are ordered by date, then by load order', () => {
+    const byDate = registryOf(questionnaire('spring', { date: '2025-04-01' }), questionnaire('autumn', { date: '2024-10-01' })).resolve(URL);
+    assert.equal(byDate.version, 'spring');
+    assert.match(byDate.warning, /latest by date/);
+
+    const byOrder = registryOf(questionnaire('b'), questionnaire('a')).resolve(URL);
+    assert.equal(byOrder.version, 'a');
+    assert.match(byOrder.warning, /the last loaded, as the versions cannot be ordered/);
+
+    // Equal dates cannot be told apart either
+    const sameDay = registryOf(questionnaire('x', { date: '2025-01-01' }), questionnaire('y', { date: '2025-01-01' })).resolve(URL);
+    assert.equal(sameDay.version, 'y');
+    assert.match(sameDay.warning, /the last loaded/);
+});
+
+test('url|version canonicals register their version; duplicates replace and warn', () => {
+    const registry = createDefinitionRegistry();
+    const logged = [];
+    addDefinitions(registry, [{ resourceType: 'Questionnaire', url: `${URL}|4.0`, title: 'first' }], (message, type) => logged.push(type));
+    addDefinitions(registry, { resourceType: 'Bundle', entry: [{ resource: questionnaire('4.0', { title: 'second' }) }] }, (message, type) => logged.push(`${type} ${message}`), 'b.json');
+    assert.equal(registry.size, 1);
+    assert.equal(registry.resolve(`${URL}|4.0`).questionnaire.title, 'second');
+    assert.deepEqual(logged, [`WARN Duplicate definition ${URL}|4.0 in b.json replaces the one loaded earlier`]);
+    assert.deepEqual(registry.list().map(({ url, version }) => `${url}|${version}`), [`${URL}|4.0`]);
+});
+
+test('an unknown canonical is not resolved and the section renders without a definition', () => {
+    const registry = registryOf(questionnaire('1.0.0'));
+    assert.equal(registry.resolve('http://example.org/Questionnaire/other'), null);
+    const logged = [];
+    const reportData = buildReportData(
+        { resourceType: 'QuestionnaireResponse', questionnaire: 'http://example.org/Questionnaire/other|1', status: 'completed' },
+        registry,
+        (message, type) => logged.push(`${type} ${message.trim()}`)
+    );
+    const [section] = reportData.combinedQuestionnaires;
+    assert.equal(section.definitionMissing, true);
+    assert.equal(section.resolvedQuestionnaire, null);
+    assert.deepEqual(section.questionnaire.item, []);
+    assert.ok(logged.includes('WARN Definition not found for http://example.org/Questionnaire/other|1'));
+});
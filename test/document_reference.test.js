@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { resolveDocumentSettings, buildDocumentReference, buildTransactionBundle } = require('../lib/document_reference');
+
+const pdf = Buffer.from('%PDF-1.4 test');
+const settings = resolveDocumentSettings();
+const response = (id, fields = {}) => ({ resourceType: 'QuestionnaireResponse', id, status: 'completed', ...fields });
+
+test('links the PDF to the patient and source responses', () => {
+    const document = {
+        title: 'PHQ-9',
+        language: 'en',
+        patient: { resourceType: 'Patient', id: 'p1', name: [{ given: ['Ann'], family: 'Jones' }] },
+        questionnaireResponses: [
+            response('r1', { authored: '2026-01-02T10:00:00Z', author: { reference: 'Practitioner/d1' } }),
+            response('r2', { authored: '2026-03-04T09:00:00+01:00', author: { reference: 'Practitioner/d1' } })
+        ]
+    };
+    const doc = buildDocumentReference(pdf, document, settings, 'report.pdf');
+    assert.deepEqual(doc.subject, { reference: 'Patient/p1', display: 'Ann Jones' });
+    assert.deepEqual(doc.context.related, [{ reference: 'QuestionnaireResponse/r1' }, { reference: 'QuestionnaireResponse/r2' }]);
+    assert.deepEqual(doc.author, [{ reference: 'Practitioner/d1' }]);
+    assert.equal(doc.date, '2026-03-04T09:00:00+01:00');
+    assert.equal(doc.docStatus, 'final');
+    const { attachment } = doc.content[0];
+    assert.equal(attachment.data, pdf.toString('base64'));
+    assert.equal(attachment.size, pdf.length);
+    assert.equal(attachment.hash, crypto.createHash('sha1').update(pdf).digest('base64'));
+    assert.equal(attachment.title, 'report.pdf');
+});
+
+test('the least final response status wins', () => {
+    const document = { questionnaireResponses: [response('r1'), response('r2', { status: 'in-progress' }), response('r3', { status: 'amended' })] };
+    assert.equal(buildDocumentReference(pdf, document, settings, 'a.pdf').docStatus, 'preliminary');
+});
+
+test('dates without a time zone are not used as the instant', () => {
+    const document = { questionnaireResponses: [response('r1', { authored: '2026-01-02' })] };
+    const doc = buildDocumentReference(pdf, document, settings, 'a.pdf');
+    assert.match(doc.date, /^\d{4}-\d{2}-\d{2}T/);
+    assert.notEqual(doc.date, '2026-01-02');
+});
+
+test('responses without an id are referenced by identifier', () => {
+    const document = { questionnaireResponses: [{ resourceType: 'QuestionnaireResponse', identifier: { system: 'urn:x', value: '1' } }] };
+    const doc = buildDocumentReference(pdf, document, settings, 'a.pdf');
+    assert.deepEqual(doc.context.related, [{ identifier: { system: 'urn:x', value: '1' } }]);
+});
+
+test('validates the documentReference settings', () => {
+    assert.throws(() => resolveDocumentSettings({ typo: 1 }), /Unknown documentReference setting/);
+    assert.throws(() => resolveDocumentSettings({ type: { coding: [{ system: 'x' }] } }), /type must be a CodeableConcept/);
+    const custom = resolveDocumentSettings({ category: { text: 'Outcomes' } });
+    assert.deepEqual(custom.category, [{ text: 'Outcomes' }]);
+    const doc = buildDocumentReference(pdf, { questionnaireResponses: [response('r1')] }, custom, 'a.pdf');
+    assert.deepEqual(doc.category, [{ text: 'Outcomes' }]);
+});
+
+test('the transaction Bundle POSTs the DocumentReference', () => {
+    const doc = buildDocumentReference(pdf, { questionnaireResponses: [response('r1')] }, settings, 'a.pdf');
+    const bundle = buildTransactionBundle(doc);
+    assert.equal(bundle.type, 'transaction');
+    assert.deepEqual(bundle.entry[0].request, { method: 'POST', url: 'DocumentReference' });
+    assert.match(bundle.entry[0].fullUrl, /^urn:uuid:/);
+});
+
+test('without a Patient the subject is the response\'s reference or identifier, never its display', () => {
+    const document = { questionnaireResponses: [
+        response('r1', { subject: { display: 'Ann Jones' } }),
+        response('r2', { subject: { reference: 'Patient/P-1', identifier: { system: 'urn:redacted:pseudonym', value: 'P-1' }, display: 'Ann Jones' } })
+    ] };
+    const doc = buildDocumentReference(pdf, document, settings, 'a.pdf');
+    assert.deepEqual(doc.subject, { reference: 'Patient/P-1', identifier: { system: 'urn:redacted:pseudonym', value: 'P-1' } });
+    assert.ok(!JSON.stringify(doc).includes('Ann Jones'));
+    assert.equal(buildDocumentReference(pdf, { questionnaireResponses: [response('r3', { subject: { display: 'Ann' } })] }, settings, 'a.pdf').subject, undefined);
+});
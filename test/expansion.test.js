@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { indexResource, expandValueSet, processItems } = require('../lib/expansion');
+
+const SYSTEM = 'http://example.org/CodeSystem/colours';
+
+// red > (dark-red > maroon, pink); maroon is linked by a parent property rather than nesting
+const codeSystem = {
+    resourceType: 'CodeSystem', url: SYSTEM, content: 'complete',
+    concept: [
+        { code: 'red', display: 'Red', property: [{ code: 'notSelectable', valueBoolean: true }], concept: [
+            { code: 'dark-red', display: 'Dark red', property: [{ code: 'shade', valueString: 'dark' }] },
+            { code: 'pink', display: 'Pink', property: [{ code: 'shade', valueString: 'light' }] }
+        ] },
+        { code: 'maroon', display: 'Maroon', property: [{ code: 'parent', valueCode: 'dark-red' }, { code: 'shade', valueString: 'dark' }] },
+        { code: 'rose', display: 'Rose', property: [{ code: 'status', valueCode: 'retired' }] }
+    ]
+};
+
+function terminology(...valueSets) {
+    const map = new Map();
+    [codeSystem, ...valueSets].forEach(r => indexResource(map, r));
+    return map;
+}
+
+const filtered = (url, filter, compose = {}) => ({
+    resourceType: 'ValueSet', url, compose: { ...compose, include: [{ system: SYSTEM, filter: [filter] }] }
+});
+
+const codesOf = (url, map) => {
+    const { codes, reason } = expandValueSet(url, map);
+    assert.equal(reason, null);
+    return codes.map(c => c.code).sort();
+};
+
+test('hierarchical filters follow nested concepts and parent properties', () => {
+    const map = terminology(
+        filtered('urn:is-a', { property: 'concept', op: 'is-a', value: 'dark-red' }),
+        filtered('urn:descendent-of', { property: 'concept', op: 'descendent-of', value: 'dark-red' }),
+        filtered('urn:generalizes', { property: 'concept', op: 'generalizes', value: 'maroon' }),
+        filtered('urn:is-not-a', { property: 'concept', op: 'is-not-a', value: 'dark-red' })
+    );
+    assert.deepEqual(codesOf('urn:is-a', map), ['dark-red', 'maroon']);
+    assert.deepEqual(codesOf('urn:descendent-of', map), ['maroon']);
+    // red is an ancestor but not selectable
+    assert.deepEqual(codesOf('urn:generalizes', map), ['dark-red', 'maroon']);
+    assert.deepEqual(codesOf('urn:is-not-a', map), ['pink', 'rose']);
+
+    const unknown = terminology(filtered('urn:unknown', { property: 'concept', op: 'is-a', value: 'blue' }));
+    assert.match(expandValueSet('urn:unknown', unknown).reason, /Code blue in filter "concept is-a" not found/);
+});
+
+test('property filters: =, in, regex and exists', () => {
+    const map = terminology(
+        filtered('urn:equals', { property: 'shade', op: '=', value: 'dark' }),
+        filtered('urn:in', { property: 'code', op: 'in', value: 'pink, rose' }),
+        filtered('urn:regex', { property: 'display', op: 'regex', value: '[DM].*' }),
+        filtered('urn:exists', { property: 'shade', op: 'exists', value: 'false' })
+    );
+    assert.deepEqual(codesOf('urn:equals', map), ['dark-red', 'maroon']);
+    assert.deepEqual(codesOf('urn:in', map), ['pink', 'rose']);
+    // The pattern must match the whole value
+    assert.deepEqual(codesOf('urn:regex', map), ['dark-red', 'maroon']);
+    assert.deepEqual(codesOf('urn:exists', map), ['rose']);
+});
+
+test('regex filters that are invalid or could backtrack without end are not expanded', () => {
+    const map = terminology(
+        filtered('urn:invalid', { property: 'code', op: 'regex', value: '(' }),
+        filtered('urn:nested', { property: 'code', op: 'regex', value: '(a+)+b' }),
+        filtered('urn:alternation', { property: 'code', op: 'regex', value: '(a|aa)*b' }),
+        filtered('urn:long', { property: 'code', op: 'regex', value: 'a'.repeat(300) })
+    );
+    assert.match(expandValueSet('urn:invalid', map).reason, /Invalid regex filter "\(":/);
+    assert.match(expandValueSet('urn:nested', map).reason, /Nested repetition is not allowed/);
+    assert.match(expandValueSet('urn:alternation', map).reason, /Nested repetition is not allowed/);
+    assert.match(expandValueSet('urn:long', map).reason, /longer than 200 characters/);
+});
+
+test('imported ValueSets, excludes and inactive concepts', () => {
+    const map = terminology(
+        { resourceType: 'ValueSet', url: 'urn:all', compose: { include: [{ system: SYSTEM }] } },
+        { resourceType: 'ValueSet', url: 'urn:dark', compose: { include: [{ valueSet: ['urn:all'] }], exclude: [{ system: SYSTEM, concept: [{ code: 'pink' }] }] } },
+        { resourceType: 'ValueSet', url: 'urn:active', compose: { inactive: false, include: [{ system: SYSTEM }] } },
+        { resourceType: 'ValueSet', url: 'urn:loop', compose: { include: [{ valueSet: ['urn:loop'] }] } }
+    );
+    assert.deepEqual(codesOf('urn:all', map), ['dark-red', 'maroon', 'pink', 'rose']);
+    assert.deepEqual(codesOf('urn:dark', map), ['dark-red', 'maroon', 'rose']);
+    assert.deepEqual(codesOf('urn:active', map), ['dark-red', 'maroon', 'pink']);
+    assert.match(expandValueSet('urn:loop', map).reason, /imports itself/);
+    assert.match(expandValueSet('urn:missing', map).reason, /ValueSet urn:missing is not loaded/);
+});
+
+test('processItems in-lines expansions and reports the rest', () => {
+    const map = terminology(filtered('urn:dark', { property: 'shade', op: '=', value: 'dark' }));
+    const items = [{ linkId: 'group', type: 'group', item: [
+        { linkId: 'colour', type: 'coding', answerValueSet: 'urn:dark' },
+        { linkId: 'other', type: 'coding', answerValueSet: 'urn:missing' }
+    ] }];
+    const unexpanded = processItems(items, map);
+    const [colour, other] = items[0].item;
+    assert.equal(colour.answerValueSet, undefined);
+    assert.deepEqual(colour.answerOption.map(o => o.valueCoding), [
+        { system: SYSTEM, code: 'dark-red', display: 'Dark red' },
+        { system: SYSTEM, code: 'maroon', display: 'Maroon' }
+    ]);
+    assert.equal(other.answerValueSet, 'urn:missing');
+    assert.deepEqual(unexpanded, [{ linkId: 'other', answerValueSet: 'urn:missing', reason: 'ValueSet urn:missing is not loaded' }]);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDefinitionRegistry, addDefinitions } = require('../lib/definitions');
+const { buildReportData, normalizeFHIRData, groupResponses, linkResponse, patientKey, getEntries, createReferenceIndex } = require('../lib/fhir');
+
+const URL = 'http://example.org/Questionnaire/q';
+const response = (id, questionnaire, fields = {}) => ({ resourceType: 'QuestionnaireResponse', id, questionnaire, status: 'completed', ...fields });
+const bundle = (...resources) => ({ resourceType: 'Bundle', type: 'collection', entry: resources.map(resource => ({ resource })) });
+
+test('each definition is resolved and reported once per report', () => {
+    const registry = createDefinitionRegistry();
+    addDefinitions(registry, { resourceType: 'Questionnaire', url: URL, title: 'Known', item: [{ linkId: 'a', type: 'string' }] });
+    const logged = [];
+    const log = (message, type) => logged.push(`${type} ${message.trim()}`);
+
+    const missing = buildReportData(bundle(response('r1', 'http://example.org/Questionnaire/missing'), response('r2', URL)), registry, log);
+    assert.equal(logged.filter(message => message.includes('Definition not found')).length, 1);
+    assert.deepEqual(missing.questionnaire.item, []);
+    assert.equal(missing.combinedQuestionnaires[1].questionnaire.title, 'Known');
+
+    const known = buildReportData(bundle(response('r3', URL)), registry, log);
+    assert.equal(known.questionnaire, known.combinedQuestionnaires[0].questionnaire);
+    assert.equal(known.questionnaire.title, 'Known');
+
+    // The public helper still resolves the first response's definition itself
+    logged.length = 0;
+    assert.equal(normalizeFHIRData(bundle(response('r4', URL)), registry, log).questionnaire.title, 'Known');
+    assert.deepEqual(normalizeFHIRData(bundle(response('r5', 'urn:none')), registry, log).questionnaire.item, []);
+    assert.deepEqual(logged, ['WARN Definition not found for urn:none']);
+});
+
+const link = (input, qr) => {
+    const entries = getEntries(input);
+    return linkResponse(qr, entries.map(e => e.resource), createReferenceIndex(entries));
+};
+
+test('links a response to its Patient by subject, else through its encounter', () => {
+    const ann = { resourceType: 'Patient', id: 'ann' };
+    const bob = { resourceType: 'Patient', id: 'bob' };
+    const visit = { resourceType: 'Encounter', id: 'v1', subject: { reference: 'Patient/bob' } };
+    const bySubject = response('r1', URL, { subject: { reference: 'Patient/ann' } });
+    const byEncounter = response('r2', URL, { encounter: { reference: 'Encounter/v1' } });
+    const input = bundle(ann, bob, visit, bySubject, byEncounter);
+    assert.equal(link(input, bySubject).patient, ann);
+    assert.equal(link(input, byEncounter).patient, bob);
+    // A subject that is not in the input is not replaced by another patient
+    assert.equal(link(input, response('r3', URL, { subject: { reference: 'Patient/carol' } })).patient, null);
+});
+
+test('links an identifier-only subject to the Patient with that identifier', () => {
+    const ann = { resourceType: 'Patient', id: 'ann', identifier: [{ system: 'urn:mrn', value: '1' }] };
+    const input = bundle(ann);
+    assert.equal(link(input, response('r1', URL, { subject: { identifier: { system: 'urn:mrn', value: '1' } } })).patient, ann);
+    assert.equal(link(input, response('r2', URL, { subject: { identifier: { system: 'urn:mrn', value: '7' } } })).patient, null);
+    // Without any subject the only Patient is used
+    assert.equal(link(input, response('r3', URL)).patient, ann);
+});
+
+test('links a CarePlan by basedOn, encounter or patient', () => {
+    const ann = { resourceType: 'Patient', id: 'ann' };
+    const bob = { resourceType: 'Patient', id: 'bob' };
+    const planA = { resourceType: 'CarePlan', id: 'a', subject: { reference: 'Patient/ann' } };
+    const planB = { resourceType: 'CarePlan', id: 'b', subject: { reference: 'Patient/bob' }, encounter: { reference: 'Encounter/v2' } };
+    const planC = { resourceType: 'CarePlan', id: 'c', subject: { reference: 'Patient/bob' } };
+    const input = bundle(ann, bob, planA, planB, planC);
+    assert.equal(link(input, response('r1', URL, { subject: { reference: 'Patient/bob' }, basedOn: [{ reference: 'CarePlan/c' }] })).carePlan, planC);
+    assert.equal(link(input, response('r2', URL, { subject: { reference: 'Patient/bob' }, encounter: { reference: 'Encounter/v2' } })).carePlan, planB);
+    assert.equal(link(input, response('r3', URL, { subject: { reference: 'Patient/ann' } })).carePlan, planA);
+});
+
+test('patient keys: the linked Patient, else the subject reference, identifier or display', () => {
+    assert.equal(patientKey({}, { id: 'ann' }), 'Patient/ann');
+    assert.equal(patientKey({ subject: { reference: 'Patient/x' } }, null), 'Patient/x');
+    assert.equal(patientKey({ subject: { identifier: { system: 'urn:mrn', value: '7' } } }, null), 'urn:mrn|7');
+    assert.equal(patientKey({ subject: { display: 'Ann' } }, null), 'Ann');
+    assert.equal(patientKey({}, null), 'unknown');
+});
+
+test('groups responses per file, per patient and per response', () => {
+    const ann = { resourceType: 'Patient', id: 'ann' };
+    const input = bundle(
+        ann,
+        response('r1', URL, { subject: { reference: 'Patient/ann' } }),
+        response('r2', URL, { subject: { identifier: { system: 'urn:mrn', value: '7' } } }),
+        response('r3', URL, { subject: { reference: 'Patient/ann' } }),
+        response('r3', URL, { subject: { identifier: { system: 'urn:mrn', value: '7' } } })
+    );
+
+    const [file] = groupResponses(input);
+    assert.equal(file.questionnaireResponses.length, 4);
+    assert.equal(file.patientCount, 2);
+    assert.equal(file.patient, ann);
+
+    const byPatient = groupResponses(input, 'patient');
+    assert.deepEqual(byPatient.map(group => [group.key, group.questionnaireResponses.length, group.patientCount]), [['Patient/ann', 2, 1], ['urn:mrn|7', 2, 1]]);
+    assert.equal(byPatient[1].patient, null);
+
+    const byResponse = groupResponses(input, 'response');
+    assert.deepEqual(byResponse.map(group => group.key), ['QuestionnaireResponse/r1', 'QuestionnaireResponse/r2', 'QuestionnaireResponse/r3', 'QuestionnaireResponse/r3#4']);
+    assert.throws(() => groupResponses(input, 'day'), /Unknown grouping: day/);
+});
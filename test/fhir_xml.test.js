@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFhirXml } = require('../lib/fhir_xml');
+const { patientKey } = require('../lib/fhir');
+
+test('converts a QuestionnaireResponse with nested items, typed primitives and extensions', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<QuestionnaireResponse xmlns="http://hl7.org/fhir">
+  <id value="qr1"/>
+  <!-- a comment -->
+  <questionnaire value="http://example.org/Questionnaire/q"/>
+  <status value="completed"/>
+  <subject><reference value="Patient/p1"/><display value="Ann &amp; Co"/></subject>
+  <item>
+    <linkId value="g"/>
+    <item>
+      <linkId value="age"/>
+      <answer><valueInteger value="42"/></answer>
+    </item>
+    <item>
+      <linkId value="smoker"/>
+      <answer><valueBoolean value="false"/></answer>
+    </item>
+  </item>
+  <item>
+    <linkId value="weight"/>
+    <answer><valueQuantity><value value="72.5"/><unit value="kg"/></valueQuantity></answer>
+  </item>
+  <item>
+    <linkId value="note"/>
+    <answer>
+      <valueString value="hello">
+        <extension url="http://example.org/ext"><valueCode value="x"/></extension>
+      </valueString>
+    </answer>
+  </item>
+</QuestionnaireResponse>`;
+    assert.deepEqual(parseFhirXml(xml), {
+        resourceType: 'QuestionnaireResponse',
+        id: 'qr1',
+        questionnaire: 'http://example.org/Questionnaire/q',
+        status: 'completed',
+        subject: { reference: 'Patient/p1', display: 'Ann & Co' },
+        item: [
+            { linkId: 'g', item: [
+                { linkId: 'age', answer: [{ valueInteger: 42 }] },
+                { linkId: 'smoker', answer: [{ valueBoolean: false }] }
+            ] },
+            { linkId: 'weight', answer: [{ valueQuantity: { value: 72.5, unit: 'kg' } }] },
+            { linkId: 'note', answer: [{ valueString: 'hello', _valueString: { extension: [{ url: 'http://example.org/ext', valueCode: 'x' }] } }] }
+        ]
+    });
+});
+
+test('converts Bundle entries and contained resources', () => {
+    const xml = `<Bundle xmlns="http://hl7.org/fhir">
+  <type value="collection"/>
+  <entry><fullUrl value="urn:uuid:1"/><resource><Patient><id value="p1"/><name><family value="Jones"/><given value="Ann"/></name></Patient></resource></entry>
+  <entry><resource><QuestionnaireResponse><contained><Questionnaire><id value="q"/><name value="Short"/></Questionnaire></contained><status value="completed"/></QuestionnaireResponse></resource></entry>
+</Bundle>`;
+    const bundle = parseFhirXml(xml);
+    assert.equal(bundle.entry.length, 2);
+    assert.deepEqual(bundle.entry[0], { fullUrl: 'urn:uuid:1', resource: { resourceType: 'Patient', id: 'p1', name: [{ family: 'Jones', given: ['Ann'] }] } });
+    assert.deepEqual(bundle.entry[1].resource.contained, [{ resourceType: 'Questionnaire', id: 'q', name: 'Short' }]);
+});
+
+test('keeps narrative xhtml as a string', () => {
+    const xml = '<Patient xmlns="http://hl7.org/fhir"><text><status value="generated"/><div xmlns="http://www.w3.org/1999/xhtml"><p>Ann</p></div></text></Patient>';
+    assert.equal(parseFhirXml(xml).text.div, '<div xmlns="http://www.w3.org/1999/xhtml"><p>Ann</p></div>');
+});
+
+test('refuses DOCTYPEs, malformed and non-FHIR documents', () => {
+    assert.throws(() => parseFhirXml('<!DOCTYPE x [<!ENTITY a "b">]><Patient/>'), /DOCTYPE/);
+    assert.throws(() => parseFhirXml('<Patient><id value="1"></Patient>'), /Unexpected|Unclosed/);
+    assert.throws(() => parseFhirXml('<patient/>'), /not a FHIR resource/);
+});
+
+// The same resource as JSON and as XML, as a FHIR server would serialise it
+function assertRoundTrip(json, xml) {
+    assert.deepEqual(parseFhirXml(xml), json);
+}
+
+test('Reference.identifier is single, Resource.identifier a list', () => {
+    const json = {
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [
+            { resource: { resourceType: 'Patient', identifier: [{ system: 'urn:mrn', value: '1' }] } },
+            { resource: {
+                resourceType: 'QuestionnaireResponse',
+                status: 'completed',
+                subject: { identifier: { system: 'urn:mrn', value: '1' } },
+                author: { identifier: { value: 'D1' } }
+            } },
+            { resource: { resourceType: 'Practitioner', identifier: [{ value: 'D1' }], qualification: [{ identifier: [{ value: 'Q' }] }] } }
+        ]
+    };
+    assertRoundTrip(json, `<Bundle xmlns="http://hl7.org/fhir"><type value="collection"/>
+  <entry><resource><Patient><identifier><system value="urn:mrn"/><value value="1"/></identifier></Patient></resource></entry>
+  <entry><resource><QuestionnaireResponse><status value="completed"/>
+    <subject><identifier><system value="urn:mrn"/><value value="1"/></identifier></subject>
+    <author><identifier><value value="D1"/></identifier></author>
+  </QuestionnaireResponse></resource></entry>
+  <entry><resource><Practitioner><identifier><value value="D1"/></identifier><qualification><identifier><value value="Q"/></identifier></qualification></Practitioner></resource></entry>
+</Bundle>`);
+    assert.equal(patientKey(parseFhirXml(`<QuestionnaireResponse xmlns="http://hl7.org/fhir">
+  <subject><identifier><system value="urn:mrn"/><value value="1"/></identifier></subject></QuestionnaireResponse>`)), 'urn:mrn|1');
+});
+
+test('QuestionnaireResponse.identifier is single', () => {
+    assertRoundTrip(
+        { resourceType: 'QuestionnaireResponse', identifier: { system: 'urn:qr', value: 'Q-1' }, status: 'completed' },
+        '<QuestionnaireResponse xmlns="http://hl7.org/fhir"><identifier><system value="urn:qr"/><value value="Q-1"/></identifier><status value="completed"/></QuestionnaireResponse>'
+    );
+});
+
+test('Signature.type is a list', () => {
+    const signature = { type: [{ system: 'urn:iso-astm:E1762-95:2013', code: '1.2.840.10065.1.12.1.1' }], when: '2026-01-02T10:00:00Z', who: { reference: 'Practitioner/d1' } };
+    assertRoundTrip(
+        { resourceType: 'QuestionnaireResponse', extension: [{ url: 'http://hl7.org/fhir/StructureDefinition/questionnaireresponse-signature', valueSignature: signature }], status: 'completed' },
+        `<QuestionnaireResponse xmlns="http://hl7.org/fhir">
+  <extension url="http://hl7.org/fhir/StructureDefinition/questionnaireresponse-signature">
+    <valueSignature>
+      <type><system value="urn:iso-astm:E1762-95:2013"/><code value="1.2.840.10065.1.12.1.1"/></type>
+      <when value="2026-01-02T10:00:00Z"/>
+      <who><reference value="Practitioner/d1"/></who>
+    </valueSignature>
+  </extension>
+  <status value="completed"/>
+</QuestionnaireResponse>`
+    );
+    assertRoundTrip(
+        { resourceType: 'Bundle', type: 'document', signature: { type: [{ code: 'x' }], when: '2026-01-02T10:00:00Z' } },
+        '<Bundle xmlns="http://hl7.org/fhir"><type value="document"/><signature><type><code value="x"/></type><when value="2026-01-02T10:00:00Z"/></signature></Bundle>'
+    );
+});
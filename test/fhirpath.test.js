@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FhirPathError, compileFhirPath, evaluateFhirPath } = require('../lib/fhirpath');
+
+const qr = {
+    resourceType: 'QuestionnaireResponse',
+    status: 'completed',
+    subject: { reference: 'Patient/p1', display: 'Ann Smith' },
+    item: [
+        { linkId: 'q1', answer: [{ valueCoding: { code: 'a', display: 'Yes' } }] },
+        { linkId: 'q2', answer: [{ valueInteger: 3 }, { valueInteger: 4 }] },
+        { linkId: 'group', item: [{ linkId: 'q3', answer: [{ valueString: 'Nested' }] }] }
+    ]
+};
+const run = (expression, variables) => evaluateFhirPath(expression, qr, variables);
+
+test('paths, choice types, indexers and variables', () => {
+    assert.deepEqual(run('QuestionnaireResponse.status'), ['completed']);
+    assert.deepEqual(run('item.answer.value.code'), ['a']);
+    assert.deepEqual(run("item.where(linkId = 'q2').answer.value"), [3, 4]);
+    assert.deepEqual(run('item[1].linkId'), ['q2']);
+    assert.deepEqual(run('item[9].linkId'), []);
+    assert.deepEqual(run('%patient.name.family', { patient: { name: [{ family: 'Smith' }] } }), ['Smith']);
+    assert.deepEqual(run('%patient.name', { patient: null }), []);
+    assert.throws(() => run('%unknown'), /Unknown variable %unknown/);
+    assert.deepEqual(run('repeat(item).linkId'), ['q1', 'q2', 'group', 'q3']);
+    assert.deepEqual(run("descendants().where($this = 'Nested')"), ['Nested']);
+});
+
+test('operators: arithmetic, comparison, equality, equivalence and unions', () => {
+    assert.deepEqual(run('1 + 2 * 3'), [7]);
+    assert.deepEqual(run('(1 + 2) * 3'), [9]);
+    assert.deepEqual(run('7 div 2 | 7 mod 2 | 7 / 2'), [3, 1, 3.5]);
+    assert.deepEqual(run('-2 + 5'), [3]);
+    assert.deepEqual(run("'a' + 1"), ['a1']);
+    assert.deepEqual(run("'a' & {} & 'b'"), ['ab']);
+    assert.deepEqual(run('2 < 3 and 3 >= 3'), [true]);
+    assert.deepEqual(run("'Yes' ~ ' yes '"), [true]);
+    assert.deepEqual(run("'Yes' !~ 'no'"), [true]);
+    assert.deepEqual(run("item.answer.value.display = 'Yes'"), [true]);
+    assert.deepEqual(run("item.answer.value.display != 'Yes'"), [false]);
+    assert.deepEqual(run('(1 | 2 | 2).count()'), [2]);
+    assert.throws(() => run("1 - 'a'"), /Operator - expects numbers/);
+    assert.throws(() => run("item.linkId < 'z'"), /< expects a single value but found 3/);
+});
+
+test('empty collections propagate and three-valued logic', () => {
+    assert.deepEqual(run('missing + 1'), []);
+    assert.deepEqual(run('missing < 1'), []);
+    assert.deepEqual(run("missing = 'x'"), []);
+    assert.deepEqual(run('1 / 0'), []);
+    assert.deepEqual(run('{} ~ {}'), [true]);
+    assert.deepEqual(run('missing and false'), [false]);
+    assert.deepEqual(run('missing and true'), []);
+    assert.deepEqual(run('missing or true'), [true]);
+    assert.deepEqual(run('missing or false'), []);
+    assert.deepEqual(run('false implies missing'), [true]);
+    assert.deepEqual(run('true xor missing'), []);
+    assert.deepEqual(run('missing.not()'), []);
+    assert.deepEqual(run('missing.exists() | missing.empty()'), [false, true]);
+    assert.deepEqual(run('missing.sum() | missing.count()'), [0]);
+    assert.deepEqual(run('missing.min()'), []);
+    assert.deepEqual(run('missing.upper()'), []);
+    assert.deepEqual(run('missing.join()'), []);
+});
+
+test('collection, math and string functions', () => {
+    assert.deepEqual(run('item.answer.value.where($this > 0).sum()'), [7]);
+    assert.deepEqual(run('item.linkId.first() | item.linkId.last()'), ['q1', 'group']);
+    assert.deepEqual(run('item.linkId.tail().take(1)'), ['q2']);
+    assert.deepEqual(run('item.linkId.skip(2)'), ['group']);
+    assert.deepEqual(run("item.select(linkId + '!').join(',')"), ['q1!,q2!,group!']);
+    assert.deepEqual(run('item.all(linkId.exists())'), [true]);
+    assert.deepEqual(run("item.exists(linkId = 'q3')"), [false]);
+    assert.deepEqual(run('item.answer.value.where($this > 0).aggregate($this + $total, 10)'), [17]);
+    assert.deepEqual(run("iif(status = 'completed', 'done', 'open')"), ['done']);
+    assert.deepEqual(run('(2.456).round(2) | (-2.5).abs() | (2.1).ceiling() | (2.9).floor()'), [2.46, 2.5, 3, 2]);
+    assert.deepEqual(run("'12'.toInteger() + '1.5'.toDecimal()"), [13.5]);
+    assert.deepEqual(run("'1.5'.toInteger()"), []);
+    assert.deepEqual(run("subject.display.upper() | subject.display.lower().substring(4)"), ['ANN SMITH', 'smith']);
+    assert.deepEqual(run("subject.display.startsWith('Ann') and subject.display.endsWith('th') and subject.display.contains('n S')"), [true]);
+    assert.deepEqual(run("subject.display.split(' ').count() | subject.display.length()"), [2, 9]);
+    assert.deepEqual(run("' x '.trim() & subject.display.replace('Ann', 'Jo')"), ['xJo Smith']);
+});
+
+test('matches and replaceMatches use guarded patterns', () => {
+    assert.deepEqual(run("subject.reference.matches('^Patient/')"), [true]);
+    assert.deepEqual(run("subject.reference.replaceMatches('^.*/', '')"), ['p1']);
+    assert.deepEqual(run("'http://x/Questionnaire/phq|2.0'.replaceMatches('^.*/|\\\\|.*$', '')"), ['phq']);
+    assert.throws(() => run("subject.reference.matches('(a+)+$')"), err => err instanceof FhirPathError && /Invalid pattern "\(a\+\)\+\$": Nested repetition/.test(err.message));
+    assert.throws(() => run("subject.reference.replaceMatches('(x|xx)*y', '')"), /Nested repetition/);
+    assert.throws(() => run(`subject.reference.matches('${'a'.repeat(201)}')`), /longer than 200 characters/);
+    assert.throws(() => run("subject.reference.matches('(')"), /Invalid pattern/);
+});
+
+test('syntax errors, unknown functions and caller functions', () => {
+    assert.throws(() => compileFhirPath('item +'), /Unexpected end of expression/);
+    assert.throws(() => compileFhirPath('item.'), /Expected a name at position 5/);
+    assert.throws(() => compileFhirPath('item.nope()'), /Unsupported function nope\(\)/);
+    assert.throws(() => compileFhirPath('1 ? 2'), /Unexpected character "\?"/);
+    assert.throws(() => compileFhirPath('(1'), /Expected "\)"/);
+    const double = compileFhirPath('item.count().double()', { double: focus => focus.map(n => n * 2) });
+    assert.deepEqual(double(qr), [6]);
+    assert.deepEqual(compileFhirPath('status')(null), []);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isLocalizedText, parseLocale, createLocale, localizeQuestionnaire, createAnswerFormatter } = require('../lib/locale');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'locale-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const TRANSLATION = 'http://hl7.org/fhir/StructureDefinition/translation';
+const translated = (...pairs) => ({
+    extension: pairs.map(([lang, content]) => ({ url: TRANSLATION, extension: [{ url: 'lang', valueCode: lang }, { url: 'content', valueString: content }] }))
+});
+
+test('locales are parsed and checked', () => {
+    assert.deepEqual(parseLocale('cy'), ['cy']);
+    assert.deepEqual(parseLocale(' cy-gb , en '), ['cy-GB', 'en']);
+    assert.throws(() => parseLocale(' , '), /Locale is empty/);
+    assert.throws(() => parseLocale('cy,en,fr'), /At most 2 languages/);
+    assert.throws(() => parseLocale('not a tag'), /Invalid locale not a tag/);
+    assert.throws(() => createLocale({ locale: 'en', timeZone: 'Mars/Olympus' }), /Unknown time zone: Mars\/Olympus/);
+    assert.ok(isLocalizedText('x') && isLocalizedText({ en: 'x', cy: 'y' }));
+    assert.ok(!isLocalizedText({ en: 1 }) && !isLocalizedText(['x']) && !isLocalizedText(null));
+});
+
+test('labels fall back from region to language to English', () => {
+    const logged = [];
+    const log = (message, type) => logged.push(`${type} ${message}`);
+    assert.equal(createLocale({ locale: 'cy-GB', log }).t('Patient'), 'Claf');
+    assert.equal(createLocale({ locale: 'cy,en', log }).t('Patient'), 'Claf / Patient');
+    // A label without a translation shows once
+    assert.equal(createLocale({ locale: 'cy,en', log }).t('Not in the catalog'), 'Not in the catalog');
+    assert.deepEqual(logged, []);
+
+    assert.equal(createLocale({ locale: 'fr', log }).t('Patient'), 'Patient');
+    assert.match(logged[0], /^WARN No label translations for "fr"/);
+
+    // A regional file wins over the language file
+    fs.writeFileSync(path.join(dir, 'cy.json'), JSON.stringify({ messages: { Patient: 'Claf' } }));
+    fs.writeFileSync(path.join(dir, 'cy-GB.json'), JSON.stringify({ messages: { Patient: 'Claf (GB)' } }));
+    assert.equal(createLocale({ locale: 'cy-GB', localesDir: dir }).t('Patient'), 'Claf (GB)');
+    assert.equal(createLocale({ locale: 'cy-AR', localesDir: dir }).t('Patient'), 'Claf');
+    fs.writeFileSync(path.join(dir, 'de.json'), '{ broken');
+    assert.throws(() => createLocale({ locale: 'de', localesDir: dir }), /Cannot read .*de\.json/);
+
+    // Config labels given per language
+    const label = { en: 'Form', cy: 'Ffurflen' };
+    assert.equal(createLocale({ locale: 'cy-GB' }).t(label), 'Ffurflen');
+    assert.equal(createLocale({ locale: 'cy,en' }).t(label), 'Ffurflen / Form');
+    assert.equal(createLocale({ locale: 'fr' }).t(label), 'Form');
+});
+
+test('Questionnaire text comes from translation extensions', () => {
+    const questionnaire = {
+        resourceType: 'Questionnaire', language: 'en', title: 'Mood', _title: translated(['cy', 'Hwyliau']),
+        item: [{
+            linkId: 'q1', text: 'How are you?', _text: translated(['cy-GB', 'Sut wyt ti?'], ['fr', 'Ça va ?']),
+            prefix: '1.',
+            answerOption: [{ valueCoding: { code: 'y', display: 'Fine', _display: translated(['cy', 'Iawn']) } }, { valueString: 'Other' }],
+            item: [{ linkId: 'q1.1', text: 'Why?' }]
+        }]
+    };
+    assert.equal(localizeQuestionnaire(questionnaire, ['en']), questionnaire);
+    const cy = localizeQuestionnaire(questionnaire, ['cy']);
+    assert.equal(cy.title, 'Hwyliau');
+    assert.equal(cy.item[0].text, 'Sut wyt ti?');
+    assert.equal(cy.item[0].answerOption[0].valueCoding.display, 'Iawn');
+    assert.equal(cy.item[0].item[0].text, 'Why?');
+    const bilingual = localizeQuestionnaire(questionnaire, ['cy', 'en']);
+    assert.equal(bilingual.item[0].text, 'Sut wyt ti? / How are you?');
+    assert.equal(bilingual.item[0].prefix, '1.');
+    assert.equal(questionnaire.title, 'Mood', 'the definition itself is left alone');
+});
+
+test('dates, times and numbers follow the first language and the time zone', () => {
+    const cy = createLocale({ locale: 'cy,en', timeZone: 'Europe/London' });
+    assert.equal(cy.formatDate('2024-07-01'), '1 Gorffennaf 2024');
+    // A dateTime moves into the report's time zone, a date does not
+    assert.equal(cy.formatDate('2024-07-01T23:30:00Z'), '2 Gorffennaf 2024 am 00:30');
+    assert.equal(createLocale({ locale: 'en', timeZone: 'America/New_York' }).formatDate('2024-07-01'), 'July 1, 2024');
+    assert.equal(cy.formatDate('1980-09'), '1980-09');
+    assert.equal(cy.formatDate('not a date'), 'not a date');
+    assert.equal(cy.formatNumber(1234.56789), '1,234.568');
+    assert.equal(createLocale({ locale: 'de', timeZone: 'UTC' }).formatNumber(1234.5), '1.234,5');
+    assert.equal(cy.formatNumber('7'), '7');
+
+    const format = createAnswerFormatter({ item: [{ linkId: 'q', answerOption: [{ valueCoding: { code: 'y', display: 'Iawn' } }] }] }, cy);
+    assert.equal(format({ valueCoding: { code: 'y', display: 'Fine' } }), 'Iawn');
+    assert.equal(format({ valueBoolean: false }), 'Na / No');
+    assert.equal(format({ valueQuantity: { value: 72.5, unit: 'kg' } }), '72.5 kg');
+    assert.equal(format({ valueDate: '2024-07-01' }), '1 Gorffennaf 2024');
+});
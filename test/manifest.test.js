@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createManifest, toManifestResponse, manifestToCsv } = require('../lib/manifest');
+
+// A small CSV reader for the checks below: quoted cells may hold commas, quotes and newlines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else cell += char;
+        } else if (char === '"') quoted = true;
+        else if (char === ',') { row.push(cell); cell = ''; }
+        else if (char === '\n') { row.push(cell); rows.push(row); row = []; cell = ''; }
+        else cell += char;
+    }
+    return rows;
+}
+
+const section = {
+    questionnaireResponseId: 'qr1',
+    questionnaire: 'http://example.org/Questionnaire/q',
+    resolvedQuestionnaire: { source: 'definitions', url: 'http://example.org/Questionnaire/q', version: '1', match: 'exact' },
+    title: 'Q',
+    status: 'rendered',
+    reason: null,
+    audit: {
+        removed: [{ path: 'x', answers: [{ valueString: 'said "hi", then left' }], items: [] }],
+        normalized: [],
+        unmatchedCodes: []
+    },
+    findings: [{ severity: 'error', code: 'required', path: 'a', message: 'Required item is not answered' }],
+    scores: { total: { score: 5, answered: 2, items: 3 }, calculated: [{ linkId: 'total', answers: [{ valueInteger: 5 }] }], errors: [] }
+};
+
+test('one CSV row per audit event, with quoting', () => {
+    const manifest = createManifest({ runId: 'r', options: {} });
+    manifest.files.push({ input: 'in/a,b.json', group: null, status: 'saved', output: 'out/a.pdf', durationMs: 10, questionnaireResponses: [toManifestResponse(section)] });
+    manifest.files.push({ input: 'in/c.json', group: null, status: 'failed', output: null, durationMs: 1, error: 'Bad\nfile', questionnaireResponses: [] });
+
+    const rows = parseCsv(manifestToCsv(manifest));
+    const header = rows[0];
+    const column = name => header.indexOf(name);
+    assert.equal(rows.length, 1 + 4 + 1);
+    assert.ok(rows.every(row => row.length === header.length));
+    assert.deepEqual(rows.slice(1, 5).map(row => row[column('event')]), ['removed', 'finding-error', 'score', 'calculated']);
+    assert.equal(rows[1][column('input')], 'in/a,b.json');
+    assert.equal(rows[1][column('detail')], '1 answers: "said "hi", then left"');
+    assert.equal(rows[3][column('detail')], 'total 5 (2 of 3 answered)');
+    assert.equal(rows[5][column('event')], 'error');
+    assert.equal(rows[5][column('detail')], 'Bad\nfile');
+});
+
+test('a response without events gets a single row', () => {
+    const manifest = createManifest({ runId: 'r', options: {} });
+    const quiet = { ...section, audit: null, findings: [], scores: null };
+    manifest.files.push({ input: 'in/a.json', group: 'Patient/p1', status: 'saved', output: 'out/a.pdf', durationMs: 10, questionnaireResponses: [toManifestResponse(quiet)] });
+    const rows = parseCsv(manifestToCsv(manifest));
+    assert.equal(rows.length, 2);
+    assert.equal(rows[1][rows[0].indexOf('event')], 'none');
+    assert.equal(rows[1][rows[0].indexOf('group')], 'Patient/p1');
+});
+
+test('attachment content is left out of the CSV', () => {
+    const manifest = createManifest({ runId: 'r', options: {} });
+    const withAttachment = { ...section, audit: { removed: [{ path: 'scan', answers: [{ valueAttachment: { contentType: 'image/png', title: 'scan', data: 'QUJDRA==' } }], items: [] }], normalized: [], unmatchedCodes: [] } };
+    manifest.files.push({ input: 'in/a.json', group: null, status: 'saved', output: 'out/a.pdf', durationMs: 10, questionnaireResponses: [toManifestResponse(withAttachment)] });
+    const csv = manifestToCsv(manifest);
+    assert.ok(csv.includes('valueAttachment: scan (image/png)'));
+    assert.ok(!csv.includes('QUJDRA=='));
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readLines, indexExport, groupExport, loadGroupBundle } = require('../lib/ndjson');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ndjson-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const noLog = () => {};
+const writeNdjson = (name, lines) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, lines.join('\n'));
+    return file;
+};
+
+const response = (id, patient, text) => ({
+    resourceType: 'QuestionnaireResponse', id, status: 'completed', questionnaire: 'http://example.org/Questionnaire/q',
+    subject: { reference: `Patient/${patient}` }, item: [{ linkId: 'a', answer: [{ valueString: text }] }]
+});
+
+test('readLines gives the byte offset and length of each line, also after multi-byte characters', async () => {
+    const lines = ['{"a":"ééé"}', '', '{"b":"€"}', '{"c":1}'];
+    const file = writeNdjson('lines.ndjson', lines);
+    const data = fs.readFileSync(file);
+    const read = [];
+    for await (const line of readLines(file)) read.push(line);
+    assert.deepEqual(read.map(l => l.text), lines);
+    assert.deepEqual(read.map(l => l.line), [1, 2, 3, 4]);
+    read.forEach(({ text, offset, length }) => assert.equal(data.toString('utf8', offset, offset + length), text));
+});
+
+test('indexExport keeps context resources and the location of each response', async () => {
+    const patients = writeNdjson('Patient.ndjson', [JSON.stringify({ resourceType: 'Patient', id: 'p1', name: [{ text: 'Zoë' }] })]);
+    const responses = writeNdjson('QuestionnaireResponse.ndjson', [
+        JSON.stringify(response('r1', 'p1', 'ünïcödé ✓')),
+        'not json',
+        JSON.stringify(response('r2', 'p2', 'second'))
+    ]);
+    const index = await indexExport([patients, responses], noLog);
+    assert.equal(index.invalidLines, 1);
+    assert.ok(index.context.has('Patient/p1'));
+    assert.deepEqual(index.responses.map(r => r.id), ['r1', 'r2']);
+
+    const groups = groupExport(index, 'patient');
+    assert.deepEqual(groups.map(g => g.key), ['Patient/p1', 'Patient/p2']);
+
+    const bundle = await loadGroupBundle(groups[0], index);
+    const types = bundle.entry.map(e => e.resource.resourceType);
+    assert.deepEqual(types, ['Patient', 'QuestionnaireResponse']);
+    assert.equal(bundle.entry[1].resource.item[0].answer[0].valueString, 'ünïcödé ✓');
+});
+
+test('groupExport by response makes one group per response, also with repeated ids', async () => {
+    const file = writeNdjson('repeated.ndjson', [JSON.stringify(response('r1', 'p1', 'a')), JSON.stringify(response('r1', 'p1', 'b'))]);
+    const index = await indexExport([file], noLog);
+    const groups = groupExport(index, 'response');
+    assert.equal(groups.length, 2);
+    const second = await loadGroupBundle(groups[1], index);
+    assert.equal(second.entry[0].resource.item[0].answer[0].valueString, 'b');
+});
+
+test('every version of a Questionnaire in the export is kept', async () => {
+    const questionnaire = (version, title) => ({ resourceType: 'Questionnaire', url: 'http://example.org/Questionnaire/q', version, title });
+    const asked = (id, questionnaire) => ({ ...response(id, 'p1', 'a'), questionnaire });
+    const file = writeNdjson('versions.ndjson', [
+        questionnaire('1.0', 'One'),
+        questionnaire('2.0', 'Two'),
+        { resourceType: 'Questionnaire', url: 'http://example.org/Questionnaire/other|3.0', title: 'Other' },
+        asked('r1', 'http://example.org/Questionnaire/q|1.0'),
+        asked('r2', 'http://example.org/Questionnaire/q|9.9'),
+        asked('r3', 'http://example.org/Questionnaire/q'),
+        asked('r4', { reference: 'Questionnaire/q' })
+    ].map(r => JSON.stringify(r)));
+    const index = await indexExport([file], noLog);
+    assert.deepEqual([...index.questionnaires.keys()], [
+        'http://example.org/Questionnaire/q|1.0', 'http://example.org/Questionnaire/q|2.0', 'http://example.org/Questionnaire/other|3.0'
+    ]);
+
+    const titles = async group => (await loadGroupBundle(group, index)).entry
+        .filter(e => e.resource.resourceType === 'Questionnaire').map(e => e.resource.title);
+    const [r1, r2, r3, r4] = groupExport(index, 'response');
+    assert.deepEqual(await titles(r1), ['One']);
+    assert.deepEqual(await titles(r2), ['One', 'Two']);
+    assert.deepEqual(await titles(r3), ['One', 'Two']);
+    // A questionnaire that is not a canonical string is ignored rather than failing the report
+    assert.deepEqual(await titles(r4), []);
+});
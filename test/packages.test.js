@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { readTar, readPackage, findInCache } = require('../lib/packages');
+
+// The same package written by GNU tar in its own format (long names in 'L' entries) and as pax
+// (long names in 'x' headers). ValueSet-block.json is exactly one 512-byte block, the other
+// files are padded to a block.
+const FIXTURES = ['gnu', 'pax'].map(format => path.join(__dirname, 'fixtures', `package-${format}.tgz`));
+const LONG_NAME = `package/Questionnaire-${'a-very-long-questionnaire-name'.repeat(4)}.json`;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'packages-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('readTar reads long names and padded files from GNU and pax archives', () => {
+    for (const fixture of FIXTURES) {
+        const files = readTar(zlib.gunzipSync(fs.readFileSync(fixture)));
+        assert.deepEqual([...files.keys()].sort(), [LONG_NAME, 'package/Questionnaire-short.json', 'package/ValueSet-block.json', 'package/package.json'], fixture);
+        assert.equal(JSON.parse(files.get(LONG_NAME)).url, 'http://example.org/Questionnaire/long');
+        assert.equal(files.get('package/ValueSet-block.json').length, 512);
+        assert.equal(JSON.parse(files.get('package/ValueSet-block.json')).url, 'http://example.org/ValueSet/block');
+        assert.equal(JSON.parse(files.get('package/Questionnaire-short.json')).item[0].text, 'Short');
+    }
+});
+
+test('readTar throws on a truncated archive', () => {
+    // Blocks: package/, the 'L' entry and its data, then the long-named file's header and data
+    const tar = zlib.gunzipSync(fs.readFileSync(FIXTURES[0]));
+    assert.throws(() => readTar(tar.subarray(0, 4 * 512 + 100)), /Truncated tar archive: .* is cut short/);
+    assert.throws(() => readTar(tar.subarray(0, 3 * 512 + 100)), /Truncated tar archive: the last header is cut short/);
+    // Ending on a block boundary without the end-of-archive blocks is accepted, as tar does
+    assert.equal(readTar(tar.subarray(0, 5 * 512)).size, 1);
+
+    const truncated = path.join(dir, 'truncated.tgz');
+    fs.writeFileSync(truncated, zlib.gzipSync(tar.subarray(0, 4 * 512 + 100)));
+    assert.throws(() => readPackage(truncated), /Cannot read package .*truncated\.tgz: Truncated tar archive/);
+});
+
+test('readPackage returns the manifest and the definitions of a .tgz', () => {
+    const pkg = readPackage(FIXTURES[1]);
+    assert.equal(pkg.name, 'example.fhir.fixture');
+    assert.equal(pkg.version, '1.0.0');
+    assert.deepEqual(pkg.dependencies, { 'hl7.fhir.r4.core': '4.0.1' });
+    assert.deepEqual(pkg.resources.map(r => r.url).sort(), [
+        'http://example.org/Questionnaire/long', 'http://example.org/Questionnaire/short', 'http://example.org/ValueSet/block'
+    ]);
+});
+
+test('findInCache picks an exact version, else the highest matching one', () => {
+    const cache = path.join(dir, 'cache');
+    fs.mkdirSync(cache);
+    ['ig#1.0.0', 'ig#1.0.2.tgz', 'ig#1.1.0', 'ig#2.0.0-ballot', 'ig.other#9.0.0'].forEach(entry => {
+        if (entry.endsWith('.tgz')) fs.writeFileSync(path.join(cache, entry), '');
+        else fs.mkdirSync(path.join(cache, entry));
+    });
+    assert.equal(findInCache(cache, 'ig', '1.0.0'), path.join(cache, 'ig#1.0.0'));
+    assert.equal(findInCache(cache, 'ig', '1.0.x'), path.join(cache, 'ig#1.0.2.tgz'));
+    assert.equal(findInCache(cache, 'ig', '1.x'), path.join(cache, 'ig#1.1.0'));
+    assert.equal(findInCache(cache, 'ig', 'current'), path.join(cache, 'ig#2.0.0-ballot'));
+    assert.equal(findInCache(cache, 'ig', null), path.join(cache, 'ig#2.0.0-ballot'));
+    assert.equal(findInCache(cache, 'ig', '3.0.0'), null);
+    assert.equal(findInCache(cache, 'ig.other', null), path.join(cache, 'ig.other#9.0.0'));
+    assert.equal(findInCache(path.join(dir, 'no-cache'), 'ig', null), null);
+});
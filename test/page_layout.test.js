@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PAGE_SETTINGS, resolvePageSettings, buildPdfOptions, getWatermark } = require('../lib/page_layout');
+const { createLocale } = require('../lib/locale');
+
+const en = createLocale({ locale: 'en', timeZone: 'UTC' });
+const cy = createLocale({ locale: 'cy', timeZone: 'UTC' });
+const values = { patient: 'Ann <Smith>', mrn: 'MRN-1', questionnaire: 'PHQ-9', generated: 'today' };
+
+test('defaults: A4 portrait with the running header and footer', () => {
+    const settings = resolvePageSettings();
+    assert.deepEqual(settings, { ...DEFAULT_PAGE_SETTINGS, margin: null });
+    const options = buildPdfOptions(settings, values, en.t);
+    assert.equal(options.format, 'A4');
+    assert.equal(options.landscape, false);
+    assert.equal(options.displayHeaderFooter, true);
+    assert.deepEqual(options.margin, { top: '50px', right: '20px', bottom: '50px', left: '20px' });
+    // Values are escaped, the page number is left to Chrome
+    assert.match(options.headerTemplate, /Ann &lt;Smith&gt; &middot; MRN MRN-1/);
+    assert.match(options.footerTemplate, /Page <span class="pageNumber"><\/span> of <span class="totalPages"><\/span>/);
+});
+
+test('paper size, orientation and margins', () => {
+    const settings = resolvePageSettings({ size: 'letter', orientation: 'landscape', margin: '1.5cm', header: null, footer: null });
+    assert.equal(settings.size, 'Letter');
+    const options = buildPdfOptions(settings, values, en.t);
+    assert.equal(options.landscape, true);
+    assert.equal(options.displayHeaderFooter, false);
+    assert.equal(options.headerTemplate, undefined);
+    assert.deepEqual(options.margin, { top: '1.5cm', right: '1.5cm', bottom: '1.5cm', left: '1.5cm' });
+
+    // Sides not given keep the default; a running footer alone still leaves the header empty
+    const sides = buildPdfOptions(resolvePageSettings({ margin: { left: '1in' }, header: null }), values, en.t);
+    assert.deepEqual(sides.margin, { top: '20px', right: '20px', bottom: '50px', left: '1in' });
+    assert.equal(sides.headerTemplate, '<span></span>');
+});
+
+test('custom header and footer templates are localized and checked for placeholders', () => {
+    const settings = resolvePageSettings({ header: { en: 'Patient {patient}', cy: 'Claf {patient}' }, footer: '{questionnaire} {page}/{pages}' });
+    assert.match(buildPdfOptions(settings, values, cy.t).headerTemplate, /Claf Ann &lt;Smith&gt;/);
+    assert.match(buildPdfOptions(settings, values, en.t).footerTemplate, /PHQ-9 <span class="pageNumber"><\/span>\/<span class="totalPages"><\/span>/);
+    assert.throws(() => resolvePageSettings({ footer: 'Printed {date}' }), /page\.footer: unknown placeholder \{date\}/);
+    assert.throws(() => resolvePageSettings({ header: { en: 'ok', cy: '{oops}' } }), /page\.header: unknown placeholder \{oops\}/);
+    assert.throws(() => resolvePageSettings({ header: 42 }), /page\.header must be text/);
+});
+
+test('invalid page settings are rejected', () => {
+    const rejects = (page, pattern) => assert.throws(() => resolvePageSettings(page), pattern);
+    rejects([], /page must be an object/);
+    rejects({ paper: 'A4' }, /Unknown page setting\(s\): paper/);
+    rejects({ size: 'B5' }, /page\.size must be one of: A0, A1/);
+    rejects({ orientation: 'sideways' }, /page\.orientation must be one of: portrait, landscape/);
+    rejects({ margin: 20 }, /page\.margin must be a CSS length/);
+    rejects({ margin: '20' }, /Invalid page\.margin\.top: 20/);
+    rejects({ margin: { top: '1em' } }, /Invalid page\.margin\.top: 1em/);
+    rejects({ margin: { middle: '1cm' } }, /Unknown page\.margin side "middle"/);
+    rejects({ watermark: 'yes' }, /page\.watermark must be true or false/);
+});
+
+test('watermarks name every non-final status once', () => {
+    const qr = status => ({ resourceType: 'QuestionnaireResponse', status });
+    assert.equal(getWatermark([qr('completed')], en.t), null);
+    assert.equal(getWatermark([qr('in-progress'), qr('completed'), qr('in-progress')], en.t), 'DRAFT');
+    assert.equal(getWatermark([qr('amended'), qr('entered-in-error'), null], en.t), 'AMENDED · ENTERED IN ERROR');
+    assert.equal(getWatermark([qr('stopped')], cy.t), 'ATALIWYD');
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPagePool } = require('../lib/page_pool');
+
+// A stand-in for Puppeteer: counts the browser contexts that are open
+function createFakeBrowser() {
+    const browser = {
+        open: 0,
+        created: 0,
+        async createBrowserContext() {
+            browser.open++;
+            browser.created++;
+            let open = true;
+            return {
+                newPage: async () => ({ id: browser.created }),
+                close: async () => {
+                    if (open) browser.open--;
+                    open = false;
+                }
+            };
+        }
+    };
+    return browser;
+}
+
+const createPool = (browser, options = {}) => createPagePool({ getBrowser: async () => browser, preparePage: async () => {}, ...options });
+
+test('reuses idle pages', async () => {
+    const browser = createFakeBrowser();
+    const pool = createPool(browser, { size: 2 });
+    const entry = await pool.acquire();
+    pool.release(entry);
+    assert.equal(await pool.acquire(), entry);
+    assert.equal(browser.created, 1);
+});
+
+test('never holds more than `size` pages; waiters get released pages', async () => {
+    const browser = createFakeBrowser();
+    const pool = createPool(browser, { size: 1 });
+    const first = await pool.acquire();
+    let second = null;
+    const waiting = pool.acquire().then(entry => { second = entry; });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(second, null);
+    pool.release(first);
+    await waiting;
+    assert.equal(second, first);
+    assert.equal(browser.created, 1);
+});
+
+test('replaces a page after maxUses renders and after a failed render', async () => {
+    const browser = createFakeBrowser();
+    const pool = createPool(browser, { size: 1, maxUses: 2 });
+    let entry = await pool.acquire();
+    pool.release(entry);
+    entry = await pool.acquire();
+    pool.release(entry);
+    const replaced = await pool.acquire();
+    assert.notEqual(replaced, entry);
+    pool.release(replaced, { broken: true });
+    assert.notEqual(await pool.acquire(), replaced);
+    assert.equal(browser.created, 3);
+    assert.equal(browser.open, 1);
+});
+
+test('a page that fails to prepare frees its slot', async () => {
+    const browser = createFakeBrowser();
+    let fail = true;
+    const pool = createPool(browser, {
+        size: 1,
+        preparePage: async () => {
+            if (fail) throw new Error('no LForms');
+        }
+    });
+    await assert.rejects(pool.acquire(), /no LForms/);
+    assert.equal(browser.open, 0);
+    fail = false;
+    assert.ok(await pool.acquire());
+});
+
+test('close rejects waiters and closes idle pages', async () => {
+    const browser = createFakeBrowser();
+    const pool = createPool(browser, { size: 1 });
+    const entry = await pool.acquire();
+    const waiting = pool.acquire();
+    await pool.close();
+    await assert.rejects(waiting, /closed/);
+    await assert.rejects(pool.acquire(), /closed/);
+    pool.release(entry);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(browser.open, 0);
+});
+
+test('a page released twice frees its slot only once', async () => {
+    const browser = createFakeBrowser();
+    const pool = createPool(browser, { size: 1 });
+    const entry = await pool.acquire();
+    pool.release(entry, { broken: true });
+    pool.release(entry, { broken: true });
+    const replacement = await pool.acquire();
+    let extra = null;
+    pool.acquire().then(e => { extra = e; });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(extra, null);
+    assert.equal(browser.open, 1);
+    pool.release(replacement);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(extra, replacement);
+});
+
+test('a page that is still being prepared when the pool closes is closed too', async () => {
+    const browser = createFakeBrowser();
+    let finishPreparing;
+    const pool = createPool(browser, { preparePage: () => new Promise(resolve => { finishPreparing = resolve; }) });
+    const acquiring = pool.acquire();
+    await new Promise(resolve => setImmediate(resolve));
+    await pool.close();
+    finishPreparing();
+    await assert.rejects(acquiring, /closed/);
+    assert.equal(browser.open, 0);
+});
+
+test('a page released twice is handed out once', async () => {
+    const browser = createFakeBrowser();
+    const pool = createPool(browser, { size: 1 });
+    const entry = await pool.acquire();
+    pool.release(entry);
+    pool.release(entry);
+    assert.equal(await pool.acquire(), entry);
+    let second = null;
+    pool.acquire().then(e => { second = e; });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(second, null);
+    pool.release({ page: {}, context: { close: async () => {} }, uses: 0 });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(second, null);
+    pool.release(entry);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(second, entry);
+});
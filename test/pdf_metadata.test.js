@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { UnsupportedPdfError, readTrailer, readObjectDictionary, finalizePdf } = require('../lib/pdf_metadata');
+
+// A one-page tagged PDF as printed by Chrome (page.pdf with tagged: true)
+const chromePdf = fs.readFileSync(path.join(__dirname, 'fixtures', 'chrome.pdf'));
+
+const source = { resourceType: 'QuestionnaireResponse', id: 'r1', status: 'completed' };
+const options = {
+    metadata: { title: 'PHQ-9 – Gesundheit', author: 'Clinic', subject: 'Ann Smith (MRN-1)', keywords: 'http://example.org/Questionnaire/phq9', created: new Date('2024-03-01T10:00:00Z') },
+    attachments: [{ name: 'QuestionnaireResponse-r1.json', data: JSON.stringify(source), mimeType: 'application/json', description: 'Source' }]
+};
+
+// Every object the appended cross-reference section points at starts at its offset, and the
+// section is found at startxref. Returns the trailer's /Prev.
+function assertUpdateOffsets(pdf) {
+    const text = pdf.toString('latin1');
+    assert.ok(text.startsWith('xref\n', readTrailer(pdf).prev));
+    const xref = text.slice(text.lastIndexOf('\nxref\n') + 1, text.lastIndexOf('trailer'));
+    const entries = [...xref.matchAll(/^(\d+) 1\n(\d{10}) 00000 n $/gm)];
+    assert.ok(entries.length > 0);
+    entries.forEach(([, number, offset]) => assert.ok(text.startsWith(`${number} 0 obj`, Number(offset)), `object ${number}`));
+    return Number(/\/Prev (\d+)/.exec(text.slice(text.lastIndexOf('trailer')))[1]);
+}
+
+const utf16 = text => `<FEFF${Buffer.from(text, 'utf16le').swap16().toString('hex').toUpperCase()}>`;
+
+test('reads the trailer and objects of a Chrome PDF', () => {
+    const trailer = readTrailer(chromePdf);
+    assert.ok(trailer.root > 0 && trailer.info > 0 && trailer.size > trailer.root);
+    assert.equal(trailer.prev, Number(/startxref\s+(\d+)\s+%%EOF\s*$/.exec(chromePdf.toString('latin1'))[1]));
+    const catalog = readObjectDictionary(chromePdf, trailer.root);
+    assert.match(catalog, /\/Type\s*\/Catalog/);
+    assert.match(catalog, /\/StructTreeRoot/);
+    assert.match(readObjectDictionary(chromePdf, trailer.info), /\/Producer/);
+    assert.throws(() => readObjectDictionary(chromePdf, trailer.size + 10), UnsupportedPdfError);
+});
+
+test('adds metadata and the source attachment as an incremental update', () => {
+    const pdf = finalizePdf(chromePdf, options);
+    const original = readTrailer(chromePdf);
+    assert.ok(pdf.subarray(0, chromePdf.length).equals(chromePdf), 'the printed bytes are kept');
+    assert.equal(assertUpdateOffsets(pdf), original.prev);
+
+    const trailer = readTrailer(pdf);
+    assert.equal(trailer.root, original.root);
+    const catalog = readObjectDictionary(pdf, trailer.root);
+    assert.match(catalog, /\/StructTreeRoot/);
+    assert.match(catalog, /\/Metadata \d+ 0 R/);
+    assert.match(catalog, /\/AF \[\d+ 0 R\]/);
+    assert.doesNotMatch(catalog, /\/OutputIntents/);
+
+    const info = readObjectDictionary(pdf, trailer.info);
+    assert.ok(info.includes(`/Title ${utf16('PHQ-9 – Gesundheit')}`));
+    assert.ok(info.includes(`/Subject ${utf16('Ann Smith (MRN-1)')}`));
+    assert.match(info, /\/CreationDate \(D:20240301100000\+00'00'\)/);
+
+    const metadataNumber = Number(/\/Metadata (\d+) 0 R/.exec(catalog)[1]);
+    const text = pdf.toString('latin1');
+    const xmp = Buffer.from(text.slice(text.indexOf(`${metadataNumber} 0 obj`)), 'latin1').toString('utf8');
+    assert.match(xmp, /<dc:creator><rdf:Seq><rdf:li>Clinic<\/rdf:li>/);
+    assert.match(xmp, /<dc:title><rdf:Alt><rdf:li xml:lang="x-default">PHQ-9 – Gesundheit/);
+
+    // The embedded file inflates back to the source JSON
+    const embedded = /\/Type \/EmbeddedFile[^]*?\/Length (\d+)>>\nstream\n/.exec(text);
+    const start = embedded.index + embedded[0].length;
+    const data = zlib.inflateSync(pdf.subarray(start, start + Number(embedded[1])));
+    assert.deepEqual(JSON.parse(data), source);
+});
+
+test('archival PDFs declare PDF/A-3b and get an output intent', () => {
+    const pdf = finalizePdf(chromePdf, { ...options, archival: true });
+    assertUpdateOffsets(pdf);
+    const catalog = readObjectDictionary(pdf, readTrailer(pdf).root);
+    assert.match(catalog, /\/OutputIntents \[\d+ 0 R\]/);
+    assert.match(catalog, /\/Version \/1\.7/);
+    const text = pdf.toString('latin1');
+    assert.match(text, /<pdfaid:part>3<\/pdfaid:part>/);
+    assert.match(text, /\/S \/GTS_PDFA1/);
+});
+
+test('an unsupported PDF is kept as printed with a warning, unless archival', () => {
+    const logged = [];
+    const log = (message, type) => logged.push(`${type} ${message}`);
+
+    // Finished PDFs already have /Metadata; a PDF with a cross-reference stream has no classic trailer
+    const finished = finalizePdf(chromePdf, options);
+    const crossReferenceStream = Buffer.from(chromePdf.toString('latin1').replace(/trailer[^]*$/, 'startxref\n100\n%%EOF\n'), 'latin1');
+    for (const pdf of [finished, crossReferenceStream]) {
+        assert.equal(finalizePdf(pdf, { ...options, log }), pdf);
+        assert.throws(() => finalizePdf(pdf, { ...options, archival: true, log }), UnsupportedPdfError);
+    }
+    assert.deepEqual(logged, [
+        'WARN Unsupported PDF structure (catalog already has /Metadata, /Names, /AF): the PDF is written without metadata and attachments',
+        'WARN Unsupported PDF structure (no classic trailer): the PDF is written without metadata and attachments'
+    ]);
+});
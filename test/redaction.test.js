@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRedactionProfile, createRedactor, shiftDate } = require('../lib/redaction');
+const { createDefinitionRegistry, addDefinitions } = require('../lib/definitions');
+const { buildReportData } = require('../lib/fhir');
+const { buildRunningValues } = require('../lib/report_config');
+const { createLocale } = require('../lib/locale');
+const { describeDocument } = require('../lib/renderer');
+
+const SECRET = 'a-test-secret-of-some-length';
+const quiet = () => {};
+
+function bundle() {
+    return {
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [
+            { fullUrl: 'urn:uuid:p', resource: { resourceType: 'Patient', id: 'p1', identifier: [{ system: 'urn:mrn', value: 'MRN-1' }], name: [{ family: 'Jones', given: ['Ann'] }], birthDate: '1980-05-17', telecom: [{ value: '555' }] } },
+            { resource: { resourceType: 'Practitioner', id: 'd1', name: [{ family: 'Smith' }] } },
+            { resource: {
+                resourceType: 'QuestionnaireResponse',
+                id: 'qr1',
+                identifier: { system: 'urn:qr', value: 'Q-1' },
+                status: 'completed',
+                authored: '2026-01-02T10:00:00Z',
+                subject: { reference: 'Patient/p1' },
+                author: { reference: 'Practitioner/d1' },
+                item: [{ linkId: 'seen', answer: [{ valueDate: '2025-12-30' }] }, { linkId: 'by', answer: [{ valueReference: { reference: 'Practitioner/d1' } }] }]
+            } }
+        ]
+    };
+}
+
+test('rejects unknown settings and bad values', () => {
+    assert.throws(() => resolveRedactionProfile({ identifier: 'mask' }), /Unknown redaction setting/);
+    assert.throws(() => resolveRedactionProfile({ identifiers: 'hash' }), /identifiers must be one of/);
+    assert.throws(() => resolveRedactionProfile({ stripAuthor: 'yes' }), /stripAuthor must be true or false/);
+    assert.throws(() => resolveRedactionProfile({ secret: 'short' }), /at least 16 characters/);
+    assert.throws(() => resolveRedactionProfile({ dateShift: { maxDays: 0 } }), /dateShift.maxDays/);
+    assert.throws(() => resolveRedactionProfile({ hideItems: { linkId: ['a'] } }), /Unknown hideItems setting/);
+    const profile = resolveRedactionProfile({ hideItems: { extensions: ['http://x'] } });
+    assert.deepEqual(profile.hideItems, { linkIds: [], types: [], codes: [], extensions: [{ url: 'http://x' }] });
+    assert.equal(profile.stripAuthor, true);
+});
+
+test('shiftDate keeps the precision, time and zone', () => {
+    assert.equal(shiftDate('2026-01-02', -3), '2025-12-30');
+    assert.equal(shiftDate('2026-01', 40), '2026-02');
+    assert.equal(shiftDate('2026', 400), '2027');
+    assert.equal(shiftDate('2026-01-02T10:00:00+01:00', 1), '2026-01-03T10:00:00+01:00');
+    assert.equal(shiftDate('not a date', 5), 'not a date');
+});
+
+test('pseudonymises the patient and drops other resources', () => {
+    const profile = resolveRedactionProfile({ secret: SECRET, dateShift: { maxDays: 30 } });
+    const redacted = createRedactor(profile, quiet).redactInput(bundle(), quiet);
+    const [patient, qr] = redacted.entry.map(e => e.resource);
+    assert.equal(redacted.entry.length, 2);
+    assert.match(patient.id, /^P-[0-9A-F]{10}$/);
+    assert.deepEqual(Object.keys(patient).sort(), ['birthDate', 'id', 'identifier', 'name', 'resourceType']);
+    assert.notEqual(patient.birthDate, '1980-05-17');
+    assert.equal(qr.subject.reference, `Patient/${patient.id}`);
+    assert.equal(qr.identifier, undefined);
+    assert.equal(qr.author, undefined);
+    assert.deepEqual(qr.item[1].answer[0].valueReference, { display: '[REDACTED]' });
+    assert.notEqual(qr.item[0].answer[0].valueDate, '2025-12-30');
+
+    const text = JSON.stringify(redacted);
+    ['Jones', 'MRN-1', 'Q-1', 'Smith', '555', 'qr1', 'p1"'].forEach(value => assert.ok(!text.includes(value), value));
+});
+
+test('the same secret gives the same pseudonyms and date offsets', () => {
+    const profile = resolveRedactionProfile({ secret: SECRET, dateShift: { maxDays: 30 } });
+    const first = createRedactor(profile, quiet).redactInput(bundle(), quiet);
+    const second = createRedactor(profile, quiet).redactInput(bundle(), quiet);
+    assert.deepEqual(first, second);
+    const other = createRedactor({ ...profile, secret: `${SECRET}-other` }, quiet).redactInput(bundle(), quiet);
+    assert.notEqual(other.entry[0].resource.id, first.entry[0].resource.id);
+});
+
+test('hides the profile\'s items from the form and the response', () => {
+    const profile = resolveRedactionProfile({ secret: SECRET, hideItems: { linkIds: ['secret'] } });
+    const redactor = createRedactor(profile, quiet);
+    const reportData = { combinedQuestionnaires: [{
+        title: 'Form',
+        questionnaire: { item: [{ linkId: 'secret', type: 'string' }, { linkId: 'other', type: 'string', enableWhen: [{ question: 'secret', operator: 'exists', answerBoolean: true }] }] },
+        questionnaireResponse: { item: [{ linkId: 'secret', answer: [{ valueString: 'x' }] }, { linkId: 'other', answer: [{ valueString: 'y' }] }] },
+        findings: [{ linkId: 'secret' }]
+    }] };
+    const logged = [];
+    redactor.redactSections(reportData, [null], message => logged.push(message));
+    const [section] = reportData.combinedQuestionnaires;
+    assert.deepEqual(section.questionnaire.item, [{ linkId: 'other', type: 'string' }]);
+    assert.deepEqual(section.questionnaireResponse.item, [{ linkId: 'other', answer: [{ valueString: 'y' }] }]);
+    assert.deepEqual(section.findings, []);
+    assert.ok(logged.some(message => /1 answer\(s\) hidden, 1 enableWhen condition/.test(message)));
+});
+
+// Every reference display names the patient
+function namedBundle() {
+    const name = 'Ann Jones';
+    const signature = { type: [{ code: '1.2.840.10065.1.12.1.1' }], when: '2026-01-02T10:00:00Z', who: { reference: 'Patient/p1', display: name }, onBehalfOf: { reference: 'Patient/p1', display: name } };
+    return {
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [
+            { resource: { resourceType: 'Questionnaire', url: 'http://example.org/Questionnaire/q', status: 'active', item: [{ linkId: 'a', type: 'string' }] } },
+            { resource: { resourceType: 'Patient', id: 'p1', name: [{ family: 'Jones', given: ['Ann'] }] } },
+            { resource: { resourceType: 'Encounter', id: 'e1', status: 'finished', subject: { reference: 'Patient/p1', display: name } } },
+            { resource: { resourceType: 'CarePlan', id: 'c1', status: 'active', intent: 'plan', subject: { reference: 'Patient/p1', display: name }, author: { reference: 'Patient/p1', display: name }, encounter: { reference: 'Encounter/e1', display: `Visit of ${name}` } } },
+            { resource: {
+                resourceType: 'QuestionnaireResponse',
+                id: 'qr1',
+                questionnaire: 'http://example.org/Questionnaire/q',
+                status: 'completed',
+                authored: '2026-01-02T10:00:00Z',
+                subject: { reference: 'Patient/p1', display: name },
+                encounter: { reference: 'Encounter/e1', display: `Visit of ${name} 2024-01-02` },
+                basedOn: [{ reference: 'CarePlan/c1', display: `Plan for ${name}` }],
+                author: { reference: 'Patient/p1', display: name },
+                source: { reference: 'Patient/p1', display: name },
+                partOf: [{ reference: 'Procedure/x1', display: `Procedure on ${name}` }],
+                contained: [{ resourceType: 'Encounter', id: 'local', subject: { reference: 'Patient/p1', display: name } }],
+                extension: [
+                    { url: 'http://hl7.org/fhir/StructureDefinition/questionnaireresponse-signature', valueSignature: signature },
+                    { url: 'http://example.org/visit', valueReference: { reference: '#local', display: `Visit of ${name}` } },
+                    { url: 'http://example.org/other', valueReference: { identifier: { system: 'urn:mrn', value: '1' }, display: name } },
+                    { url: 'http://example.org/elsewhere', valueReference: { reference: 'Encounter/e9', display: `Visit of ${name}` } }
+                ],
+                item: [{ linkId: 'a', answer: [{ valueString: 'fine' }] }]
+            } }
+        ]
+    };
+}
+
+test('no reference display keeps the patient\'s name, with any profile', () => {
+    const profiles = [{}, { stripAuthor: false }, { stripCarePlan: false }, { stripAuthor: false, stripCarePlan: false, references: 'keep' }, { identifiers: 'mask', stripAuthor: false }];
+    profiles.forEach(settings => {
+        const profile = resolveRedactionProfile({ secret: SECRET, ...settings });
+        const logged = [];
+        const redacted = createRedactor(profile, quiet).redactInput(namedBundle(), message => logged.push(message));
+        const text = JSON.stringify(redacted);
+        assert.ok(!/Ann|Jones/.test(text), `${JSON.stringify(settings)}: ${text}`);
+        assert.ok(logged.some(message => /reference display\(s\) replaced \(.*encounter/.test(message)), JSON.stringify(settings));
+
+        const registry = createDefinitionRegistry();
+        addDefinitions(registry, [namedBundle().entry[0].resource]);
+        const reportData = buildReportData(redacted, registry, quiet);
+        reportData.header = { title: '', organisation: '' };
+        const runningValues = buildRunningValues(reportData, quiet, createLocale());
+        const { metadata, attachments } = describeDocument(reportData, runningValues, value => value, true);
+        const pdfText = JSON.stringify({ metadata, attachments, runningValues });
+        assert.ok(!/Ann|Jones/.test(pdfText), `${JSON.stringify(settings)}: ${pdfText}`);
+    });
+});
+
+test('references to the patient show the pseudonym; contained references are rewritten once', () => {
+    const profile = resolveRedactionProfile({ secret: SECRET, stripAuthor: false, stripCarePlan: false });
+    const redacted = createRedactor(profile, quiet).redactInput(namedBundle(), quiet);
+    const byType = type => redacted.entry.map(e => e.resource).find(r => r.resourceType === type);
+    const patient = byType('Patient');
+    const qr = byType('QuestionnaireResponse');
+    const shown = { reference: `Patient/${patient.id}`, display: patient.id };
+    assert.deepEqual(qr.author, shown);
+    assert.deepEqual(qr.extension[0].valueSignature.who, shown);
+    assert.deepEqual(byType('Encounter').subject, shown);
+    assert.deepEqual(byType('CarePlan').subject, shown);
+    assert.deepEqual(qr.encounter, { reference: `Encounter/${byType('Encounter').id}` });
+    assert.deepEqual(qr.contained[0].subject, shown);
+    assert.deepEqual(qr.extension[1].valueReference, { reference: '#local' });
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveReportConfig, loadReportConfig, buildHeader, buildRunningValues } = require('../lib/report_config');
+const { createLocale } = require('../lib/locale');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-config-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const en = createLocale({ locale: 'en', timeZone: 'UTC' });
+const reportData = {
+    patient: { resourceType: 'Patient', name: [{ given: ['Ann'], family: 'Smith' }], birthDate: '1980-02-01', identifier: [{ value: 'MRN-1' }] },
+    carePlan: null,
+    questionnaireResponse: { resourceType: 'QuestionnaireResponse', questionnaire: 'http://example.org/Questionnaire/phq9|2.0', subject: { reference: 'Patient/p1' } }
+};
+
+test('the default header shows the patient, dates in the locale and the questionnaire name', () => {
+    const config = resolveReportConfig();
+    const header = buildHeader(config, reportData, () => {}, en);
+    assert.deepEqual(header.map(field => [field.label, field.value, field.row]), [
+        ['Patient', 'Ann Smith', 1],
+        ['DOB', 'February 1, 1980', 1],
+        ['MRN', 'MRN-1', 1],
+        ['Care Plan', 'phq9', 2],
+        ['Author', 'N/A', 2]
+    ]);
+    const cy = createLocale({ locale: 'cy', timeZone: 'UTC' });
+    assert.equal(buildHeader(config, reportData, () => {}, cy)[4].value, 'Dim ar gael');
+    assert.deepEqual(buildRunningValues(reportData, () => {}, en), { patient: 'Ann Smith', mrn: 'MRN-1' });
+    // Without a Patient the subject is used
+    assert.deepEqual(buildRunningValues({ ...reportData, patient: null }, () => {}, en), { patient: 'Patient/p1', mrn: '' });
+});
+
+test('header fields fall through their expressions, and failures are logged', () => {
+    const config = resolveReportConfig({
+        headerFields: [
+            { label: { en: 'Form', cy: 'Ffurflen' }, expression: ['%carePlan.title', '%questionnaireResponse.questionnaire.length()'], row: 3 },
+            { label: 'Broken', expression: "(%patient.name.given | 'Jo').upper()", default: 'none' }
+        ]
+    });
+    const logged = [];
+    const header = buildHeader(config, reportData, (message, type) => logged.push(`${type} ${message}`), en);
+    assert.deepEqual(header, [{ label: 'Form', value: '41', row: 3 }, { label: 'Broken', value: 'none', row: 1 }]);
+    assert.deepEqual(logged, ['WARN Header field "Broken": (%patient.name.given | \'Jo\').upper() failed (String function expects a single value but found 2)']);
+});
+
+test('invalid settings are rejected when the config is loaded', () => {
+    const rejects = (config, pattern) => assert.throws(() => resolveReportConfig(config, dir), pattern);
+    rejects([], /must be a JSON object/);
+    rejects({ colour: {} }, /Unknown report config setting\(s\): colour/);
+    rejects({ colors: { accent: '#fff' } }, /Unknown colour "accent"/);
+    rejects({ colors: { primary: 'red; background: url(x)' } }, /Invalid colour for primary/);
+    rejects({ logo: 'logo.bmp' }, /Unsupported logo format/);
+    rejects({ logo: 'missing.png' }, /Logo not found/);
+    rejects({ headerFields: {} }, /headerFields must be a list/);
+    rejects({ headerFields: [{ expression: 'status' }] }, /headerFields\[0\] needs a label/);
+    rejects({ headerFields: [{ label: 'A', expression: 'status', colour: 'red' }] }, /headerFields\[0\] \(A\): unknown setting\(s\) colour/);
+    rejects({ headerFields: [{ label: 'A' }] }, /headerFields\[0\] \(A\) needs an expression/);
+    rejects({ headerFields: [{ label: 'A', expression: 'status', row: 0 }] }, /row must be a positive whole number/);
+    rejects({ headerFields: [{ label: 'A', expression: 'status.nope()' }] }, /headerFields\[0\] \(A\): Unsupported function nope\(\)/);
+    rejects({ title: 42 }, /title must be text/);
+});
+
+test('loadReportConfig resolves files against the config folder', () => {
+    fs.writeFileSync(path.join(dir, 'logo.svg'), '<svg xmlns="http://www.w3.org/2000/svg"/>');
+    const configPath = path.join(dir, 'report.json');
+    fs.writeFileSync(configPath, JSON.stringify({ template: 'letterhead.html', logo: 'logo.svg', title: { en: 'Report', cy: 'Adroddiad' } }));
+    const config = loadReportConfig(configPath);
+    assert.equal(config.template, path.join(dir, 'letterhead.html'));
+    assert.match(config.logo, /^data:image\/svg\+xml;base64,/);
+    assert.deepEqual(config.title, { en: 'Report', cy: 'Adroddiad' });
+
+    fs.writeFileSync(configPath, '{ not json');
+    assert.throws(() => loadReportConfig(configPath), /Cannot read report config .*report\.json/);
+    fs.writeFileSync(configPath, JSON.stringify({ logoText: 'X', extra: true }));
+    assert.throws(() => loadReportConfig(configPath), /Report config .*report\.json: Unknown report config setting\(s\): extra/);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateResponse, disabledItems } = require('../lib/response_validation');
+
+const questionnaire = {
+    item: [
+        { linkId: 'smoker', type: 'boolean', required: true },
+        { linkId: 'perDay', type: 'integer', enableWhen: [{ question: 'smoker', operator: '=', answerBoolean: true }] },
+        { linkId: 'details', type: 'group', enableWhen: [{ question: 'smoker', operator: 'exists', answerBoolean: true }], item: [
+            { linkId: 'since', type: 'date', enableWhen: [{ question: 'perDay', operator: '>', answerInteger: 10 }] },
+            { linkId: 'brand', type: 'choice', answerOption: [{ valueCoding: { code: 'a' } }] }
+        ] }
+    ]
+};
+
+test('disabledItems lists the items whose enableWhen is not met, at any depth', () => {
+    const response = { item: [{ linkId: 'smoker', answer: [{ valueBoolean: false }] }] };
+    assert.deepEqual(disabledItems(questionnaire, response), ['perDay', 'since']);
+    const smoker = { item: [{ linkId: 'smoker', answer: [{ valueBoolean: true }] }, { linkId: 'perDay', answer: [{ valueInteger: 20 }] }] };
+    assert.deepEqual(disabledItems(questionnaire, smoker), []);
+    assert.deepEqual(disabledItems(questionnaire, { item: [] }), ['perDay', 'details', 'since']);
+});
+
+test('findings: unknown items first at each level, then Questionnaire order', () => {
+    const response = {
+        status: 'completed',
+        item: [
+            { linkId: 'smoker', answer: [{ valueBoolean: false }] },
+            { linkId: 'details', item: [{ linkId: 'brand', answer: [{ valueCoding: { code: 'z' } }] }, { linkId: 'extra' }] },
+            { linkId: 'perDay', answer: [{ valueInteger: 3 }] },
+            { linkId: 'stray', answer: [{ valueString: 'x' }] }
+        ]
+    };
+    const findings = validateResponse(questionnaire, response).map(finding => `${finding.code} ${finding.path}`);
+    assert.deepEqual(findings, [
+        'unknown-item stray',
+        'disabled-answered perDay',
+        'unknown-item details.extra',
+        'answer-option details.brand'
+    ]);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CALCULATED_EXPRESSION, scoreResponse, createAnswerScorer } = require('../lib/scoring');
+const { toManifestResponse, manifestToCsv, createManifest } = require('../lib/manifest');
+
+const ORDINAL_VALUE = 'http://hl7.org/fhir/StructureDefinition/ordinalValue';
+const ITEM_WEIGHT = 'http://hl7.org/fhir/StructureDefinition/itemWeight';
+const VARIABLE = 'http://hl7.org/fhir/StructureDefinition/variable';
+
+const fhirpath = expression => ({ language: 'text/fhirpath', expression });
+const calculated = expression => ({ url: CALCULATED_EXPRESSION, valueExpression: fhirpath(expression) });
+const coding = code => ({ system: 'urn:answers', code });
+
+// Scores on the answerOption (ordinalValue) and on its valueCoding (itemWeight)
+const options = [
+    { valueCoding: coding('never'), extension: [{ url: ORDINAL_VALUE, valueInteger: 0 }] },
+    { valueCoding: { ...coding('often'), extension: [{ url: ITEM_WEIGHT, valueDecimal: 2.5 }] } }
+];
+const choice = (linkId, extra = {}) => ({ linkId, type: 'coding', answerOption: options, ...extra });
+const answer = (linkId, code) => ({ linkId, answer: [{ valueCoding: coding(code) }] });
+
+test('totals the scores of the enabled items', () => {
+    const questionnaire = { item: [
+        choice('q1'),
+        choice('q2'),
+        choice('q3', { enableWhen: [{ question: 'q1', operator: '=', answerCoding: coding('often') }] }),
+        choice('q4', { enableWhen: [{ question: 'q1', operator: '=', answerCoding: coding('never') }] }),
+        { linkId: 'note', type: 'string' }
+    ] };
+    const response = { resourceType: 'QuestionnaireResponse', item: [answer('q1', 'often'), answer('q3', 'often'), answer('q4', 'often')] };
+    const result = scoreResponse(questionnaire, response);
+    // q4 is disabled, q2 unanswered
+    assert.deepEqual(result.total, { score: 5, answered: 2, items: 3 });
+    assert.equal(result.updated, false);
+    assert.equal(scoreResponse({ item: [{ linkId: 'note', type: 'string' }] }, response).total, null);
+
+    const score = createAnswerScorer(questionnaire);
+    assert.equal(score({ valueCoding: coding('often') }), 2.5);
+    assert.equal(score(coding('never')), 0);
+    assert.equal(score({ valueCoding: coding('unknown') }), undefined);
+    assert.equal(score({ valueString: 'often' }), undefined);
+});
+
+test('calculated items depending on later ones are settled in further passes', () => {
+    const questionnaire = {
+        extension: [{ url: VARIABLE, valueExpression: { ...fhirpath('3'), name: 'bonus' } }],
+        item: [
+            { linkId: 'doubled', type: 'integer', extension: [calculated("%resource.item.where(linkId = 'total').answer.value * 2")] },
+            { linkId: 'total', type: 'decimal', extension: [calculated('%resource.item.answer.value.weight().sum() + %bonus')] },
+            choice('q1'),
+            choice('q2')
+        ]
+    };
+    const response = { resourceType: 'QuestionnaireResponse', item: [answer('q1', 'often'), answer('q2', 'often')] };
+    const result = scoreResponse(questionnaire, response);
+    assert.deepEqual(result.calculated, [
+        { linkId: 'doubled', text: null, answers: [{ valueInteger: 16 }] },
+        { linkId: 'total', text: null, answers: [{ valueDecimal: 8 }] }
+    ]);
+    assert.deepEqual(result.errors, []);
+    // The calculated items are added in Questionnaire order; the input is left alone
+    assert.deepEqual(result.questionnaireResponse.item.map(item => item.linkId), ['doubled', 'total', 'q1', 'q2']);
+    assert.equal(result.updated, true);
+    assert.equal(response.item.length, 2);
+    assert.deepEqual(result.total, { score: 5, answered: 2, items: 2 });
+});
+
+test('calculated items and groups without a value are not added', () => {
+    const questionnaire = { item: [
+        { linkId: 'group', type: 'group', item: [
+            { linkId: 'empty', type: 'integer', extension: [calculated("%resource.item.where(linkId = 'missing').answer.value")] }
+        ] },
+        choice('q1')
+    ] };
+    const response = { resourceType: 'QuestionnaireResponse', item: [answer('q1', 'never')] };
+    const result = scoreResponse(questionnaire, response);
+    assert.deepEqual(result.questionnaireResponse, response);
+    assert.equal(result.updated, false);
+    assert.deepEqual(result.calculated, [{ linkId: 'empty', text: null, answers: [] }]);
+});
+
+test('failing expressions are reported once and become scoring-error manifest rows', () => {
+    const questionnaire = { item: [
+        { linkId: 'lang', type: 'integer', extension: [{ url: CALCULATED_EXPRESSION, valueExpression: { language: 'text/cql', expression: 'Sum' } }] },
+        { linkId: 'syntax', type: 'integer', extension: [calculated('1 +')] },
+        { linkId: 'type', type: 'integer', extension: [calculated("'many'")] }
+    ] };
+    const result = scoreResponse(questionnaire, { resourceType: 'QuestionnaireResponse', item: [] });
+    assert.deepEqual(result.errors.map(e => [e.linkId, e.expression]), [['lang', 'Sum'], ['syntax', '1 +'], ['type', "'many'"]]);
+    assert.match(result.errors[0].message, /Unsupported expression language text\/cql/);
+    assert.match(result.errors[1].message, /Unexpected end of expression/);
+    assert.equal(result.errors[2].message, 'Result "many" does not fit an item of type integer');
+
+    const manifest = createManifest({ runId: 'r', options: {} });
+    const section = { questionnaireResponseId: 'qr1', status: 'rendered', audit: { removed: [], normalized: [], unmatchedCodes: [] }, scores: result };
+    manifest.files.push({ input: 'in.json', group: null, status: 'saved', output: 'out.pdf', durationMs: 1, questionnaireResponses: [toManifestResponse(section)] });
+    const rows = manifestToCsv(manifest).trim().split('\n').slice(1).filter(row => row.includes('scoring-error'));
+    assert.equal(rows.length, 3);
+    assert.match(rows[1], /scoring-error,syntax,.*Unexpected end of expression.*\(1 \+\)/);
+});
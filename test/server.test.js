@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createServer } = require('../lib/server');
+
+// A renderer that "renders" whatever it is given, recording the requests
+function createStubRenderer() {
+    const rendered = [];
+    return {
+        rendered,
+        registry: { size: 0, list: () => [] },
+        assets: { version: 'test' },
+        addDefinitions: () => {},
+        renderReport: async body => {
+            rendered.push(body);
+            return { pdf: Buffer.from('%PDF'), status: 'complete', violations: [], sections: [{ status: 'rendered', questionnaireResponseId: 'Q-REDACTED' }] };
+        }
+    };
+}
+
+async function withServer(run, options = {}) {
+    const renderer = createStubRenderer();
+    const logged = [];
+    const server = createServer({ renderer, log: message => logged.push(message), ...options });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const post = (path, body, contentType = 'application/fhir+json') => fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+        method: 'POST', headers: { 'Content-Type': contentType }, body
+    });
+    try {
+        await run({ post, renderer, logged });
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('bodies that are not a resource are rejected with 400', () => withServer(async ({ post, renderer }) => {
+    for (const body of ['null', '42', '"text"', '[]', '{}', '{"resourceType":"Parameters","parameter":"x"}']) {
+        const res = await post('/QuestionnaireResponse/$pdf', body);
+        assert.equal(res.status, 400, body);
+        const outcome = await res.json();
+        assert.equal(outcome.resourceType, 'OperationOutcome');
+        assert.equal(outcome.issue[0].code, 'invalid');
+    }
+    for (const body of ['null', '[]']) {
+        assert.equal((await post('/definitions', body)).status, 400, body);
+    }
+    assert.equal(renderer.rendered.length, 0);
+}));
+
+test('the success log shows the ids as rendered, not those posted', () => withServer(async ({ post, logged }) => {
+    const res = await post('/QuestionnaireResponse/$pdf', JSON.stringify({ resourceType: 'QuestionnaireResponse', id: 'original-id', status: 'completed' }));
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-render-status'), 'complete');
+    const success = logged.find(message => message.includes('Rendered'));
+    assert.match(success, /Q-REDACTED/);
+    assert.ok(!logged.some(message => message.includes('original-id')));
+}));
+
+test('malformed definition Bundles are rejected with 400', () => withServer(async ({ post }) => {
+    for (const entry of ['{}', '"x"', '[null]', '[{}]', '[{"resource":[]}]']) {
+        const res = await post('/definitions', `{"resourceType":"Bundle","entry":${entry}}`);
+        assert.equal(res.status, 400, entry);
+        assert.equal((await res.json()).issue[0].code, 'invalid');
+    }
+    assert.equal((await post('/definitions', '{"resourceType":"Bundle"}')).status, 200);
+}));
+
+test('only uploaded and waiting Questionnaires are expanded again', () => withServer(async ({ post, renderer }) => {
+    const added = [];
+    renderer.addDefinitions = definitions => added.push(definitions.map(q => `${q.url}|${q.item[0].answerOption ? 'expanded' : 'waiting'}`));
+    const questionnaire = url => ({ resourceType: 'Questionnaire', url, item: [{ linkId: 'a', type: 'coding', answerValueSet: 'http://example.org/vs' }] });
+    const valueSet = { resourceType: 'ValueSet', url: 'http://example.org/vs', expansion: { contains: [{ system: 'urn:s', code: 'y', display: 'Yes' }] } };
+
+    const first = await (await post('/definitions', JSON.stringify(questionnaire('urn:q1')))).json();
+    assert.equal(first.issue[1].severity, 'warning');
+    await post('/definitions', JSON.stringify({ resourceType: 'Bundle', entry: [{ resource: valueSet }, { resource: questionnaire('urn:q2') }] }));
+    await post('/definitions', JSON.stringify(questionnaire('urn:q3')));
+    await post('/definitions', JSON.stringify(valueSet));
+    assert.deepEqual(added, [['urn:q1|waiting'], ['urn:q1|expanded', 'urn:q2|expanded'], ['urn:q3|expanded']]);
+}));
+
+test('the Questionnaires waiting for terminology are capped', () => withServer(async ({ post, renderer, logged }) => {
+    const added = [];
+    renderer.addDefinitions = definitions => added.push(definitions.map(q => q.url));
+    for (const url of ['urn:q1', 'urn:q2']) {
+        await post('/definitions', JSON.stringify({ resourceType: 'Questionnaire', url, item: [{ linkId: 'a', type: 'coding', answerValueSet: 'http://example.org/vs' }] }));
+    }
+    assert.ok(logged.some(message => message.includes('urn:q1| is no longer expanded')));
+    await post('/definitions', JSON.stringify({ resourceType: 'CodeSystem', url: 'urn:cs', concept: [] }));
+    assert.deepEqual(added.pop(), ['urn:q2']);
+}, { maxWaitingQuestionnaires: 1 }));